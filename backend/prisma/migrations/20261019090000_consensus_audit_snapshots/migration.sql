@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "consensus_logs" ADD COLUMN     "algorithmVersion" VARCHAR(20),
+ADD COLUMN     "inputSnapshot" JSONB,
+ADD COLUMN     "parameters" JSONB,
+ADD COLUMN     "result" JSONB,
+ADD COLUMN     "snapshotHash" VARCHAR(64);
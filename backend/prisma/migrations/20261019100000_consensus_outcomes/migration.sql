@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "QuestionStatus" ADD VALUE 'DEADLOCKED' BEFORE 'VERIFIED';
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "maxDebateRounds" INTEGER NOT NULL DEFAULT 3;
+
+-- AlterTable
+ALTER TABLE "consensus_logs" ADD COLUMN     "outcome" VARCHAR(20);
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "agent_stats" ADD COLUMN     "brierScore" DECIMAL(5,4),
+ADD COLUMN     "calibratedAt" TIMESTAMP(3),
+ADD COLUMN     "calibration" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN     "calibrationSamples" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "expectedCalibrationError" DECIMAL(5,4);
+
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "isCorrect" BOOLEAN;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "groundTruth" JSONB,
+ADD COLUMN     "verifiedBy" VARCHAR(100);
+
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "verificationScore" DECIMAL(5,4);
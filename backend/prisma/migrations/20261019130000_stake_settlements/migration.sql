@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "bounty" DECIMAL(12,2) NOT NULL DEFAULT 0,
+ADD COLUMN     "settledAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "stake_settlements" (
+    "id" TEXT NOT NULL,
+    "stakeId" TEXT NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "agentId" TEXT NOT NULL,
+    "answerId" TEXT NOT NULL,
+    "basis" VARCHAR(20) NOT NULL,
+    "outcome" "StakeStatus" NOT NULL,
+    "score" DECIMAL(5,4),
+    "stakeAmount" DECIMAL(12,2) NOT NULL,
+    "returnedAmount" DECIMAL(12,2) NOT NULL,
+    "rewardAmount" DECIMAL(12,2) NOT NULL,
+    "slashedAmount" DECIMAL(12,2) NOT NULL,
+    "payoutAmount" DECIMAL(12,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "stake_settlements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "stake_settlements_stakeId_key" ON "stake_settlements"("stakeId");
+
+-- CreateIndex
+CREATE INDEX "idx_stake_settlements_question" ON "stake_settlements"("questionId");
+
+-- CreateIndex
+CREATE INDEX "idx_stake_settlements_agent" ON "stake_settlements"("agentId", "createdAt" DESC);
+
+-- AddForeignKey
+ALTER TABLE "stake_settlements" ADD CONSTRAINT "stake_settlements_stakeId_fkey" FOREIGN KEY ("stakeId") REFERENCES "stakes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stake_settlements" ADD CONSTRAINT "stake_settlements_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "stake_settlements" ADD CONSTRAINT "stake_settlements_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Settlement records are immutable
+CREATE FUNCTION "prevent_stake_settlement_changes"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'stake_settlements rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "stake_settlements_immutable"
+    BEFORE UPDATE ON "stake_settlements"
+    FOR EACH ROW EXECUTE FUNCTION "prevent_stake_settlement_changes"();
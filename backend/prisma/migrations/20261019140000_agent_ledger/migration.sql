@@ -0,0 +1,106 @@
+-- CreateEnum
+CREATE TYPE "LedgerAccountKind" AS ENUM ('AGENT', 'SYSTEM');
+
+-- CreateEnum
+CREATE TYPE "LedgerHoldStatus" AS ENUM ('ACTIVE', 'RELEASED', 'CAPTURED');
+
+-- CreateTable
+CREATE TABLE "ledger_accounts" (
+    "id" TEXT NOT NULL,
+    "kind" "LedgerAccountKind" NOT NULL,
+    "agentId" TEXT,
+    "code" VARCHAR(100),
+    "balance" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "heldAmount" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ledger_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ledger_transactions" (
+    "id" TEXT NOT NULL,
+    "type" VARCHAR(30) NOT NULL,
+    "description" VARCHAR(500),
+    "referenceType" VARCHAR(30),
+    "referenceId" TEXT,
+    "idempotencyKey" VARCHAR(150),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ledger_entries" (
+    "id" TEXT NOT NULL,
+    "sequence" SERIAL NOT NULL,
+    "transactionId" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "balanceAfter" DECIMAL(14,2) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ledger_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ledger_holds" (
+    "id" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "amount" DECIMAL(14,2) NOT NULL,
+    "status" "LedgerHoldStatus" NOT NULL DEFAULT 'ACTIVE',
+    "referenceType" VARCHAR(30) NOT NULL,
+    "referenceId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ledger_holds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_accounts_agentId_key" ON "ledger_accounts"("agentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_accounts_code_key" ON "ledger_accounts"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_transactions_idempotencyKey_key" ON "ledger_transactions"("idempotencyKey");
+
+-- CreateIndex
+CREATE INDEX "idx_ledger_transactions_reference" ON "ledger_transactions"("referenceType", "referenceId");
+
+-- CreateIndex
+CREATE INDEX "idx_ledger_entries_account_sequence" ON "ledger_entries"("accountId", "sequence" DESC);
+
+-- CreateIndex
+CREATE INDEX "idx_ledger_entries_transaction" ON "ledger_entries"("transactionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ledger_holds_referenceType_referenceId_key" ON "ledger_holds"("referenceType", "referenceId");
+
+-- CreateIndex
+CREATE INDEX "idx_ledger_holds_account_status" ON "ledger_holds"("accountId", "status");
+
+-- AddForeignKey
+ALTER TABLE "ledger_accounts" ADD CONSTRAINT "ledger_accounts_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_transactionId_fkey" FOREIGN KEY ("transactionId") REFERENCES "ledger_transactions"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "ledger_accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ledger_holds" ADD CONSTRAINT "ledger_holds_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "ledger_accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Ledger entries are append-only
+CREATE FUNCTION "prevent_ledger_entry_changes"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'ledger_entries rows are append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "ledger_entries_append_only"
+    BEFORE UPDATE OR DELETE ON "ledger_entries"
+    FOR EACH ROW EXECUTE FUNCTION "prevent_ledger_entry_changes"();
@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "askerId" TEXT,
+ADD COLUMN     "bountyRefunded" DECIMAL(12,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "bounty_contributions" (
+    "id" TEXT NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "agentId" TEXT NOT NULL,
+    "amount" DECIMAL(12,2) NOT NULL,
+    "refundedAmount" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bounty_contributions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_bounty_contributions_question" ON "bounty_contributions"("questionId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "idx_bounty_contributions_agent" ON "bounty_contributions"("agentId");
+
+-- AddForeignKey
+ALTER TABLE "questions" ADD CONSTRAINT "questions_askerId_fkey" FOREIGN KEY ("askerId") REFERENCES "agents"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bounty_contributions" ADD CONSTRAINT "bounty_contributions_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bounty_contributions" ADD CONSTRAINT "bounty_contributions_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
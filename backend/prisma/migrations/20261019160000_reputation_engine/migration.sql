@@ -0,0 +1,51 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "reputationUpdatedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "agent_category_ratings" (
+    "agentId" TEXT NOT NULL,
+    "category" "QuestionCategory" NOT NULL,
+    "rating" DECIMAL(8,4) NOT NULL DEFAULT 100,
+    "deviation" DECIMAL(8,4) NOT NULL DEFAULT 20,
+    "games" INTEGER NOT NULL DEFAULT 0,
+    "lastRatedAt" TIMESTAMP(3),
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "agent_category_ratings_pkey" PRIMARY KEY ("agentId","category")
+);
+
+-- CreateTable
+CREATE TABLE "reputation_changes" (
+    "id" TEXT NOT NULL,
+    "agentId" TEXT NOT NULL,
+    "questionId" TEXT,
+    "category" "QuestionCategory",
+    "reason" VARCHAR(30) NOT NULL,
+    "change" DECIMAL(8,4) NOT NULL,
+    "reputationBefore" DECIMAL(8,4) NOT NULL,
+    "reputationAfter" DECIMAL(8,4) NOT NULL,
+    "categoryRating" DECIMAL(8,4),
+    "categoryDeviation" DECIMAL(8,4),
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "reputation_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_category_ratings_leaderboard" ON "agent_category_ratings"("category", "rating" DESC);
+
+-- CreateIndex
+CREATE INDEX "idx_reputation_changes_agent" ON "reputation_changes"("agentId", "createdAt" DESC);
+
+-- CreateIndex
+CREATE INDEX "idx_reputation_changes_question" ON "reputation_changes"("questionId");
+
+-- AddForeignKey
+ALTER TABLE "agent_category_ratings" ADD CONSTRAINT "agent_category_ratings_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reputation_changes" ADD CONSTRAINT "reputation_changes_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "reputation_changes" ADD CONSTRAINT "reputation_changes_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "questions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
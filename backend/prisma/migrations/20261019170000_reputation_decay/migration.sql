@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "agents" ADD COLUMN     "reputationDecayedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "agent_category_ratings" ADD COLUMN     "decayedAt" TIMESTAMP(3);
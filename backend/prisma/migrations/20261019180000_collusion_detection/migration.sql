@@ -0,0 +1,44 @@
+-- CreateEnum
+CREATE TYPE "CollusionCaseStatus" AS ENUM ('PENDING', 'CONFIRMED', 'DISMISSED');
+
+-- AlterTable
+ALTER TABLE "agents" ADD COLUMN     "trustFactor" DECIMAL(3,2) NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "collusion_cases" (
+    "id" TEXT NOT NULL,
+    "clusterKey" TEXT NOT NULL,
+    "status" "CollusionCaseStatus" NOT NULL DEFAULT 'PENDING',
+    "score" DECIMAL(5,4) NOT NULL,
+    "evidence" JSONB NOT NULL,
+    "detectedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastDetectedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewedBy" VARCHAR(100),
+    "notes" VARCHAR(2000),
+
+    CONSTRAINT "collusion_cases_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "collusion_case_members" (
+    "caseId" TEXT NOT NULL,
+    "agentId" TEXT NOT NULL,
+
+    CONSTRAINT "collusion_case_members_pkey" PRIMARY KEY ("caseId","agentId")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "collusion_cases_clusterKey_key" ON "collusion_cases"("clusterKey");
+
+-- CreateIndex
+CREATE INDEX "idx_collusion_cases_status" ON "collusion_cases"("status", "detectedAt" DESC);
+
+-- CreateIndex
+CREATE INDEX "idx_collusion_members_agent" ON "collusion_case_members"("agentId");
+
+-- AddForeignKey
+ALTER TABLE "collusion_case_members" ADD CONSTRAINT "collusion_case_members_caseId_fkey" FOREIGN KEY ("caseId") REFERENCES "collusion_cases"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "collusion_case_members" ADD CONSTRAINT "collusion_case_members_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
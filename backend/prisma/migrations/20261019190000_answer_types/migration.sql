@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "AnswerType" AS ENUM ('TEXT', 'SINGLE_CHOICE', 'MULTIPLE_CHOICE', 'NUMERIC', 'PROBABILITY', 'DATE', 'DISTRIBUTION');
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "answerSpec" JSONB,
+ADD COLUMN     "answerType" "AnswerType" NOT NULL DEFAULT 'TEXT';
+
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "value" JSONB;
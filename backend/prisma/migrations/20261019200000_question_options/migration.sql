@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "question_options" (
+    "id" TEXT NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "label" VARCHAR(200) NOT NULL,
+    "description" VARCHAR(1000),
+    "position" INTEGER NOT NULL,
+
+    CONSTRAINT "question_options_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "question_options_questionId_position_key" ON "question_options"("questionId", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "question_options_questionId_label_key" ON "question_options"("questionId", "label");
+
+-- AddForeignKey
+ALTER TABLE "question_options" ADD CONSTRAINT "question_options_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
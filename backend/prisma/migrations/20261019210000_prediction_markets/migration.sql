@@ -0,0 +1,75 @@
+-- CreateEnum
+CREATE TYPE "MarketStatus" AS ENUM ('OPEN', 'SETTLED', 'VOID');
+
+-- CreateTable
+CREATE TABLE "prediction_markets" (
+    "id" TEXT NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "liquidity" DECIMAL(12,2) NOT NULL,
+    "subsidy" DECIMAL(12,2) NOT NULL,
+    "outcomes" JSONB NOT NULL,
+    "quantities" JSONB NOT NULL,
+    "volume" DECIMAL(14,2) NOT NULL DEFAULT 0,
+    "version" INTEGER NOT NULL DEFAULT 0,
+    "status" "MarketStatus" NOT NULL DEFAULT 'OPEN',
+    "resolvedOutcome" VARCHAR(100),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "settledAt" TIMESTAMP(3),
+
+    CONSTRAINT "prediction_markets_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "market_positions" (
+    "id" TEXT NOT NULL,
+    "marketId" TEXT NOT NULL,
+    "agentId" TEXT NOT NULL,
+    "outcome" VARCHAR(100) NOT NULL,
+    "shares" DECIMAL(14,4) NOT NULL DEFAULT 0,
+    "costBasis" DECIMAL(12,2) NOT NULL DEFAULT 0,
+    "payout" DECIMAL(12,2),
+
+    CONSTRAINT "market_positions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "market_trades" (
+    "id" TEXT NOT NULL,
+    "marketId" TEXT NOT NULL,
+    "agentId" TEXT NOT NULL,
+    "outcome" VARCHAR(100) NOT NULL,
+    "shares" DECIMAL(14,4) NOT NULL,
+    "cost" DECIMAL(12,2) NOT NULL,
+    "priceBefore" DECIMAL(7,6) NOT NULL,
+    "priceAfter" DECIMAL(7,6) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "market_trades_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prediction_markets_questionId_key" ON "prediction_markets"("questionId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "market_positions_marketId_agentId_outcome_key" ON "market_positions"("marketId", "agentId", "outcome");
+
+-- CreateIndex
+CREATE INDEX "idx_market_positions_agent" ON "market_positions"("agentId");
+
+-- CreateIndex
+CREATE INDEX "idx_market_trades_market" ON "market_trades"("marketId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "prediction_markets" ADD CONSTRAINT "prediction_markets_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "market_positions" ADD CONSTRAINT "market_positions_marketId_fkey" FOREIGN KEY ("marketId") REFERENCES "prediction_markets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "market_positions" ADD CONSTRAINT "market_positions_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "market_trades" ADD CONSTRAINT "market_trades_marketId_fkey" FOREIGN KEY ("marketId") REFERENCES "prediction_markets"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "market_trades" ADD CONSTRAINT "market_trades_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
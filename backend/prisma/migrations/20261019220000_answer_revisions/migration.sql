@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "answers" ADD COLUMN     "revisedAt" TIMESTAMP(3),
+ADD COLUMN     "revision" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "answer_revisions" (
+    "id" TEXT NOT NULL,
+    "answerId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "content" VARCHAR(2000) NOT NULL,
+    "reasoning" VARCHAR(5000) NOT NULL,
+    "value" JSONB,
+    "confidence" DECIMAL(3,2) NOT NULL,
+    "debateRoundId" TEXT,
+    "roundNumber" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "answer_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "answer_revisions_answerId_revision_key" ON "answer_revisions"("answerId", "revision");
+
+-- AddForeignKey
+ALTER TABLE "answer_revisions" ADD CONSTRAINT "answer_revisions_answerId_fkey" FOREIGN KEY ("answerId") REFERENCES "answers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "answer_revisions" ADD CONSTRAINT "answer_revisions_debateRoundId_fkey" FOREIGN KEY ("debateRoundId") REFERENCES "debate_rounds"("id") ON DELETE SET NULL ON UPDATE CASCADE;
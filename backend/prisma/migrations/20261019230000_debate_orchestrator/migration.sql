@@ -0,0 +1,13 @@
+-- CreateEnum
+CREATE TYPE "DebateMode" AS ENUM ('MANUAL', 'AUTO');
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "debateMode" "DebateMode" NOT NULL DEFAULT 'MANUAL',
+ADD COLUMN     "debateRoundMinutes" INTEGER NOT NULL DEFAULT 60;
+
+-- AlterTable
+ALTER TABLE "debate_rounds" ADD COLUMN     "deadlineAt" TIMESTAMP(3),
+ADD COLUMN     "endedBy" VARCHAR(100);
+
+-- CreateIndex
+CREATE INDEX "debate_rounds_endedAt_deadlineAt_idx" ON "debate_rounds"("endedAt", "deadlineAt");
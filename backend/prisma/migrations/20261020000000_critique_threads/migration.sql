@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "CritiqueKind" AS ENUM ('CRITIQUE', 'REBUTTAL', 'ENDORSEMENT');
+
+-- AlterTable
+ALTER TABLE "critiques" ADD COLUMN     "kind" "CritiqueKind" NOT NULL DEFAULT 'CRITIQUE',
+ADD COLUMN     "parentCritiqueId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "critiques_parentCritiqueId_idx" ON "critiques"("parentCritiqueId");
+
+-- AddForeignKey
+ALTER TABLE "critiques" ADD CONSTRAINT "critiques_parentCritiqueId_fkey" FOREIGN KEY ("parentCritiqueId") REFERENCES "critiques"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "CritiqueVoteDirection" AS ENUM ('UP', 'DOWN');
+
+-- AlterTable
+ALTER TABLE "critiques" ADD COLUMN     "assessedImpact" DECIMAL(3,2),
+ADD COLUMN     "downWeight" DECIMAL(10,4) NOT NULL DEFAULT 0,
+ADD COLUMN     "upWeight" DECIMAL(10,4) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "critique_votes" (
+    "id" TEXT NOT NULL,
+    "critiqueId" TEXT NOT NULL,
+    "agentId" TEXT NOT NULL,
+    "direction" "CritiqueVoteDirection" NOT NULL,
+    "weight" DECIMAL(8,4) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "critique_votes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "critique_votes_critiqueId_agentId_key" ON "critique_votes"("critiqueId", "agentId");
+
+-- CreateIndex
+CREATE INDEX "idx_critique_votes_agent" ON "critique_votes"("agentId");
+
+-- AddForeignKey
+ALTER TABLE "critique_votes" ADD CONSTRAINT "critique_votes_critiqueId_fkey" FOREIGN KEY ("critiqueId") REFERENCES "critiques"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "critique_votes" ADD CONSTRAINT "critique_votes_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "InvitationStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED');
+
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "panelMaxPerPlatform" INTEGER NOT NULL DEFAULT 2,
+ADD COLUMN     "panelSize" INTEGER NOT NULL DEFAULT 5;
+
+-- CreateTable
+CREATE TABLE "question_invitations" (
+    "id" TEXT NOT NULL,
+    "questionId" TEXT NOT NULL,
+    "agentId" TEXT NOT NULL,
+    "status" "InvitationStatus" NOT NULL DEFAULT 'PENDING',
+    "score" DECIMAL(8,4) NOT NULL,
+    "rank" INTEGER NOT NULL,
+    "reasons" JSONB NOT NULL,
+    "invitedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "respondedAt" TIMESTAMP(3),
+    "answeredAt" TIMESTAMP(3),
+
+    CONSTRAINT "question_invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "question_invitations_questionId_agentId_key" ON "question_invitations"("questionId", "agentId");
+
+-- CreateIndex
+CREATE INDEX "idx_invitations_agent_status" ON "question_invitations"("agentId", "status");
+
+-- CreateIndex
+CREATE INDEX "idx_invitations_status_expires" ON "question_invitations"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "question_invitations" ADD CONSTRAINT "question_invitations_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "questions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "question_invitations" ADD CONSTRAINT "question_invitations_agentId_fkey" FOREIGN KEY ("agentId") REFERENCES "agents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
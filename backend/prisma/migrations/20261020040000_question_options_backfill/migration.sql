@@ -0,0 +1,51 @@
+-- Choice questions created before question_options stored their options as answerSpec.options
+-- (labels) and their answers as {"choice": label} / {"choices": [labels]}. Move both over.
+
+-- Copy the option labels, keeping their order
+INSERT INTO "question_options" ("id", "questionId", "label", "position")
+SELECT gen_random_uuid()::text, q."id", o."label", (o."ordinality" - 1)::integer
+FROM "questions" q
+CROSS JOIN LATERAL jsonb_array_elements_text(q."answerSpec"->'options') WITH ORDINALITY AS o("label", "ordinality")
+WHERE q."answerType" IN ('SINGLE_CHOICE', 'MULTIPLE_CHOICE')
+  AND jsonb_typeof(q."answerSpec"->'options') = 'array'
+  AND NOT EXISTS (SELECT 1 FROM "question_options" existing WHERE existing."questionId" = q."id");
+
+UPDATE "questions"
+SET "answerSpec" = NULLIF("answerSpec" - 'options', '{}'::jsonb)
+WHERE "answerSpec" ? 'options';
+
+-- Rewrite single-choice values to the option id
+UPDATE "answers" a
+SET "value" = jsonb_build_object('optionId', o."id")
+FROM "question_options" o
+WHERE a."value" ? 'choice'
+  AND o."questionId" = a."questionId"
+  AND o."label" = a."value"->>'choice';
+
+UPDATE "answer_revisions" r
+SET "value" = jsonb_build_object('optionId', o."id")
+FROM "answers" a, "question_options" o
+WHERE r."value" ? 'choice'
+  AND a."id" = r."answerId"
+  AND o."questionId" = a."questionId"
+  AND o."label" = r."value"->>'choice';
+
+-- Rewrite multiple-choice values to option ids, in option order
+UPDATE "answers" a
+SET "value" = jsonb_build_object('optionIds', COALESCE((
+    SELECT jsonb_agg(o."id" ORDER BY o."position")
+    FROM "question_options" o
+    WHERE o."questionId" = a."questionId"
+      AND a."value"->'choices' ? o."label"
+), '[]'::jsonb))
+WHERE a."value" ? 'choices';
+
+UPDATE "answer_revisions" r
+SET "value" = jsonb_build_object('optionIds', COALESCE((
+    SELECT jsonb_agg(o."id" ORDER BY o."position")
+    FROM "answers" a
+    JOIN "question_options" o ON o."questionId" = a."questionId"
+    WHERE a."id" = r."answerId"
+      AND r."value"->'choices' ? o."label"
+), '[]'::jsonb))
+WHERE r."value" ? 'choices';
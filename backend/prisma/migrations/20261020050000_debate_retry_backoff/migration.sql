@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "questions" ADD COLUMN     "debateFailures" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "debateRetryAt" TIMESTAMP(3);
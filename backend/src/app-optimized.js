@@ -15,6 +15,8 @@ const Redis = require('ioredis');
 
 // Import optimized services
 const ConsensusEngine = require('./services/consensus-engine');
+const { loadConsensusPlugins } = require('./services/consensus-registry');
+const { getEmbeddingCacheStats } = require('./services/semantic-similarity');
 const SwarmOracleWebSocketService = require('./services/websocket-service');
 
 // Import routes
@@ -57,6 +59,9 @@ if (process.env.REDIS_URL) {
     };
 }
 
+// Register third-party consensus algorithms before any calculation runs
+loadConsensusPlugins();
+
 // Initialize optimized services
 const consensusEngine = new ConsensusEngine();
 const websocketService = new SwarmOracleWebSocketService(server);
@@ -170,6 +175,7 @@ app.get('/metrics', async (req, res) => {
                 totalCalculations: consensusEngine.metrics.totalCalculations,
                 lastCalculationTime: consensusEngine.metrics.lastCalculationTime
             },
+            embeddings: getEmbeddingCacheStats(),
             websocket: websocketService.getConnectionStats(),
             queue: {
                 waiting: await consensusEngine.queue.getWaiting().then(jobs => jobs.length),
@@ -247,7 +253,7 @@ app.get('/api/leaderboard', async (req, res) => {
 // Event integration with WebSocket service
 consensusEngine.on('consensus:calculated', (result) => {
     // Broadcast via WebSocket
-    websocketService.broadcastConsensusReached(result.questionId, result.consensus);
+    websocketService.broadcastConsensusOutcome(result.questionId, result.consensus);
     
     // Publish to Redis for other services (if Redis is available)
     if (process.env.REDIS_URL && redis.publish) {
@@ -260,6 +266,14 @@ consensusEngine.on('consensus:calculated', (result) => {
     }
 });
 
+consensusEngine.on('reputation:updated', (update) => {
+    websocketService.broadcastReputationUpdate(update.agentId, update);
+});
+
+consensusEngine.on('debate:round:started', (event) => {
+    websocketService.broadcastDebateRound('debate:round:started', event.questionId, event.data);
+});
+
 consensusEngine.on('consensus:failed', (error) => {
     console.error('Consensus calculation failed:', error);
     
@@ -97,6 +97,22 @@ class RedisClientSingleton {
       return false;
     }
   }
+
+  // Event bus helper - the WebSocket service relays swarm:events to clients
+  async publish(type, payload, channel = 'swarm:events') {
+    try {
+      if (!this.client.isOpen) return false;
+      await this.client.publish(channel, JSON.stringify({
+        type,
+        ...payload,
+        timestamp: new Date(),
+      }));
+      return true;
+    } catch (error) {
+      console.error('Redis publish error:', error);
+      return false;
+    }
+  }
 }
 
 // Create singleton instance
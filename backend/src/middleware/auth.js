@@ -185,4 +185,48 @@ export const requireAdmin = (req, res, next) => {
   }
 
   next();
-};
\ No newline at end of file
+};
+
+const resolverAgentIds = () => (process.env.RESOLVER_AGENT_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// Resolver auth (ground-truth verification): admin token or an agent listed in RESOLVER_AGENT_IDS
+export const requireResolver = (req, res, next) => {
+  const adminToken = req.headers['x-admin-token'];
+  if (process.env.ADMIN_TOKEN && adminToken === process.env.ADMIN_TOKEN) {
+    req.resolver = 'admin';
+    return next();
+  }
+
+  return requireAuth(req, res, () => {
+    if (!resolverAgentIds().includes(req.agent.id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Resolver access required',
+        message: 'This operation requires an authorized resolver'
+      });
+    }
+
+    req.resolver = req.agent.id;
+    next();
+  });
+};
+
+// Moderator auth (debate control): admin token, a resolver, or an agent the route accepts itself
+// (e.g. the question's asker); req.moderator is 'admin' or the agent id, req.isResolver tells which
+export const requireModerator = (req, res, next) => {
+  const adminToken = req.headers['x-admin-token'];
+  if (process.env.ADMIN_TOKEN && adminToken === process.env.ADMIN_TOKEN) {
+    req.moderator = 'admin';
+    req.isResolver = true;
+    return next();
+  }
+
+  return requireAuth(req, res, () => {
+    req.moderator = req.agent.id;
+    req.isResolver = resolverAgentIds().includes(req.agent.id);
+    next();
+  });
+};
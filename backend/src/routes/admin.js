@@ -0,0 +1,146 @@
+import express from 'express';
+import { prisma } from '../lib/prisma.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { asyncHandler, NotFoundError } from '../middleware/errorHandler.js';
+import {
+  collusionCaseQuerySchema,
+  reviewCollusionCaseSchema,
+  collusionScanSchema,
+  idParamSchema,
+  validateSchema
+} from '../validation/schemas.js';
+import { scanForCollusion, reviewCase } from '../services/collusion.js';
+
+const router = express.Router();
+
+// Every admin route requires the admin token
+router.use(requireAdmin);
+
+const CASE_INCLUDE = {
+  members: {
+    include: {
+      agent: {
+        select: {
+          id: true,
+          name: true,
+          platform: true,
+          reputationScore: true,
+          trustFactor: true,
+          createdAt: true,
+          lastActiveAt: true,
+        }
+      }
+    }
+  }
+};
+
+const formatCase = (collusionCase) => ({
+  ...collusionCase,
+  agents: collusionCase.members.map(member => member.agent),
+  members: undefined,
+});
+
+// GET /api/admin/collusion/cases - Collusion review queue
+router.get('/collusion/cases',
+  validateSchema(collusionCaseQuerySchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const { page, limit, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const [cases, totalCount] = await Promise.all([
+      prisma.collusionCase.findMany({
+        where: { status },
+        skip,
+        take: limit,
+        orderBy: [
+          { score: 'desc' },
+          { detectedAt: 'desc' }
+        ],
+        include: CASE_INCLUDE,
+      }),
+      prisma.collusionCase.count({ where: { status } })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: cases.map(formatCase),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      }
+    });
+  })
+);
+
+// GET /api/admin/collusion/cases/:id - Case details with evidence
+router.get('/collusion/cases/:id',
+  validateSchema(idParamSchema, 'params'),
+  asyncHandler(async (req, res) => {
+    const collusionCase = await prisma.collusionCase.findUnique({
+      where: { id: req.params.id },
+      include: CASE_INCLUDE,
+    });
+
+    if (!collusionCase) {
+      throw new NotFoundError('Collusion case not found');
+    }
+
+    res.json({
+      success: true,
+      data: formatCase(collusionCase),
+    });
+  })
+);
+
+// POST /api/admin/collusion/cases/:id/review - Confirm or dismiss a case
+router.post('/collusion/cases/:id/review',
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(reviewCollusionCaseSchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    const existingCase = await prisma.collusionCase.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!existingCase) {
+      throw new NotFoundError('Collusion case not found');
+    }
+
+    await reviewCase(prisma, id, { status, notes });
+
+    const collusionCase = await prisma.collusionCase.findUnique({
+      where: { id },
+      include: CASE_INCLUDE,
+    });
+
+    res.json({
+      success: true,
+      data: formatCase(collusionCase),
+      message: `Collusion case ${status.toLowerCase()}`
+    });
+  })
+);
+
+// POST /api/admin/collusion/scan - Run the collusion detector now
+router.post('/collusion/scan',
+  validateSchema(collusionScanSchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const result = await scanForCollusion(prisma, { lookbackDays: req.body.lookbackDays });
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Collusion scan complete: ${result.opened.length} new cases, ${result.refreshed.length} updated`
+    });
+  })
+);
+
+export default router;
@@ -1,14 +1,23 @@
 import express from 'express';
 import { prisma } from '../lib/prisma.js';
-import { optionalAuth, generateToken } from '../middleware/auth.js';
-import { asyncHandler, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import { optionalAuth, requireAuth, requireAdmin, generateToken } from '../middleware/auth.js';
+import { asyncHandler, NotFoundError, ConflictError, BusinessLogicError } from '../middleware/errorHandler.js';
 import { 
   registerAgentSchema, 
   agentQuerySchema,
   idParamSchema,
   paginationSchema,
+  reputationDecayPreviewSchema,
+  webhookDeliveryQuerySchema,
+  invitationQuerySchema,
   validateSchema 
 } from '../validation/schemas.js';
+import { computeAgentCalibration } from '../services/calibration.js';
+import { ensureAgentAccount, accountSummary } from '../services/ledger.js';
+import { previewDecay, applyDecay } from '../services/reputation-decay.js';
+import { expertiseBreakdown } from '../services/reputation.js';
+import { generateWebhookSecret, MAX_ATTEMPTS } from '../services/webhooks.js';
+import redisClient from '../lib/redis.js';
 
 const router = express.Router();
 
@@ -30,15 +39,19 @@ router.post('/register',
       throw new ConflictError(`Agent name '${name}' is already taken on platform '${platform}'`);
     }
 
-    // Create the agent
-    const agent = await prisma.agent.create({
-      data: {
-        name,
-        description,
-        platform,
-        webhookUrl,
-        capabilities,
-      }
+    // Create the agent and open its ledger account with the initial grant
+    const { agent, account } = await prisma.$transaction(async (tx) => {
+      const agent = await tx.agent.create({
+        data: {
+          name,
+          description,
+          platform,
+          webhookUrl,
+          webhookSecret: webhookUrl ? generateWebhookSecret() : null,
+          capabilities,
+        }
+      });
+      return { agent, account: await ensureAgentAccount(tx, agent.id) };
     });
 
     // Generate JWT token for the agent
@@ -56,8 +69,11 @@ router.post('/register',
           reputationScore: agent.reputationScore,
           createdAt: agent.createdAt,
         },
+        balance: accountSummary(account),
         token,
         expiresIn: '24h',
+        // Only shown here; verifies the X-SwarmOracle-Signature of webhook deliveries
+        webhookSecret: agent.webhookSecret,
       },
       message: 'Agent registered successfully'
     });
@@ -160,6 +176,46 @@ router.get('/',
   })
 );
 
+// GET /api/agents/reputation-decay/preview - Dry run of reputation decay against the current leaderboard
+router.get('/reputation-decay/preview',
+  optionalAuth,
+  validateSchema(reputationDecayPreviewSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const { limit, asOf } = req.query;
+
+    const report = await previewDecay(prisma, {
+      now: asOf ? new Date(asOf) : new Date(),
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  })
+);
+
+// POST /api/agents/reputation-decay/run - Apply reputation decay now instead of waiting for the job
+router.post('/reputation-decay/run',
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const result = await applyDecay(prisma);
+
+    for (const entry of result.agents) {
+      await redisClient.publish('agent:reputation:updated', {
+        agentId: entry.agentId,
+        data: { newReputation: entry.reputationAfter, change: entry.change, reason: 'DECAY' },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Reputation decay applied to ${result.agentsAffected} agents`
+    });
+  })
+);
+
 // GET /api/agents/:id - Get agent profile + stats
 router.get('/:id',
   optionalAuth,
@@ -174,10 +230,11 @@ router.get('/:id',
           select: {
             answers: true,
             stakes: true,
-            critiques: true,
+            critiques: { where: { parentCritiqueId: null } },
           }
         },
         statistics: true,
+        categoryRatings: true,
       }
     });
 
@@ -280,6 +337,9 @@ router.get('/:id',
       stakeCount: agent._count.stakes,
       critiqueCount: agent._count.critiques,
       
+      // Per-category reputation, one radar axis per category
+      expertise: expertiseBreakdown(Number(agent.reputationScore), agent.categoryRatings),
+      
       // Detailed stats
       statistics: {
         rank,
@@ -356,7 +416,7 @@ router.get('/:id/answers',
           _count: {
             select: {
               stakes: true,
-              critiques: true,
+              critiques: { where: { parentCritiqueId: null } },
             }
           },
           stakes: {
@@ -402,4 +462,430 @@ router.get('/:id/answers',
   })
 );
 
+// GET /api/agents/:id/calibration - Confidence calibration against verified answers
+router.get('/:id/calibration',
+  optionalAuth,
+  validateSchema(idParamSchema, 'params'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const agent = await prisma.agent.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        name: true,
+        statistics: true,
+      }
+    });
+
+    if (!agent) {
+      throw new NotFoundError('Agent not found');
+    }
+
+    // Calibration is stored on verification; agents never scored get it computed but not saved
+    const stats = agent.statistics?.calibratedAt
+      ? agent.statistics
+      : await computeAgentCalibration(prisma, id);
+
+    const { calibration } = stats;
+
+    res.json({
+      success: true,
+      data: {
+        agent: {
+          id: agent.id,
+          name: agent.name,
+        },
+        calibration: {
+          samples: stats.calibrationSamples,
+          brierScore: stats.brierScore,
+          expectedCalibrationError: stats.expectedCalibrationError,
+          meanConfidence: calibration.meanConfidence ?? null,
+          accuracy: calibration.accuracy ?? null,
+          overconfidence: calibration.overconfidence ?? null,
+          buckets: calibration.buckets || [],
+          categories: calibration.categories || {},
+          calibratedAt: stats.calibratedAt,
+        }
+      }
+    });
+  })
+);
+
+// GET /api/agents/:id/reputation - Category ratings and reputation history
+router.get('/:id/reputation',
+  optionalAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(paginationSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    const agent = await prisma.agent.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        name: true,
+        reputationScore: true,
+        categoryRatings: {
+          orderBy: { rating: 'desc' },
+        },
+      }
+    });
+
+    if (!agent) {
+      throw new NotFoundError('Agent not found');
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [history, totalCount] = await Promise.all([
+      prisma.reputationChange.findMany({
+        where: { agentId: id },
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.reputationChange.count({ where: { agentId: id } })
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: {
+        agent: {
+          id: agent.id,
+          name: agent.name,
+          reputationScore: agent.reputationScore,
+        },
+        categories: agent.categoryRatings.map(rating => ({
+          category: rating.category,
+          rating: rating.rating,
+          deviation: rating.deviation,
+          games: rating.games,
+          lastRatedAt: rating.lastRatedAt,
+        })),
+        history,
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      }
+    });
+  })
+);
+
+// GET /api/agents/:id/ledger - Agent's own transaction history with running balance
+router.get('/:id/ledger',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(paginationSchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page, limit } = req.query;
+
+    if (req.agent.id !== id) {
+      throw new BusinessLogicError('Agents can only view their own ledger', 403);
+    }
+
+    // Agents registered before the ledger get their account (and grant) on their first stake or bounty
+    const account = await prisma.ledgerAccount.findUnique({ where: { agentId: id } });
+    if (!account) {
+      return res.json({
+        success: true,
+        data: {
+          account: null,
+          entries: [],
+          holds: [],
+          reconciliation: { entriesTotal: 0, holdsTotal: 0, balanced: true },
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: 0,
+          totalCount: 0,
+          hasNextPage: false,
+          hasPrevPage: page > 1,
+        },
+        message: 'Ledger account opens with the initial grant on first use'
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [entries, totalCount, totals, activeHolds] = await Promise.all([
+      prisma.ledgerEntry.findMany({
+        where: { accountId: account.id },
+        skip,
+        take: limit,
+        orderBy: { sequence: 'desc' },
+        include: {
+          transaction: {
+            select: {
+              id: true,
+              type: true,
+              description: true,
+              referenceType: true,
+              referenceId: true,
+            }
+          }
+        }
+      }),
+      prisma.ledgerEntry.count({ where: { accountId: account.id } }),
+      prisma.ledgerEntry.aggregate({
+        where: { accountId: account.id },
+        _sum: { amount: true },
+      }),
+      prisma.ledgerHold.findMany({
+        where: { accountId: account.id, status: 'ACTIVE' },
+        orderBy: { createdAt: 'desc' },
+      }),
+    ]);
+
+    const summary = accountSummary(account);
+    const entriesTotal = Number(totals._sum.amount || 0);
+    const holdsTotal = activeHolds.reduce((sum, hold) => sum + Number(hold.amount), 0);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: {
+        account: summary,
+        entries: entries.map(entry => ({
+          id: entry.id,
+          sequence: entry.sequence,
+          transactionId: entry.transaction.id,
+          type: entry.transaction.type,
+          description: entry.transaction.description,
+          referenceType: entry.transaction.referenceType,
+          referenceId: entry.transaction.referenceId,
+          amount: Number(entry.amount),
+          balanceAfter: Number(entry.balanceAfter),
+          createdAt: entry.createdAt,
+        })),
+        holds: activeHolds.map(hold => ({
+          id: hold.id,
+          amount: Number(hold.amount),
+          referenceType: hold.referenceType,
+          referenceId: hold.referenceId,
+          createdAt: hold.createdAt,
+        })),
+        // The balance must equal the sum of all entries, and held funds the sum of active holds
+        reconciliation: {
+          entriesTotal,
+          holdsTotal,
+          balanced: Math.round(entriesTotal * 100) === Math.round(summary.balance * 100)
+            && Math.round(holdsTotal * 100) === Math.round(summary.held * 100),
+        },
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      }
+    });
+  })
+);
+
+// POST /api/agents/:id/webhooks/secret - Issue a new webhook signing secret
+router.post('/:id/webhooks/secret',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (req.agent.id !== id) {
+      throw new BusinessLogicError('Agents can only rotate their own webhook secret', 403);
+    }
+
+    const agent = await prisma.agent.findUnique({
+      where: { id },
+      select: { webhookUrl: true }
+    });
+
+    if (!agent.webhookUrl) {
+      throw new BusinessLogicError('Register a webhookUrl before requesting a webhook secret');
+    }
+
+    // Pending deliveries are signed with the new secret from their next attempt on
+    const webhookSecret = generateWebhookSecret();
+    await prisma.agent.update({
+      where: { id },
+      data: { webhookSecret }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { webhookUrl: agent.webhookUrl, webhookSecret },
+      message: 'Webhook secret rotated; the previous secret no longer verifies deliveries'
+    });
+  })
+);
+
+// GET /api/agents/:id/webhooks/deliveries - Agent's own webhook delivery log
+router.get('/:id/webhooks/deliveries',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(webhookDeliveryQuerySchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page, limit, status, event } = req.query;
+
+    if (req.agent.id !== id) {
+      throw new BusinessLogicError('Agents can only view their own webhook deliveries', 403);
+    }
+
+    const where = { agentId: id };
+    if (status) where.status = status;
+    if (event) where.event = event;
+    const skip = (page - 1) * limit;
+
+    const [deliveries, totalCount, statusCounts] = await Promise.all([
+      prisma.webhookDelivery.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          attemptLog: {
+            orderBy: { attempt: 'asc' },
+          },
+          deadLetter: {
+            select: { id: true, createdAt: true },
+          },
+        }
+      }),
+      prisma.webhookDelivery.count({ where }),
+      prisma.webhookDelivery.groupBy({
+        by: ['status'],
+        where: { agentId: id },
+        _count: { _all: true },
+      }),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(delivery => ({
+          id: delivery.id,
+          event: delivery.event,
+          url: delivery.url,
+          status: delivery.status,
+          payload: delivery.payload,
+          attempts: delivery.attempts,
+          maxAttempts: MAX_ATTEMPTS,
+          nextAttemptAt: delivery.status === 'PENDING' ? delivery.nextAttemptAt : null,
+          lastStatusCode: delivery.lastStatusCode,
+          lastError: delivery.lastError,
+          deliveredAt: delivery.deliveredAt,
+          deadLetteredAt: delivery.deadLetter?.createdAt ?? null,
+          createdAt: delivery.createdAt,
+          attemptLog: delivery.attemptLog.map(attempt => ({
+            attempt: attempt.attempt,
+            statusCode: attempt.statusCode,
+            error: attempt.error,
+            durationMs: attempt.durationMs,
+            attemptedAt: attempt.attemptedAt,
+          })),
+        })),
+        summary: Object.fromEntries(statusCounts.map(entry => [entry.status, entry._count._all])),
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      }
+    });
+  })
+);
+
+// GET /api/agents/:id/invitations - Questions the agent was invited to answer, newest first
+router.get('/:id/invitations',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(invitationQuerySchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { page, limit, status } = req.query;
+
+    if (req.agent.id !== id) {
+      throw new BusinessLogicError('Agents can only view their own invitations', 403);
+    }
+
+    const where = { agentId: id };
+    if (status) where.status = status;
+    const skip = (page - 1) * limit;
+
+    const [invitations, totalCount, statusCounts] = await Promise.all([
+      prisma.questionInvitation.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { invitedAt: 'desc' },
+        include: {
+          question: {
+            select: {
+              id: true,
+              text: true,
+              category: true,
+              status: true,
+              openUntil: true,
+            }
+          }
+        }
+      }),
+      prisma.questionInvitation.count({ where }),
+      prisma.questionInvitation.groupBy({
+        by: ['status'],
+        where: { agentId: id },
+        _count: { _all: true },
+      }),
+    ]);
+
+    // Acceptance rate over the invitations already resolved, the same figure routing scores on
+    const summary = Object.fromEntries(statusCounts.map(entry => [entry.status, entry._count._all]));
+    const resolved = (summary.ACCEPTED || 0) + (summary.DECLINED || 0) + (summary.EXPIRED || 0);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      success: true,
+      data: {
+        invitations: invitations.map(invitation => ({
+          id: invitation.id,
+          question: invitation.question,
+          status: invitation.status,
+          rank: invitation.rank,
+          score: Number(invitation.score),
+          reasons: invitation.reasons,
+          invitedAt: invitation.invitedAt,
+          expiresAt: invitation.expiresAt,
+          respondedAt: invitation.respondedAt,
+          answeredAt: invitation.answeredAt,
+        })),
+        summary: {
+          ...summary,
+          acceptanceRate: resolved > 0 ? Math.round(((summary.ACCEPTED || 0) / resolved) * 10000) / 10000 : null,
+        },
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+      }
+    });
+  })
+);
+
 export default router;
\ No newline at end of file
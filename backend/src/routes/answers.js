@@ -4,10 +4,15 @@ import { requireAuth } from '../middleware/auth.js';
 import { asyncHandler, NotFoundError, ConflictError, BusinessLogicError } from '../middleware/errorHandler.js';
 import { 
   submitAnswerSchema, 
+  reviseAnswerSchema,
   stakeAnswerSchema,
   idParamSchema,
   validateSchema 
 } from '../validation/schemas.js';
+import { ensureAgentAccount, placeHold, accountSummary } from '../services/ledger.js';
+import { normalizeAnswerValue, describeAnswerValue } from '../services/answer-types.js';
+import { REVISABLE_STATUSES, reviseAnswer } from '../services/answer-revisions.js';
+import { recordInvitationAnswer } from '../services/question-routing.js';
 
 const router = express.Router();
 
@@ -16,13 +21,16 @@ router.post('/',
   requireAuth,
   validateSchema(submitAnswerSchema, 'body'),
   asyncHandler(async (req, res) => {
-    const { questionId, content, reasoning, confidence } = req.body;
+    const { questionId, reasoning, confidence } = req.body;
     const agentId = req.agent.id;
 
     // Check if question exists and is open
     const question = await prisma.question.findUnique({
       where: { id: questionId },
       include: {
+        options: {
+          orderBy: { position: 'asc' },
+        },
         _count: {
           select: {
             answers: true,
@@ -63,6 +71,10 @@ router.post('/',
       throw new ConflictError('You have already submitted an answer to this question');
     }
 
+    // Typed questions store the checked value; the prose falls back to a rendering of it
+    const value = normalizeAnswerValue(question, req.body.value);
+    const content = req.body.content ?? describeAnswerValue(question, value);
+
     // Calculate initial weight based on agent reputation
     const initialWeight = calculateInitialWeight(req.agent.reputationScore, confidence);
 
@@ -72,6 +84,7 @@ router.post('/',
         questionId,
         agentId,
         content,
+        value: value ?? undefined,
         reasoning,
         confidence,
         initialWeight,
@@ -91,11 +104,15 @@ router.post('/',
             text: true,
             category: true,
             status: true,
+            answerType: true,
           }
         }
       }
     });
 
+    // Panel members who answer have kept their invitation, whether or not they accepted it first
+    await recordInvitationAnswer(prisma, questionId, agentId);
+
     // Update agent's total answers count (async)
     prisma.agent.update({
       where: { id: agentId },
@@ -168,10 +185,13 @@ router.get('/:id',
           },
           orderBy: { createdAt: 'desc' }
         },
+        revisions: {
+          orderBy: { revision: 'asc' }
+        },
         _count: {
           select: {
             stakes: true,
-            critiques: true,
+            critiques: { where: { parentCritiqueId: null } },
           }
         }
       }
@@ -201,6 +221,73 @@ router.get('/:id',
   })
 );
 
+// PUT /api/answers/:id - Revise your answer while the question is open or in debate
+router.put('/:id',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(reviseAnswerSchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reasoning } = req.body;
+
+    const answer = await prisma.answer.findUnique({
+      where: { id },
+      include: {
+        question: {
+          include: {
+            options: {
+              orderBy: { position: 'asc' },
+            },
+          }
+        }
+      }
+    });
+
+    if (!answer) {
+      throw new NotFoundError('Answer not found');
+    }
+
+    if (answer.agentId !== req.agent.id) {
+      throw new BusinessLogicError('You can only revise your own answer', 403);
+    }
+
+    if (!REVISABLE_STATUSES.includes(answer.question.status)) {
+      throw new BusinessLogicError(`Cannot revise answer: question status is ${answer.question.status}`);
+    }
+
+    // A new value replaces the prose too unless the agent wrote new prose
+    const value = req.body.value !== undefined
+      ? normalizeAnswerValue(answer.question, req.body.value)
+      : answer.value;
+    const content = req.body.content
+      ?? (req.body.value !== undefined ? describeAnswerValue(answer.question, value) : answer.content);
+    const confidence = req.body.confidence ?? Number(answer.confidence);
+
+    const revision = await prisma.$transaction(tx => reviseAnswer(tx, answer, {
+      content,
+      value,
+      reasoning,
+      confidence,
+      initialWeight: calculateInitialWeight(req.agent.reputationScore, confidence),
+    }));
+
+    const revised = await prisma.answer.findUnique({
+      where: { id },
+      include: {
+        revisions: {
+          orderBy: { revision: 'asc' }
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: revised,
+      message: `Answer revised (revision ${revision.revision}, after debate round ${revision.roundNumber})`
+    });
+  })
+);
+
 // POST /api/answers/:id/stake - Stake tokens on answer
 router.post('/:id/stake',
   requireAuth,
@@ -259,44 +346,56 @@ router.post('/:id/stake',
       throw new ConflictError('You already have an active stake on this answer');
     }
 
-    // For a full implementation, you'd want to check if agent has sufficient balance
-    // This would require an agent balance/wallet system
-
-    // Create the stake
-    const stake = await prisma.stake.create({
-      data: {
-        answerId: id,
-        agentId,
-        amount,
-        status: 'ACTIVE',
-      },
-      include: {
-        agent: {
-          select: {
-            id: true,
-            name: true,
-            reputationScore: true,
-          }
+    // Create the stake and reserve its amount on the agent's balance together
+    const { stake, account } = await prisma.$transaction(async (tx) => {
+      const stake = await tx.stake.create({
+        data: {
+          answerId: id,
+          agentId,
+          amount,
+          status: 'ACTIVE',
         },
-        answer: {
-          select: {
-            id: true,
-            content: true,
-            confidence: true,
-            agent: {
-              select: {
-                id: true,
-                name: true,
+        include: {
+          agent: {
+            select: {
+              id: true,
+              name: true,
+              reputationScore: true,
+            }
+          },
+          answer: {
+            select: {
+              id: true,
+              content: true,
+              confidence: true,
+              agent: {
+                select: {
+                  id: true,
+                  name: true,
+                }
               }
             }
           }
         }
-      }
+      });
+
+      const agentAccount = await ensureAgentAccount(tx, agentId);
+      await placeHold(tx, {
+        accountId: agentAccount.id,
+        amount,
+        referenceType: 'STAKE',
+        referenceId: stake.id,
+      });
+
+      return {
+        stake,
+        account: await tx.ledgerAccount.findUnique({ where: { id: agentAccount.id } }),
+      };
     });
 
     res.status(201).json({
       success: true,
-      data: stake,
+      data: { ...stake, balance: accountSummary(account) },
       message: `Staked ${amount} tokens on answer`
     });
   })
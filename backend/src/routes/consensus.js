@@ -5,11 +5,36 @@ import { asyncHandler, NotFoundError, BusinessLogicError } from '../middleware/e
 import { 
   calculateConsensusSchema,
   questionIdParamSchema,
+  replayConsensusParamSchema,
   validateSchema 
 } from '../validation/schemas.js';
+import {
+  consensusRegistry,
+  CONSENSUS_DATA_INCLUDE,
+} from '../services/consensus-registry.js';
+import { replayConsensusLog } from '../services/consensus-audit.js';
+import { CONSENSUS_OUTCOMES } from '../services/consensus-outcome.js';
+import { runConsensus, consensusRunEvents } from '../services/consensus-runner.js';
+import redisClient from '../lib/redis.js';
 
 const router = express.Router();
 
+const OUTCOME_MESSAGES = {
+  [CONSENSUS_OUTCOMES.REACHED]: 'Consensus reached successfully',
+  [CONSENSUS_OUTCOMES.NO_CONSENSUS]: 'Consensus calculation completed (threshold not met, debate continues)',
+  [CONSENSUS_OUTCOMES.DEADLOCKED]: 'Consensus calculation completed (question deadlocked after maximum debate rounds)',
+};
+
+// GET /api/consensus/algorithms - List registered consensus algorithms
+router.get('/algorithms',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: consensusRegistry.list(),
+    });
+  })
+);
+
 // POST /api/consensus/calculate/:questionId - Trigger consensus calculation
 router.post('/calculate/:questionId',
   requireAuth, // Can be changed to requireAdmin for restricted access
@@ -17,34 +42,13 @@ router.post('/calculate/:questionId',
   validateSchema(calculateConsensusSchema, 'body'),
   asyncHandler(async (req, res) => {
     const { questionId } = req.params;
-    const { algorithm, forceRecalculation } = req.body;
+    const { algorithm, parameters, forceRecalculation } = req.body;
 
     // Check if question exists
     const question = await prisma.question.findUnique({
       where: { id: questionId },
       include: {
-        answers: {
-          include: {
-            agent: {
-              select: {
-                id: true,
-                reputationScore: true,
-                accuracyRate: true,
-              }
-            },
-            stakes: {
-              where: { status: 'ACTIVE' },
-              select: {
-                amount: true,
-                agent: {
-                  select: {
-                    reputationScore: true,
-                  }
-                }
-              }
-            }
-          }
-        },
+        ...CONSENSUS_DATA_INCLUDE,
         consensusLogs: {
           orderBy: { createdAt: 'desc' },
           take: 1,
@@ -81,36 +85,22 @@ router.post('/calculate/:questionId',
       }
     }
 
-    // Calculate consensus based on algorithm
-    const startTime = Date.now();
-    const consensusResult = await calculateConsensus(question, algorithm);
-    const calculationTimeMs = Date.now() - startTime;
-
-    // Save consensus results
-    const consensusLog = await prisma.consensusLog.create({
-      data: {
-        questionId,
-        algorithm,
-        participantCount: question.answers.length,
-        confidenceLevel: consensusResult.confidenceLevel,
-        winningAnswerId: consensusResult.winningAnswer?.id || null,
-        consensusStrength: consensusResult.consensusStrength,
-        calculationTimeMs,
-      }
-    });
-
-    // Update answer weights and ranks
-    await updateAnswerWeights(questionId, consensusResult.rankedAnswers);
-
-    // Update question status if consensus reached
-    if (consensusResult.consensusReached) {
-      await prisma.question.update({
-        where: { id: questionId },
-        data: { 
-          status: 'CONSENSUS',
-          consensusReachedAt: new Date(),
-        }
-      });
+    // Calculate and apply consensus through the shared algorithm registry
+    const run = await runConsensus(prisma, question, { algorithm, parameters });
+    const {
+      result: consensusResult,
+      evaluation,
+      consensusLog,
+      rankedAnswers,
+      winningAnswer,
+      settlement,
+      reputation,
+      calculationTimeMs,
+    } = run;
+    const clusters = (consensusResult.clusters || []).map(cluster => formatCluster(cluster, rankedAnswers));
+
+    for (const [type, payload] of consensusRunEvents(question, run)) {
+      await redisClient.publish(type, payload);
     }
 
     res.json({
@@ -118,19 +108,37 @@ router.post('/calculate/:questionId',
       data: {
         consensus: {
           id: consensusLog.id,
-          algorithm,
+          algorithm: consensusResult.algorithm,
+          snapshotHash: consensusLog.snapshotHash,
+          version: consensusResult.version,
+          parameters: consensusResult.parameters,
           consensusReached: consensusResult.consensusReached,
+          outcome: evaluation.outcome,
           confidenceLevel: consensusResult.confidenceLevel,
           consensusStrength: consensusResult.consensusStrength,
+          threshold: evaluation.threshold,
+          marginToThreshold: evaluation.marginToThreshold,
+          questionStatus: evaluation.status,
+          nextDebateRound: evaluation.nextDebateRound,
           participantCount: question.answers.length,
           calculationTime: `${calculationTimeMs}ms`,
+          ...(consensusResult.quorum && {
+            mode: consensusResult.mode,
+            faultFraction: consensusResult.faultFraction,
+            quorumMet: consensusResult.quorumMet,
+            quorum: consensusResult.quorum,
+            outliers: consensusResult.outliers,
+          }),
         },
-        results: consensusResult.rankedAnswers.slice(0, 5), // Top 5 answers
-        winningAnswer: consensusResult.winningAnswer,
+        aggregate: consensusResult.aggregate || null,
+        results: rankedAnswers.slice(0, 5), // Top 5 answers
+        winningAnswer,
+        winningCluster: clusters.find(cluster => cluster.id === consensusResult.winningClusterId) || null,
+        clusters: clusters.map(({ members, ...cluster }) => cluster),
+        settlement,
+        reputation,
       },
-      message: consensusResult.consensusReached 
-        ? 'Consensus reached successfully' 
-        : 'Consensus calculation completed (threshold not met)'
+      message: OUTCOME_MESSAGES[evaluation.outcome],
     });
   })
 );
@@ -149,6 +157,8 @@ router.get('/:questionId',
         status: true,
         consensusThreshold: true,
         consensusReachedAt: true,
+        answerType: true,
+        answerSpec: true,
       }
     });
 
@@ -192,6 +202,15 @@ router.get('/:questionId',
       orderBy: { rank: 'asc' }
     });
 
+    const answersForClusters = consensusWeights.map(cw => ({
+      ...cw.answer,
+      finalWeight: cw.finalWeight,
+      rank: cw.rank,
+    }));
+    const loggedResult = latestConsensus.result || {};
+    const winningCluster = (loggedResult.clusters || [])
+      .find(cluster => cluster.id === loggedResult.winningClusterId);
+
     const response = {
       question,
       consensus: {
@@ -204,13 +223,18 @@ router.get('/:questionId',
         calculatedAt: latestConsensus.createdAt,
         calculationTime: `${latestConsensus.calculationTimeMs}ms`,
         consensusReached: question.consensusReachedAt !== null,
+        outcome: latestConsensus.outcome,
+        marginToThreshold: Number(latestConsensus.consensusStrength) - Number(question.consensusThreshold),
       },
+      winningCluster: winningCluster ? formatCluster(winningCluster, answersForClusters) : null,
+      aggregate: loggedResult.aggregate || null,
       rankedAnswers: consensusWeights.map(cw => ({
         rank: cw.rank,
         weight: cw.finalWeight,
         answer: {
           id: cw.answer.id,
           content: cw.answer.content,
+          value: cw.answer.value,
           confidence: cw.answer.confidence,
           submittedAt: cw.answer.submittedAt,
           agent: cw.answer.agent,
@@ -225,6 +249,50 @@ router.get('/:questionId',
   })
 );
 
+// GET /api/consensus/:questionId/replay/:logId - Re-run a logged calculation and verify it
+router.get('/:questionId/replay/:logId',
+  validateSchema(replayConsensusParamSchema, 'params'),
+  asyncHandler(async (req, res) => {
+    const { questionId, logId } = req.params;
+
+    const consensusLog = await prisma.consensusLog.findFirst({
+      where: { id: logId, questionId },
+    });
+
+    if (!consensusLog) {
+      throw new NotFoundError('Consensus log not found for this question');
+    }
+
+    if (!consensusLog.inputSnapshot) {
+      throw new BusinessLogicError('Consensus log predates input snapshots and cannot be replayed');
+    }
+
+    if (!consensusRegistry.has(consensusLog.algorithm, consensusLog.algorithmVersion)) {
+      throw new BusinessLogicError(
+        `Algorithm ${consensusLog.algorithm} v${consensusLog.algorithmVersion} is no longer registered`
+      );
+    }
+
+    const audit = replayConsensusLog(consensusLog);
+
+    res.json({
+      success: true,
+      data: {
+        consensusLogId: consensusLog.id,
+        questionId,
+        algorithm: consensusLog.algorithm,
+        algorithmVersion: consensusLog.algorithmVersion,
+        parameters: consensusLog.parameters,
+        calculatedAt: consensusLog.createdAt,
+        ...audit,
+      },
+      message: audit.verified
+        ? 'Replay matches the logged consensus result'
+        : 'Replay does not match the logged consensus result'
+    });
+  })
+);
+
 // GET /api/consensus/weights/:questionId - Get weighted answer rankings
 router.get('/weights/:questionId',
   validateSchema(questionIdParamSchema, 'params'),
@@ -258,7 +326,7 @@ router.get('/weights/:questionId',
             _count: {
               select: {
                 stakes: true,
-                critiques: true,
+                critiques: { where: { parentCritiqueId: null } },
               }
             }
           }
@@ -310,163 +378,23 @@ router.get('/weights/:questionId',
   })
 );
 
-// Helper function to calculate consensus using different algorithms
-async function calculateConsensus(question, algorithm) {
-  const answers = question.answers;
-  
-  switch (algorithm) {
-    case 'BFT':
-      return calculateBFTConsensus(answers, question.consensusThreshold);
-    case 'DPoR':
-      return calculateDPoRConsensus(answers, question.consensusThreshold);
-    case 'Hybrid':
-    default:
-      return calculateHybridConsensus(answers, question.consensusThreshold);
-  }
-}
-
-// Byzantine Fault Tolerance algorithm
-function calculateBFTConsensus(answers, threshold) {
-  // Simple BFT: answers with >2/3 agreement by reputation-weighted vote
-  const totalReputation = answers.reduce((sum, answer) => 
-    sum + Number(answer.agent.reputationScore), 0
-  );
-
-  const rankedAnswers = answers.map(answer => {
-    const reputationWeight = Number(answer.agent.reputationScore) / totalReputation;
-    const confidenceWeight = Number(answer.confidence);
-    const finalWeight = reputationWeight * 0.7 + confidenceWeight * 0.3;
-
-    return {
-      ...answer,
-      finalWeight,
-      rank: 0, // Will be set after sorting
-    };
-  }).sort((a, b) => b.finalWeight - a.finalWeight);
-
-  // Assign ranks
-  rankedAnswers.forEach((answer, index) => {
-    answer.rank = index + 1;
-  });
-
-  const topWeight = rankedAnswers[0]?.finalWeight || 0;
-  const consensusStrength = topWeight;
-  const consensusReached = consensusStrength >= threshold;
-
-  return {
-    consensusReached,
-    consensusStrength,
-    confidenceLevel: consensusStrength,
-    rankedAnswers,
-    winningAnswer: consensusReached ? rankedAnswers[0] : null,
-  };
-}
-
-// Delegated Proof of Reputation algorithm
-function calculateDPoRConsensus(answers, threshold) {
-  // Weight answers by agent reputation and stakes received
-  const rankedAnswers = answers.map(answer => {
-    const reputationScore = Number(answer.agent.reputationScore);
-    const stakesWeight = answer.stakes.reduce((sum, stake) => 
-      sum + (Number(stake.amount) * Number(stake.agent.reputationScore)), 0
-    );
-    
-    const finalWeight = (reputationScore * 0.6) + (stakesWeight * 0.4);
-
-    return {
-      ...answer,
-      finalWeight: finalWeight / 1000, // Normalize
-      rank: 0,
-    };
-  }).sort((a, b) => b.finalWeight - a.finalWeight);
-
-  // Assign ranks
-  rankedAnswers.forEach((answer, index) => {
-    answer.rank = index + 1;
-  });
-
-  const topWeight = rankedAnswers[0]?.finalWeight || 0;
-  const secondWeight = rankedAnswers[1]?.finalWeight || 0;
-  const consensusStrength = topWeight - secondWeight; // Lead margin
-  const consensusReached = consensusStrength >= threshold;
-
-  return {
-    consensusReached,
-    consensusStrength,
-    confidenceLevel: topWeight,
-    rankedAnswers,
-    winningAnswer: consensusReached ? rankedAnswers[0] : null,
-  };
-}
-
-// Hybrid algorithm (combines BFT and DPoR)
-function calculateHybridConsensus(answers, threshold) {
-  const bftResult = calculateBFTConsensus(answers, threshold);
-  const dporResult = calculateDPoRConsensus(answers, threshold);
-
-  // Combine weights from both algorithms
-  const combinedAnswers = answers.map(answer => {
-    const bftAnswer = bftResult.rankedAnswers.find(a => a.id === answer.id);
-    const dporAnswer = dporResult.rankedAnswers.find(a => a.id === answer.id);
-    
-    const finalWeight = (bftAnswer.finalWeight * 0.5) + (dporAnswer.finalWeight * 0.5);
-    
-    return {
-      ...answer,
-      finalWeight,
-      rank: 0,
-    };
-  }).sort((a, b) => b.finalWeight - a.finalWeight);
-
-  // Assign ranks
-  combinedAnswers.forEach((answer, index) => {
-    answer.rank = index + 1;
-  });
-
-  const topWeight = combinedAnswers[0]?.finalWeight || 0;
-  const consensusStrength = topWeight;
-  const consensusReached = consensusStrength >= threshold;
+// Shape a consensus cluster with its member answers and canonical answer
+function formatCluster(cluster, answers) {
+  const members = cluster.answerIds
+    .map(answerId => answers.find(answer => answer.id === answerId))
+    .filter(Boolean);
 
   return {
-    consensusReached,
-    consensusStrength,
-    confidenceLevel: (bftResult.confidenceLevel + dporResult.confidenceLevel) / 2,
-    rankedAnswers: combinedAnswers,
-    winningAnswer: consensusReached ? combinedAnswers[0] : null,
+    id: cluster.id,
+    weight: cluster.weight,
+    share: cluster.share,
+    cohesion: cluster.cohesion,
+    size: cluster.answerIds.length,
+    representativeAnswer: members.find(answer => answer.id === cluster.representativeAnswerId) || null,
+    members,
   };
 }
 
-// Update answer weights in database
-async function updateAnswerWeights(questionId, rankedAnswers) {
-  // Delete existing consensus weights
-  await prisma.consensusWeight.deleteMany({
-    where: { questionId }
-  });
-
-  // Insert new weights
-  const weightData = rankedAnswers.map(answer => ({
-    questionId,
-    answerId: answer.id,
-    agentId: answer.agentId,
-    finalWeight: answer.finalWeight,
-    rank: answer.rank,
-  }));
-
-  await prisma.consensusWeight.createMany({
-    data: weightData
-  });
-
-  // Update individual answer weights
-  for (const answer of rankedAnswers) {
-    await prisma.answer.update({
-      where: { id: answer.id },
-      data: {
-        finalWeight: answer.finalWeight,
-        consensusRank: answer.rank,
-      }
-    });
-  }
-}
 
 // Helper to calculate weight distribution
 function calculateWeightDistribution(weights) {
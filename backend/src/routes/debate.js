@@ -1,13 +1,26 @@
 import express from 'express';
 import { prisma } from '../lib/prisma.js';
-import { requireAuth } from '../middleware/auth.js';
+import { requireAuth, requireModerator } from '../middleware/auth.js';
 import { asyncHandler, NotFoundError, BusinessLogicError, ConflictError } from '../middleware/errorHandler.js';
 import { 
   startDebateSchema,
   submitCritiqueSchema,
+  submitReplySchema,
+  critiqueVoteSchema,
+  argumentMapQuerySchema,
+  idParamSchema,
   questionIdParamSchema,
   validateSchema 
 } from '../validation/schemas.js';
+import { CONSENSUS_DATA_INCLUDE } from '../services/consensus-registry.js';
+import { debateRoundDeadline, debateRoundEvent, DEBATE_MODES } from '../services/consensus-outcome.js';
+import { runConsensus, consensusRunEvents } from '../services/consensus-runner.js';
+import { endDebateRound } from '../services/debate-orchestrator.js';
+import { critiqueStanding, REBUTTED_BELOW } from '../services/consensus-algorithms.js';
+import { castCritiqueVote, effectiveImpact, VOTABLE_STATUSES } from '../services/critique-votes.js';
+import { buildArgumentGraph, toAif, toDot } from '../services/argument-map.js';
+import { queueWebhooks, queueDebateRoundStarted, WEBHOOK_EVENTS } from '../services/webhooks.js';
+import redisClient from '../lib/redis.js';
 
 const router = express.Router();
 
@@ -25,7 +38,7 @@ router.post('/start/:questionId',
       where: { id: questionId },
       include: {
         answers: {
-          select: { id: true }
+          select: { id: true, agentId: true }
         },
         debateRounds: {
           select: { roundNumber: true },
@@ -62,31 +75,40 @@ router.post('/start/:questionId',
     // Determine next round number
     const nextRoundNumber = (question.debateRounds[0]?.roundNumber || 0) + 1;
 
-    // Create new debate round
-    const debateRound = await prisma.debateRound.create({
-      data: {
-        questionId,
-        roundNumber: nextRoundNumber,
-        topic,
-      },
-      include: {
-        question: {
-          select: {
-            id: true,
-            text: true,
-            category: true,
+    const debateRound = await prisma.$transaction(async (tx) => {
+      // Create new debate round
+      const created = await tx.debateRound.create({
+        data: {
+          questionId,
+          roundNumber: nextRoundNumber,
+          topic,
+          deadlineAt: debateRoundDeadline(question),
+        },
+        include: {
+          question: {
+            select: {
+              id: true,
+              text: true,
+              category: true,
+            }
           }
         }
+      });
+
+      // Update question status to DEBATING if it was OPEN
+      if (question.status === 'OPEN') {
+        await tx.question.update({
+          where: { id: questionId },
+          data: { status: 'DEBATING' }
+        });
       }
+
+      await queueDebateRoundStarted(tx, created, question.answers.map(answer => answer.agentId));
+      return created;
     });
 
-    // Update question status to DEBATING if it was OPEN
-    if (question.status === 'OPEN') {
-      await prisma.question.update({
-        where: { id: questionId },
-        data: { status: 'DEBATING' }
-      });
-    }
+    await redisClient.publish('debate:round:started',
+      debateRoundEvent(debateRound, question.answers.map(answer => answer.agentId)));
 
     res.status(201).json({
       success: true,
@@ -163,6 +185,7 @@ router.post('/critique',
         debateRoundId,
         agentId,
         targetAnswerId,
+        parentCritiqueId: null,
       }
     });
 
@@ -170,14 +193,144 @@ router.post('/critique',
       throw new ConflictError('You have already submitted a critique for this answer in this round');
     }
 
-    // Create the critique
-    const critique = await prisma.critique.create({
+    // Create the critique and notify the answer's author
+    const critique = await prisma.$transaction(async (tx) => {
+      const created = await tx.critique.create({
+        data: {
+          debateRoundId,
+          agentId,
+          targetAnswerId,
+          content,
+          type,
+          impact,
+        },
+        include: {
+          agent: {
+            select: {
+              id: true,
+              name: true,
+              platform: true,
+              reputationScore: true,
+            }
+          },
+          targetAnswer: {
+            select: {
+              id: true,
+              content: true,
+              agent: {
+                select: {
+                  id: true,
+                  name: true,
+                }
+              }
+            }
+          },
+          debateRound: {
+            select: {
+              id: true,
+              roundNumber: true,
+              topic: true,
+              question: {
+                select: {
+                  id: true,
+                  text: true,
+                }
+              }
+            }
+          }
+        }
+      });
+
+      await queueWebhooks(tx, WEBHOOK_EVENTS.ANSWER_CRITIQUED, [{
+        agentId: targetAnswer.agentId,
+        data: {
+          questionId: debateRound.questionId,
+          answerId: targetAnswerId,
+          critiqueId: created.id,
+          debateRoundId,
+          roundNumber: created.debateRound.roundNumber,
+          type,
+          content,
+          impact,
+          critic: { id: created.agent.id, name: created.agent.name },
+        }
+      }]);
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: critique,
+      message: 'Critique submitted successfully'
+    });
+  })
+);
+
+// POST /api/debate/critiques/:id/replies - Rebut or endorse a critique, rebuttal or endorsement
+router.post('/critiques/:id/replies',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(submitReplySchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { debateRoundId, kind, content, impact } = req.body;
+    const agentId = req.agent.id;
+
+    const parent = await prisma.critique.findUnique({
+      where: { id },
+      include: {
+        debateRound: {
+          select: { questionId: true }
+        }
+      }
+    });
+
+    if (!parent) {
+      throw new NotFoundError('Critique not found');
+    }
+
+    // Replies may come in a later round than the critique, but always in a running one
+    const debateRound = await prisma.debateRound.findUnique({
+      where: { id: debateRoundId },
+      select: { id: true, questionId: true, endedAt: true }
+    });
+
+    if (!debateRound) {
+      throw new NotFoundError('Debate round not found');
+    }
+
+    if (debateRound.questionId !== parent.debateRound.questionId) {
+      throw new BusinessLogicError('Debate round does not belong to the critique\'s question');
+    }
+
+    if (debateRound.endedAt) {
+      throw new BusinessLogicError('Cannot reply: debate round has ended');
+    }
+
+    if (parent.agentId === agentId) {
+      throw new BusinessLogicError('Cannot reply to your own critique');
+    }
+
+    const existingReply = await prisma.critique.findFirst({
+      where: {
+        parentCritiqueId: id,
+        agentId,
+        kind,
+      }
+    });
+
+    if (existingReply) {
+      throw new ConflictError(`You have already submitted a ${kind.toLowerCase()} of this critique`);
+    }
+
+    const reply = await prisma.critique.create({
       data: {
         debateRoundId,
         agentId,
-        targetAnswerId,
+        targetAnswerId: parent.targetAnswerId,
+        parentCritiqueId: id,
+        kind,
         content,
-        type,
         impact,
       },
       include: {
@@ -189,43 +342,176 @@ router.post('/critique',
             reputationScore: true,
           }
         },
-        targetAnswer: {
+        parentCritique: {
           select: {
             id: true,
+            kind: true,
             content: true,
-            agent: {
-              select: {
-                id: true,
-                name: true,
-              }
-            }
+            agentId: true,
           }
-        },
+        }
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: reply,
+      message: `${kind === 'REBUTTAL' ? 'Rebuttal' : 'Endorsement'} submitted successfully`
+    });
+  })
+);
+
+// POST /api/debate/critiques/:id/votes - Vote a critique, rebuttal or endorsement up or down
+router.post('/critiques/:id/votes',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(critiqueVoteSchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { vote } = req.body;
+    const agentId = req.agent.id;
+
+    const critique = await prisma.critique.findUnique({
+      where: { id },
+      include: {
         debateRound: {
           select: {
-            id: true,
-            roundNumber: true,
-            topic: true,
             question: {
-              select: {
-                id: true,
-                text: true,
-              }
+              select: { id: true, status: true }
             }
           }
+        },
+        targetAnswer: {
+          select: { agentId: true }
+        },
+        parentCritique: {
+          select: { agentId: true }
         }
       }
     });
 
+    if (!critique) {
+      throw new NotFoundError('Critique not found');
+    }
+
+    const { question } = critique.debateRound;
+    if (!VOTABLE_STATUSES.includes(question.status)) {
+      throw new BusinessLogicError(`Cannot vote: question is ${question.status.toLowerCase()}`);
+    }
+
+    // The critic and the agents it argues with have a stake in the outcome
+    if (critique.agentId === agentId) {
+      throw new BusinessLogicError('Cannot vote on your own critique');
+    }
+
+    if (critique.targetAnswer.agentId === agentId || critique.parentCritique?.agentId === agentId) {
+      throw new BusinessLogicError('Cannot vote on a critique of your own answer or critique');
+    }
+
+    const [answered, critiqued] = await Promise.all([
+      prisma.answer.count({ where: { questionId: question.id, agentId } }),
+      prisma.critique.count({ where: { agentId, debateRound: { questionId: question.id } } }),
+    ]);
+
+    if (answered === 0 && critiqued === 0) {
+      throw new BusinessLogicError('Only agents taking part in this question can vote on its critiques', 403);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const voter = await tx.agent.findUnique({
+        where: { id: agentId },
+        select: { id: true, reputationScore: true, trustFactor: true }
+      });
+      return castCritiqueVote(tx, critique, voter, vote);
+    });
+
     res.status(201).json({
       success: true,
-      data: critique,
-      message: 'Critique submitted successfully'
+      data: {
+        vote: result.vote,
+        critique: {
+          id: result.critique.id,
+          declaredImpact: result.critique.impact,
+          impact: effectiveImpact(result.critique),
+          upWeight: result.critique.upWeight,
+          downWeight: result.critique.downWeight,
+        }
+      },
+      message: 'Vote recorded'
+    });
+  })
+);
+
+// GET /api/debate/:questionId/export - Export the debate as an argument map (AIF JSON-LD or Graphviz DOT)
+router.get('/:questionId/export',
+  validateSchema(questionIdParamSchema, 'params'),
+  validateSchema(argumentMapQuerySchema, 'query'),
+  asyncHandler(async (req, res) => {
+    const { questionId } = req.params;
+    const { format } = req.query;
+
+    const question = await prisma.question.findUnique({
+      where: { id: questionId },
+      select: {
+        id: true,
+        text: true,
+        category: true,
+        status: true,
+        createdAt: true,
+        answers: {
+          select: {
+            id: true,
+            content: true,
+            confidence: true,
+            revision: true,
+            submittedAt: true,
+            revisedAt: true,
+            finalWeight: true,
+            consensusRank: true,
+            agent: {
+              select: { id: true, name: true }
+            },
+            revisions: {
+              select: { revision: true, content: true, confidence: true, roundNumber: true, createdAt: true },
+              orderBy: { revision: 'asc' }
+            }
+          },
+          orderBy: { submittedAt: 'asc' }
+        },
+        debateRounds: {
+          select: {
+            roundNumber: true,
+            critiques: {
+              include: {
+                agent: {
+                  select: { id: true, name: true }
+                }
+              },
+              orderBy: { createdAt: 'asc' }
+            }
+          },
+          orderBy: { roundNumber: 'asc' }
+        }
+      }
     });
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const graph = buildArgumentGraph(question);
+
+    if (format === 'dot') {
+      res.set('Content-Disposition', `attachment; filename="debate-${questionId}.dot"`);
+      return res.type('text/vnd.graphviz').send(toDot(graph));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="debate-${questionId}.jsonld"`);
+    res.type('application/ld+json').send(JSON.stringify(toAif(graph), null, 2));
   })
 );
 
-// GET /api/debate/:questionId - Get debate rounds and critiques
+// GET /api/debate/:questionId - Get debate rounds, critiques and the argument tree
 router.get('/:questionId',
   validateSchema(questionIdParamSchema, 'params'),
   asyncHandler(async (req, res) => {
@@ -278,7 +564,7 @@ router.get('/:questionId',
         },
         _count: {
           select: {
-            critiques: true,
+            critiques: { where: { parentCritiqueId: null } },
           }
         }
       },
@@ -309,10 +595,10 @@ router.get('/:questionId',
     const totalCritiques = debateRounds.reduce((sum, round) => sum + round._count.critiques, 0);
     const activeRounds = debateRounds.filter(round => !round.endedAt).length;
     
-    // Group critiques by type
+    // Group critiques by type (replies carry the default type, so they are left out)
     const critiqueStats = {};
     debateRounds.forEach(round => {
-      round.critiques.forEach(critique => {
+      round.critiques.filter(critique => !critique.parentCritiqueId).forEach(critique => {
         critiqueStats[critique.type] = (critiqueStats[critique.type] || 0) + 1;
       });
     });
@@ -328,9 +614,12 @@ router.get('/:questionId',
       critiqueCount: round._count.critiques,
       critiques: round.critiques.map(critique => ({
         id: critique.id,
+        kind: critique.kind,
+        parentCritiqueId: critique.parentCritiqueId,
         type: critique.type,
         content: critique.content,
-        impact: critique.impact,
+        impact: effectiveImpact(critique),
+        declaredImpact: critique.impact,
         createdAt: critique.createdAt,
         author: critique.agent,
         targetAnswer: {
@@ -345,6 +634,7 @@ router.get('/:questionId',
     const response = {
       question,
       debateRounds: formattedRounds,
+      argumentTree: buildArgumentTree(answers, debateRounds),
       answers: answers.map(answer => ({
         ...answer,
         preview: answer.content.substring(0, 150) + '...',
@@ -367,21 +657,29 @@ router.get('/:questionId',
   })
 );
 
-// PUT /api/debate/rounds/:id/end - End debate round (admin only)
+// PUT /api/debate/rounds/:id/end - End debate round (admin, resolver or the question's asker)
 router.put('/rounds/:id/end',
-  requireAuth,
+  requireModerator,
   validateSchema({ id: 'string' }, 'params'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
-    // For now, allow any authenticated agent to end rounds
-    // In production, you might want to restrict this to moderators/admins
     const debateRound = await prisma.debateRound.findUnique({
       where: { id },
       include: {
+        question: {
+          select: {
+            id: true,
+            askerId: true,
+            debateMode: true,
+            answers: {
+              select: { agentId: true }
+            },
+          }
+        },
         _count: {
           select: {
-            critiques: true,
+            critiques: { where: { parentCritiqueId: null } },
           }
         }
       }
@@ -391,21 +689,47 @@ router.put('/rounds/:id/end',
       throw new NotFoundError('Debate round not found');
     }
 
-    if (debateRound.endedAt) {
+    if (!req.isResolver && debateRound.question.askerId !== req.moderator) {
+      throw new BusinessLogicError('Only an admin, a resolver or the question\'s asker can end a debate round', 403);
+    }
+
+    if (debateRound.endedAt || !(await endDebateRound(prisma, id, req.moderator))) {
       throw new BusinessLogicError('Debate round is already ended');
     }
 
-    // End the debate round
-    const updatedRound = await prisma.debateRound.update({
-      where: { id },
-      data: { endedAt: new Date() }
-    });
+    const updatedRound = await prisma.debateRound.findUnique({ where: { id } });
+    await redisClient.publish('debate:round:ended',
+      debateRoundEvent(updatedRound, debateRound.question.answers.map(answer => answer.agentId)));
+
+    // AUTO questions are re-evaluated after every round, as when the orchestrator ends one
+    let consensus = null;
+    if (debateRound.question.debateMode === DEBATE_MODES.AUTO) {
+      const question = await prisma.question.findUnique({
+        where: { id: debateRound.questionId },
+        include: CONSENSUS_DATA_INCLUDE,
+      });
+
+      if (['OPEN', 'DEBATING'].includes(question.status) && question.answers.length >= question.minAnswers) {
+        const run = await runConsensus(prisma, question);
+        for (const [type, payload] of consensusRunEvents(question, run)) {
+          await redisClient.publish(type, payload);
+        }
+
+        consensus = {
+          outcome: run.evaluation.outcome,
+          consensusStrength: run.result.consensusStrength,
+          questionStatus: run.evaluation.status,
+          nextDebateRound: run.debateRound,
+        };
+      }
+    }
 
     res.json({
       success: true,
       data: {
         ...updatedRound,
         critiqueCount: debateRound._count.critiques,
+        consensus,
       },
       message: 'Debate round ended successfully'
     });
@@ -427,7 +751,9 @@ router.get('/rounds/:id/summary',
             text: true,
           }
         },
+        // Replies are discussion of critiques, not critiques of the answers
         critiques: {
+          where: { parentCritiqueId: null },
           include: {
             agent: {
               select: {
@@ -474,6 +800,49 @@ router.get('/rounds/:id/summary',
   })
 );
 
+// Answers with their critiques, each critique nesting its rebuttals and endorsements
+function buildArgumentTree(answers, debateRounds) {
+  const critiques = debateRounds.flatMap(round => round.critiques.map(critique => ({
+    ...critique,
+    roundNumber: round.roundNumber,
+  })));
+  const standing = critiqueStanding(critiques.map(critique => ({
+    id: critique.id,
+    parentCritiqueId: critique.parentCritiqueId,
+    kind: critique.kind,
+    impact: effectiveImpact(critique),
+  })));
+
+  const toNode = (critique) => ({
+    id: critique.id,
+    kind: critique.kind,
+    type: critique.parentCritiqueId ? null : critique.type,
+    content: critique.content,
+    impact: effectiveImpact(critique),
+    declaredImpact: critique.impact,
+    votes: { upWeight: critique.upWeight, downWeight: critique.downWeight },
+    standing: Math.round(standing[critique.id] * 10000) / 10000,
+    rebutted: standing[critique.id] < REBUTTED_BELOW,
+    roundNumber: critique.roundNumber,
+    createdAt: critique.createdAt,
+    author: critique.agent,
+    replies: critiques
+      .filter(reply => reply.parentCritiqueId === critique.id)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(toNode),
+  });
+
+  return answers.map(answer => ({
+    answerId: answer.id,
+    preview: answer.content.substring(0, 150),
+    author: answer.agent,
+    critiques: critiques
+      .filter(critique => critique.targetAnswerId === answer.id && !critique.parentCritiqueId)
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(toNode),
+  }));
+}
+
 // Helper function to analyze critiques
 function analyzeCritiques(critiques) {
   if (critiques.length === 0) {
@@ -499,7 +868,7 @@ function analyzeCritiques(critiques) {
   };
 
   critiques.forEach(critique => {
-    const impact = Number(critique.impact);
+    const impact = effectiveImpact(critique);
     if (impact < 0.3) impactRanges['Low (0.0-0.3)']++;
     else if (impact < 0.7) impactRanges['Medium (0.3-0.7)']++;
     else impactRanges['High (0.7-1.0)']++;
@@ -517,7 +886,7 @@ function analyzeCritiques(critiques) {
       };
     }
     criticStats[critique.agentId].critiqueCount++;
-    criticStats[critique.agentId].totalImpact += Number(critique.impact);
+    criticStats[critique.agentId].totalImpact += effectiveImpact(critique);
   });
 
   // Calculate averages and sort
@@ -538,7 +907,7 @@ function analyzeCritiques(critiques) {
     insights.push(`Most common critique type: ${mostCommonType[0]} (${mostCommonType[1]} critiques)`);
   }
 
-  const avgImpact = critiques.reduce((sum, c) => sum + Number(c.impact), 0) / critiques.length;
+  const avgImpact = critiques.reduce((sum, c) => sum + effectiveImpact(c), 0) / critiques.length;
   insights.push(`Average impact score: ${avgImpact.toFixed(2)}`);
 
   if (topCritics.length > 0) {
@@ -6,6 +6,7 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const ConsensusEngine = require('../services/consensus-engine');
+const { consensusRegistry } = require('../services/consensus-registry');
 const { authenticateAgent, checkRateLimit } = require('../middleware/auth');
 const redis = require('redis');
 
@@ -92,7 +93,15 @@ router.get('/:questionId', async (req, res) => {
 router.post('/:questionId/trigger', authenticateAgent, checkRateLimit, async (req, res) => {
     try {
         const { questionId } = req.params;
-        const { urgent = false, algorithm = null } = req.body;
+        const { urgent = false, algorithm = null, parameters = {} } = req.body;
+        
+        if (algorithm && !consensusRegistry.has(algorithm)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown algorithm '${algorithm}'`,
+                availableAlgorithms: consensusRegistry.names()
+            });
+        }
         
         // Check if question exists and is eligible for consensus
         const question = await prisma.question.findUnique({
@@ -123,10 +132,24 @@ router.post('/:questionId/trigger', authenticateAgent, checkRateLimit, async (re
             });
         }
         
+        // Parameters are checked against the algorithm the job will run, including the engine's own pick,
+        // so bad parameters fail here rather than in the queued job
+        const selectedAlgorithm = algorithm || consensusEngine.selectOptimalAlgorithm(question, question.answers.length);
+        try {
+            consensusRegistry.parseParameters(selectedAlgorithm, parameters);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                details: error.details
+            });
+        }
+        
         // Trigger async consensus calculation
         const job = await consensusEngine.triggerConsensus(questionId, {
             urgent,
-            algorithm,
+            algorithm: selectedAlgorithm,
+            parameters,
             requestedBy: req.agent.id
         });
         
@@ -1,14 +1,27 @@
 import express from 'express';
 import { prisma } from '../lib/prisma.js';
-import { optionalAuth, requireAuth } from '../middleware/auth.js';
-import { asyncHandler, NotFoundError, BusinessLogicError } from '../middleware/errorHandler.js';
+import { optionalAuth, requireAuth, requireResolver, requireModerator } from '../middleware/auth.js';
+import { asyncHandler, NotFoundError, BusinessLogicError, ConflictError } from '../middleware/errorHandler.js';
 import { 
   createQuestionSchema, 
   questionQuerySchema, 
   closeQuestionSchema,
+  addBountySchema,
+  invitationResponseSchema,
+  marketTradeSchema,
+  verifyQuestionSchema,
   idParamSchema,
   validateSchema 
 } from '../validation/schemas.js';
+import { verifyQuestion } from '../services/verification.js';
+import { settleQuestion, refundStakesOnClose } from '../services/settlement.js';
+import { fundBounty, refundOnClose, bountyPool } from '../services/bounty.js';
+import { updateQuestionReputation } from '../services/reputation.js';
+import { openMarket, trade, settleMarket, impliedOutcome, isMarketOutcome, marketSummary } from '../services/market.js';
+import { accountSummary } from '../services/ledger.js';
+import { queueQuestionOpened } from '../services/webhooks.js';
+import { routeQuestion, invitationEvent, respondToInvitation, INVITATION_STATUS } from '../services/question-routing.js';
+import redisClient from '../lib/redis.js';
 
 const router = express.Router();
 
@@ -17,33 +30,78 @@ router.post('/',
   requireAuth,
   validateSchema(createQuestionSchema, 'body'),
   asyncHandler(async (req, res) => {
-    const { text, description, category, minAnswers, maxAnswers, consensusThreshold, openUntil } = req.body;
+    const { text, description, category, minAnswers, maxAnswers, consensusThreshold, maxDebateRounds, debateMode, debateRoundMinutes, panelSize, panelMaxPerPlatform, bounty, openUntil, answerType, answerSpec, options, market } = req.body;
     
-    // Create the question
-    const question = await prisma.question.create({
-      data: {
-        text,
-        description,
-        category,
-        minAnswers,
-        maxAnswers,
-        consensusThreshold,
-        openUntil: openUntil ? new Date(openUntil) : null,
-        status: 'OPEN',
-      },
-      include: {
-        _count: {
-          select: {
-            answers: true,
-          }
+    // Create the question, fund its bounty from the asker's balance, invite its panel and queue its webhooks together
+    const { question, panel } = await prisma.$transaction(async (tx) => {
+      const created = await tx.question.create({
+        data: {
+          text,
+          description,
+          category,
+          minAnswers,
+          maxAnswers,
+          consensusThreshold,
+          maxDebateRounds,
+          debateMode,
+          debateRoundMinutes,
+          panelSize,
+          panelMaxPerPlatform,
+          answerType,
+          answerSpec,
+          options: options
+            ? { create: options.map((option, position) => ({ ...option, position })) }
+            : undefined,
+          askerId: req.agent.id,
+          openUntil: openUntil ? new Date(openUntil) : null,
+          status: 'OPEN',
+        },
+        include: {
+          options: {
+            orderBy: { position: 'asc' },
+          },
         }
+      });
+
+      if (bounty > 0) {
+        await fundBounty(tx, { questionId: created.id, agentId: req.agent.id, amount: bounty });
+      }
+
+      if (market) {
+        await openMarket(tx, created, market);
       }
+
+      const question = await tx.question.findUnique({
+        where: { id: created.id },
+        include: {
+          options: {
+            orderBy: { position: 'asc' },
+          },
+          market: true,
+          _count: {
+            select: {
+              answers: true,
+            }
+          }
+        }
+      });
+
+      // The panel is invited; other agents whose capabilities or specialties match hear about it by webhook
+      const panel = await routeQuestion(tx, question);
+      await queueQuestionOpened(tx, question, { excludeAgentIds: panel.map(invitation => invitation.agentId) });
+      return { question, panel };
     });
 
+    for (const invitation of panel) {
+      await redisClient.publish('question:invited', invitationEvent(question, invitation));
+    }
+
     res.status(201).json({
       success: true,
       data: {
         ...question,
+        market: question.market ? marketSummary(question.market) : null,
+        panel: panel.map(invitationSummary),
         answerCount: question._count.answers,
         _count: undefined, // Remove _count from response
       },
@@ -159,7 +217,7 @@ router.get('/:id',
             _count: {
               select: {
                 stakes: true,
-                critiques: true,
+                critiques: { where: { parentCritiqueId: null } },
               }
             },
             stakes: {
@@ -201,12 +259,27 @@ router.get('/:id',
             endedAt: true,
             _count: {
               select: {
-                critiques: true,
+                critiques: { where: { parentCritiqueId: null } },
               }
             }
           },
           orderBy: { roundNumber: 'desc' },
           take: 5,
+        },
+        options: {
+          orderBy: { position: 'asc' },
+        },
+        market: true,
+        bountyContributions: {
+          orderBy: { createdAt: 'asc' },
+          include: {
+            agent: {
+              select: {
+                id: true,
+                name: true,
+              }
+            }
+          }
         }
       }
     });
@@ -228,6 +301,8 @@ router.get('/:id',
       ...question,
       answerCount: question._count.answers,
       answers: formattedAnswers,
+      bountyPool: bountyPool(question),
+      market: question.market ? marketSummary(question.market) : null,
       latestConsensus: question.consensusLogs[0] || null,
       recentDebateRounds: question.debateRounds.map(round => ({
         ...round,
@@ -237,6 +312,7 @@ router.get('/:id',
       _count: undefined,
       consensusLogs: undefined,
       debateRounds: undefined,
+      bountyContributions: undefined,
     };
 
     res.json({
@@ -246,9 +322,9 @@ router.get('/:id',
   })
 );
 
-// POST /api/questions/:id/close - Close question for new answers
+// POST /api/questions/:id/close - Close question for new answers (admin, resolver or the question's asker)
 router.post('/:id/close',
-  requireAuth,
+  requireModerator,
   validateSchema(idParamSchema, 'params'),
   validateSchema(closeQuestionSchema, 'body'),
   asyncHandler(async (req, res) => {
@@ -258,24 +334,189 @@ router.post('/:id/close',
     // Check if question exists and is not already closed
     const existingQuestion = await prisma.question.findUnique({
       where: { id },
-      select: { id: true, status: true, text: true }
+      select: { id: true, status: true, text: true, askerId: true, settledAt: true }
     });
 
     if (!existingQuestion) {
       throw new NotFoundError('Question not found');
     }
 
+    // Closing pays out the market and refunds bounty and stakes, so traders cannot trigger it
+    if (!req.isResolver && existingQuestion.askerId !== req.moderator) {
+      throw new BusinessLogicError('Only an admin, a resolver or the question\'s asker can close a question', 403);
+    }
+
     if (existingQuestion.status === 'CLOSED') {
       throw new BusinessLogicError('Question is already closed');
     }
 
-    // Update question status
-    const updatedQuestion = await prisma.question.update({
+    // A verified or settled question has paid out; closing it would refund what was already settled
+    if (existingQuestion.status === 'VERIFIED' || existingQuestion.settledAt) {
+      throw new BusinessLogicError('Question is already resolved and cannot be closed', 409);
+    }
+
+    // Update question status; an unsettled question returns its bounty and stakes, and an open
+    // market pays out at its last prices
+    const { updatedQuestion, bountyRefunds, refundedStakeIds, marketSettlement } = await prisma.$transaction(async (tx) => {
+      // Compare-and-set on the status seen above, so a verification or settlement in between wins
+      const closed = await tx.question.updateMany({
+        where: { id, status: existingQuestion.status, settledAt: null },
+        data: { status: 'CLOSED' }
+      });
+      if (closed.count === 0) {
+        throw new ConflictError('Question changed while closing, reload and retry');
+      }
+
+      const question = await tx.question.findUnique({
+        where: { id },
+        select: { id: true, askerId: true, status: true, bounty: true, bountyRefunded: true, settledAt: true }
+      });
+
+      // Refund based on the status the question was closed from
+      const bountyRefunds = await refundOnClose(tx, { ...question, status: existingQuestion.status });
+      const refundedStakeIds = await refundStakesOnClose(tx, question);
+      const marketSettlement = await settleMarket(tx, question, null);
+
+      const updatedQuestion = await tx.question.findUnique({
+        where: { id },
+        include: {
+          _count: {
+            select: {
+              answers: true,
+            }
+          }
+        }
+      });
+
+      return { updatedQuestion, bountyRefunds, refundedStakeIds, marketSettlement };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...updatedQuestion,
+        answerCount: updatedQuestion._count.answers,
+        bountyRefunds,
+        refundedStakeIds,
+        marketSettlement,
+        _count: undefined,
+      },
+      message: `Question closed successfully${reason ? ': ' + reason : ''}`
+    });
+  })
+);
+
+// POST /api/questions/:id/bounty - Add to a question's bounty from the caller's balance
+router.post('/:id/bounty',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(addBountySchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { amount } = req.body;
+
+    const existingQuestion = await prisma.question.findUnique({
       where: { id },
-      data: { 
-        status: 'CLOSED',
-        // Could add a reason field to the schema if needed
+      select: { id: true }
+    });
+
+    if (!existingQuestion) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const question = await prisma.$transaction(async (tx) => {
+      await fundBounty(tx, { questionId: id, agentId: req.agent.id, amount });
+
+      return tx.question.findUnique({
+        where: { id },
+        include: {
+          bountyContributions: {
+            orderBy: { createdAt: 'asc' },
+            include: {
+              agent: {
+                select: {
+                  id: true,
+                  name: true,
+                }
+              }
+            }
+          }
+        }
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        questionId: id,
+        bountyPool: bountyPool(question),
       },
+      message: `Added ${amount} tokens to the bounty`
+    });
+  })
+);
+
+// GET /api/questions/:id/panel - The agents invited to answer and how they responded
+router.get('/:id/panel',
+  optionalAuth,
+  validateSchema(idParamSchema, 'params'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const question = await prisma.question.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        panelSize: true,
+        panelMaxPerPlatform: true,
+        invitations: {
+          orderBy: { rank: 'asc' },
+          include: {
+            agent: {
+              select: {
+                id: true,
+                name: true,
+                platform: true,
+              }
+            }
+          }
+        }
+      }
+    });
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    const summary = Object.fromEntries(Object.values(INVITATION_STATUS).map(status => [status, 0]));
+    for (const invitation of question.invitations) {
+      summary[invitation.status] += 1;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        questionId: id,
+        panelSize: question.panelSize,
+        panelMaxPerPlatform: question.panelMaxPerPlatform,
+        summary,
+        invitations: question.invitations.map(invitationSummary),
+      }
+    });
+  })
+);
+
+// POST /api/questions/:id/invitation - Accept or decline the caller's invitation to answer
+router.post('/:id/invitation',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(invitationResponseSchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const accept = req.body.response === 'ACCEPT';
+
+    const question = await prisma.question.findUnique({
+      where: { id },
       include: {
         _count: {
           select: {
@@ -285,16 +526,271 @@ router.post('/:id/close',
       }
     });
 
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    if (question.status !== 'OPEN') {
+      throw new BusinessLogicError('Question is no longer taking answers');
+    }
+
+    // A decline hands the seat to the next candidate in the same transaction
+    const { invitation, replacements } = await prisma.$transaction(
+      tx => respondToInvitation(tx, question, req.agent.id, accept)
+    );
+
+    for (const replacement of replacements) {
+      await redisClient.publish('question:invited', invitationEvent(question, replacement));
+    }
+
+    res.json({
+      success: true,
+      data: invitationSummary(invitation),
+      message: accept ? 'Invitation accepted' : 'Invitation declined'
+    });
+  })
+);
+
+// GET /api/questions/:id/market - Prediction market prices (the live probabilities) and recent trades
+router.get('/:id/market',
+  optionalAuth,
+  validateSchema(idParamSchema, 'params'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const market = await prisma.predictionMarket.findUnique({
+      where: { questionId: id },
+      include: {
+        trades: {
+          orderBy: { createdAt: 'desc' },
+          take: 20,
+          include: {
+            agent: {
+              select: {
+                id: true,
+                name: true,
+              }
+            }
+          }
+        },
+        // Only the caller's own positions are shown
+        positions: req.agent
+          ? { where: { agentId: req.agent.id } }
+          : false,
+      }
+    });
+
+    if (!market) {
+      throw new NotFoundError('This question has no prediction market');
+    }
+
     res.json({
       success: true,
       data: {
-        ...updatedQuestion,
-        answerCount: updatedQuestion._count.answers,
-        _count: undefined,
+        questionId: id,
+        market: marketSummary(market, req.agent ? market.positions : null),
+        recentTrades: market.trades.map(marketTrade => ({
+          id: marketTrade.id,
+          agent: marketTrade.agent,
+          outcome: marketTrade.outcome,
+          shares: Number(marketTrade.shares),
+          cost: Number(marketTrade.cost),
+          priceBefore: Number(marketTrade.priceBefore),
+          priceAfter: Number(marketTrade.priceAfter),
+          createdAt: marketTrade.createdAt,
+        })),
+      }
+    });
+  })
+);
+
+// POST /api/questions/:id/market/trades - Buy (positive shares) or sell (negative shares) an outcome
+router.post('/:id/market/trades',
+  requireAuth,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(marketTradeSchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { outcome, shares, maxCost } = req.body;
+
+    const result = await prisma.$transaction(async (tx) => {
+      const traded = await trade(tx, { questionId: id, agentId: req.agent.id, outcome, shares, maxCost });
+      const market = await tx.predictionMarket.findUnique({ where: { questionId: id } });
+      return { ...traded, market };
+    });
+
+    await redisClient.publish('market:updated', {
+      questionId: id,
+      data: marketSummary(result.market),
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        trade: {
+          id: result.trade.id,
+          outcome,
+          shares: Number(result.trade.shares),
+          cost: Number(result.trade.cost),
+          priceBefore: Number(result.trade.priceBefore),
+          priceAfter: Number(result.trade.priceAfter),
+        },
+        position: {
+          outcome,
+          shares: Number(result.position.shares),
+          costBasis: Number(result.position.costBasis),
+        },
+        market: marketSummary(result.market),
+        balance: accountSummary(result.balance),
       },
-      message: `Question closed successfully${reason ? ': ' + reason : ''}`
+      message: `${shares > 0 ? 'Bought' : 'Sold'} ${Math.abs(shares)} shares for ${Math.abs(Number(result.trade.cost))} tokens`
     });
   })
 );
 
+// POST /api/questions/:id/verify - Submit the ground truth for a question
+router.post('/:id/verify',
+  requireResolver,
+  validateSchema(idParamSchema, 'params'),
+  validateSchema(verifyQuestionSchema, 'body'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const question = await prisma.question.findUnique({
+      where: { id },
+      include: {
+        answers: {
+          select: {
+            id: true,
+            agentId: true,
+            content: true,
+            value: true,
+          }
+        },
+        options: {
+          orderBy: { position: 'asc' },
+        },
+        market: {
+          select: { status: true, quantities: true },
+        },
+      }
+    });
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    // Resolvers cannot grade a question they answered themselves
+    if (question.answers.some(answer => answer.agentId === req.resolver)) {
+      throw new BusinessLogicError('Resolvers cannot verify questions they have answered');
+    }
+
+    // An open market needs a resolved outcome before anything is written; VOID pays out at last prices
+    const { marketOutcome: requestedOutcome, ...truth } = req.body;
+    const hasOpenMarket = question.market?.status === 'OPEN';
+    const marketOutcome = hasOpenMarket
+      ? requestedOutcome ?? impliedOutcome(question, truth)
+      : null;
+    if (hasOpenMarket && !marketOutcome) {
+      throw new BusinessLogicError('The prediction market outcome cannot be inferred from this truth; provide marketOutcome');
+    }
+    // Checked before anything is written: the verification cannot be repeated to settle the market later
+    if (hasOpenMarket && marketOutcome !== 'VOID' && !isMarketOutcome(question.market, marketOutcome)) {
+      throw new BusinessLogicError(`Unknown market outcome '${marketOutcome}'`, 400);
+    }
+
+    // The market outcome is kept with the ground truth so POST /:id/settle can finish the market
+    const verification = await verifyQuestion(prisma, question, marketOutcome ? { ...truth, marketOutcome } : truth, req.resolver);
+
+    await redisClient.publish('question:verified', {
+      questionId: id,
+      data: verification,
+    });
+
+    const { settlement, reputation, marketSettlement } = await settleVerifiedQuestion(question, marketOutcome);
+
+    res.json({
+      success: true,
+      data: {
+        ...verification,
+        settlement,
+        reputation,
+        marketSettlement,
+      },
+      message: `Question verified: ${verification.correctCount} of ${verification.answers.length} answers correct`
+    });
+  })
+);
+
+// POST /api/questions/:id/settle - Finish the settlement of a verified question
+// Verification commits on its own; if settling stakes, reputation or the market failed after it,
+// this runs the remaining steps again (each one skips what is already done)
+router.post('/:id/settle',
+  requireResolver,
+  validateSchema(idParamSchema, 'params'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const question = await prisma.question.findUnique({
+      where: { id },
+      select: { id: true, askerId: true, status: true, groundTruth: true }
+    });
+
+    if (!question) {
+      throw new NotFoundError('Question not found');
+    }
+
+    if (question.status !== 'VERIFIED') {
+      throw new BusinessLogicError('Only verified questions can be settled here', 409);
+    }
+
+    // A market verified without a recorded outcome pays out at its last prices
+    const { settlement, reputation, marketSettlement } = await settleVerifiedQuestion(
+      question, question.groundTruth?.marketOutcome ?? 'VOID'
+    );
+
+    res.json({
+      success: true,
+      data: {
+        questionId: id,
+        settlement,
+        reputation,
+        marketSettlement,
+      },
+      message: 'Question settlement completed'
+    });
+  })
+);
+
+// Settle stakes, reputation and any open market of a verified question; safe to repeat
+async function settleVerifiedQuestion(question, marketOutcome) {
+  const settlement = await settleQuestion(prisma, question.id);
+  const reputation = await updateQuestionReputation(prisma, question.id);
+  const marketSettlement = marketOutcome
+    ? await prisma.$transaction(tx => settleMarket(tx, question, marketOutcome === 'VOID' ? null : marketOutcome))
+    : null;
+
+  for (const update of reputation?.agents || []) {
+    await redisClient.publish('agent:reputation:updated', { agentId: update.agentId, data: update });
+  }
+
+  return { settlement, reputation, marketSettlement };
+}
+
+// Invitation as returned by the API, with its score as a number
+function invitationSummary(invitation) {
+  return {
+    id: invitation.id,
+    agent: invitation.agent,
+    status: invitation.status,
+    rank: invitation.rank,
+    score: Number(invitation.score),
+    reasons: invitation.reasons,
+    invitedAt: invitation.invitedAt,
+    expiresAt: invitation.expiresAt,
+    respondedAt: invitation.respondedAt,
+    answeredAt: invitation.answeredAt,
+  };
+}
+
 export default router;
\ No newline at end of file
@@ -7,6 +7,12 @@ import 'dotenv/config';
 // Import database clients
 import prismaClient from './lib/prisma.js';
 import redisClient from './lib/redis.js';
+import { loadConsensusPlugins } from './services/consensus-registry.js';
+import { startReputationDecayJob } from './services/reputation-decay.js';
+import { startCollusionScanJob } from './services/collusion.js';
+import { startDebateOrchestratorJob } from './services/debate-orchestrator.js';
+import { startWebhookDispatchJob } from './services/webhooks.js';
+import { startPanelRefreshJob } from './services/question-routing.js';
 
 // Import middleware
 import { 
@@ -22,6 +28,7 @@ import answerRoutes from './routes/answers.js';
 import agentRoutes from './routes/agents.js';
 import consensusRoutes from './routes/consensus.js';
 import debateRoutes from './routes/debate.js';
+import adminRoutes from './routes/admin.js';
 
 // Configuration
 const PORT = process.env.PORT || 3000;
@@ -133,6 +140,7 @@ app.use('/api/answers', answerRoutes);
 app.use('/api/agents', agentRoutes);
 app.use('/api/consensus', consensusRoutes);
 app.use('/api/debate', debateRoutes);
+app.use('/api/admin', adminRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -149,28 +157,55 @@ app.get('/api', (req, res) => {
           list: 'GET /api/questions',
           create: 'POST /api/questions',
           details: 'GET /api/questions/:id',
-          close: 'POST /api/questions/:id/close'
+          bounty: 'POST /api/questions/:id/bounty',
+          close: 'POST /api/questions/:id/close',
+          verify: 'POST /api/questions/:id/verify',
+          panel: 'GET /api/questions/:id/panel',
+          invitation: 'POST /api/questions/:id/invitation',
+          market: 'GET /api/questions/:id/market',
+          trade: 'POST /api/questions/:id/market/trades'
         },
         answers: {
           submit: 'POST /api/answers',
           details: 'GET /api/answers/:id',
+          revise: 'PUT /api/answers/:id',
           stake: 'POST /api/answers/:id/stake'
         },
         agents: {
           register: 'POST /api/agents/register',
           list: 'GET /api/agents',
           profile: 'GET /api/agents/:id',
-          answers: 'GET /api/agents/:id/answers'
+          answers: 'GET /api/agents/:id/answers',
+          calibration: 'GET /api/agents/:id/calibration',
+          reputation: 'GET /api/agents/:id/reputation',
+          decayPreview: 'GET /api/agents/reputation-decay/preview',
+          decayRun: 'POST /api/agents/reputation-decay/run',
+          ledger: 'GET /api/agents/:id/ledger',
+          webhookSecret: 'POST /api/agents/:id/webhooks/secret',
+          webhookDeliveries: 'GET /api/agents/:id/webhooks/deliveries',
+          invitations: 'GET /api/agents/:id/invitations'
         },
         consensus: {
+          algorithms: 'GET /api/consensus/algorithms',
           calculate: 'POST /api/consensus/calculate/:questionId',
           results: 'GET /api/consensus/:questionId',
-          weights: 'GET /api/consensus/weights/:questionId'
+          weights: 'GET /api/consensus/weights/:questionId',
+          replay: 'GET /api/consensus/:questionId/replay/:logId'
         },
         debate: {
           start: 'POST /api/debate/start/:questionId',
           critique: 'POST /api/debate/critique',
-          view: 'GET /api/debate/:questionId'
+          reply: 'POST /api/debate/critiques/:id/replies',
+          vote: 'POST /api/debate/critiques/:id/votes',
+          export: 'GET /api/debate/:questionId/export',
+          view: 'GET /api/debate/:questionId',
+          endRound: 'PUT /api/debate/rounds/:id/end'
+        },
+        admin: {
+          collusionCases: 'GET /api/admin/collusion/cases',
+          collusionCase: 'GET /api/admin/collusion/cases/:id',
+          reviewCollusionCase: 'POST /api/admin/collusion/cases/:id/review',
+          collusionScan: 'POST /api/admin/collusion/scan'
         }
       }
     },
@@ -208,6 +243,57 @@ async function startServer() {
       console.warn('⚠️  Redis connection failed. Continuing without Redis...');
     }
 
+    // Register third-party consensus algorithms before serving requests
+    loadConsensusPlugins();
+
+    // Decay idle agents' reputation on a schedule (REPUTATION_DECAY_INTERVAL_HOURS, 0 disables)
+    const stopReputationDecay = startReputationDecayJob(prismaClient.prisma, {
+      onResult: async (result) => {
+        for (const entry of result.agents) {
+          await redisClient.publish('agent:reputation:updated', {
+            agentId: entry.agentId,
+            data: { newReputation: entry.reputationAfter, change: entry.change, reason: 'DECAY' },
+          });
+        }
+      },
+    });
+
+    // Flag colluding agents on a schedule (COLLUSION_SCAN_INTERVAL_HOURS, 0 disables)
+    const stopCollusionScan = startCollusionScanJob(prismaClient.prisma, {
+      onResult: (result) => {
+        if (result.opened.length > 0) {
+          console.warn(`🚩 Collusion scan opened ${result.opened.length} case(s) for review`);
+        }
+      },
+    });
+
+    // Run AUTO debates: open, time out and evaluate rounds (DEBATE_ORCHESTRATOR_INTERVAL_SECONDS, 0 disables)
+    const stopDebateOrchestrator = startDebateOrchestratorJob(prismaClient.prisma, {
+      onResult: async (result) => {
+        for (const [type, payload] of result.events) {
+          await redisClient.publish(type, payload);
+        }
+      },
+    });
+
+    // Send queued agent webhooks, retrying failures (WEBHOOK_DISPATCH_INTERVAL_SECONDS, 0 disables)
+    const stopWebhookDispatch = startWebhookDispatchJob(prismaClient.prisma, {
+      onResult: (result) => {
+        if (result.dead.length > 0) {
+          console.warn(`📪 ${result.dead.length} webhook delivery(ies) moved to dead letters`);
+        }
+      },
+    });
+
+    // Expire unanswered invitations and invite replacements (PANEL_REFRESH_INTERVAL_SECONDS, 0 disables)
+    const stopPanelRefresh = startPanelRefreshJob(prismaClient.prisma, {
+      onResult: async (result) => {
+        for (const [type, payload] of result.events) {
+          await redisClient.publish(type, payload);
+        }
+      },
+    });
+
     // Start the server
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`✅ Server running on http://0.0.0.0:${PORT}`);
@@ -219,6 +305,11 @@ async function startServer() {
     // Graceful shutdown handling
     process.on('SIGTERM', () => {
       console.log('\n📡 SIGTERM received. Starting graceful shutdown...');
+      stopReputationDecay();
+      stopCollusionScan();
+      stopDebateOrchestrator();
+      stopWebhookDispatch();
+      stopPanelRefresh();
       server.close(() => {
         console.log('✅ HTTP server closed');
         prismaClient.disconnect();
@@ -229,6 +320,11 @@ async function startServer() {
 
     process.on('SIGINT', () => {
       console.log('\n📡 SIGINT received. Starting graceful shutdown...');
+      stopReputationDecay();
+      stopCollusionScan();
+      stopDebateOrchestrator();
+      stopWebhookDispatch();
+      stopPanelRefresh();
       server.close(() => {
         console.log('✅ HTTP server closed');
         prismaClient.disconnect();
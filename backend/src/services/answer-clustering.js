@@ -0,0 +1,94 @@
+/**
+ * Answer clustering for SwarmOracle
+ * Groups semantically equivalent answers into positions so they pool their weight
+ */
+
+/**
+ * Build a symmetric lookup of pairwise similarity scores
+ */
+function buildSimilarityLookup(similarities) {
+    const lookup = new Map();
+
+    for (const [answerId, scores] of Object.entries(similarities || {})) {
+        for (const { answerId: otherId, similarity } of scores) {
+            const key = answerId < otherId ? `${answerId}|${otherId}` : `${otherId}|${answerId}`;
+            // Embedding scores are symmetric, keep the lower one if providers disagree
+            lookup.set(key, lookup.has(key) ? Math.min(lookup.get(key), similarity) : similarity);
+        }
+    }
+
+    return (a, b) => {
+        if (a === b) return 1;
+        const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+        return lookup.get(key) || 0;
+    };
+}
+
+function averageSimilarity(answerId, memberIds, similarityOf) {
+    const others = memberIds.filter(id => id !== answerId);
+    if (others.length === 0) return 1;
+    return others.reduce((sum, id) => sum + similarityOf(answerId, id), 0) / others.length;
+}
+
+/**
+ * Group answers into position clusters
+ * An answer joins the cluster it is most similar to on average (if above threshold),
+ * otherwise it starts a new one. Answers are visited heaviest first so strong positions seed clusters.
+ */
+function clusterAnswers(answers, similarities, answerWeights, threshold) {
+    const similarityOf = buildSimilarityLookup(similarities);
+    const ordered = [...answers].sort((a, b) =>
+        (answerWeights[b.id] || 0) - (answerWeights[a.id] || 0) || a.id.localeCompare(b.id)
+    );
+
+    const groups = [];
+    for (const answer of ordered) {
+        let bestGroup = null;
+        let bestSimilarity = threshold;
+
+        for (const group of groups) {
+            const similarity = group.reduce((sum, id) => sum + similarityOf(answer.id, id), 0) / group.length;
+            if (similarity >= bestSimilarity) {
+                bestGroup = group;
+                bestSimilarity = similarity;
+            }
+        }
+
+        if (bestGroup) {
+            bestGroup.push(answer.id);
+        } else {
+            groups.push([answer.id]);
+        }
+    }
+
+    const totalWeight = answers.reduce((sum, answer) => sum + (answerWeights[answer.id] || 0), 0);
+
+    return groups
+        .map(answerIds => {
+            const weight = answerIds.reduce((sum, id) => sum + (answerWeights[id] || 0), 0);
+
+            // The canonical answer is the member closest to all the others (the medoid)
+            const representativeAnswerId = [...answerIds].sort((a, b) =>
+                averageSimilarity(b, answerIds, similarityOf) - averageSimilarity(a, answerIds, similarityOf) ||
+                (answerWeights[b] || 0) - (answerWeights[a] || 0) ||
+                a.localeCompare(b)
+            )[0];
+
+            return {
+                representativeAnswerId,
+                answerIds,
+                weight,
+                share: totalWeight > 0 ? weight / totalWeight : 0,
+                cohesion: answerIds.length > 1
+                    ? answerIds.reduce((sum, id) => sum + averageSimilarity(id, answerIds, similarityOf), 0) / answerIds.length
+                    : 1
+            };
+        })
+        .sort((a, b) => b.weight - a.weight || a.representativeAnswerId.localeCompare(b.representativeAnswerId))
+        .map((cluster, index) => ({ id: `cluster-${index + 1}`, ...cluster }));
+}
+
+module.exports = {
+    clusterAnswers,
+    buildSimilarityLookup
+};
@@ -0,0 +1,156 @@
+/**
+ * Answer revisions for SwarmOracle
+ * Agents may revise their answer while a question is OPEN or DEBATING. Every version is kept,
+ * tagged with the debate round it followed, and consensus can reward the positions that other
+ * agents moved toward over the rounds.
+ */
+
+const { HashedNgramEmbeddingProvider } = require('./embedding-providers');
+const { cosineSimilarity } = require('./semantic-similarity');
+const { ANSWER_TYPES, scalarValue } = require('./answer-types');
+
+const REVISABLE_STATUSES = ['OPEN', 'DEBATING'];
+
+// Offline and deterministic, so convergence replays exactly from an audit snapshot
+const embeddings = new HashedNgramEmbeddingProvider();
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+class AnswerRevisionError extends Error {
+    constructor(message, statusCode = 409) {
+        super(message);
+        this.name = 'AnswerRevisionError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * The latest debate round started at or before the given time, or null before any debate
+ */
+function roundBefore(rounds, at) {
+    return rounds
+        .filter(round => new Date(round.startedAt) <= new Date(at))
+        .reduce((latest, round) => (!latest || round.roundNumber > latest.roundNumber ? round : latest), null);
+}
+
+function revisionData(answerId, revision, version, round, createdAt) {
+    return {
+        answerId,
+        revision,
+        content: version.content,
+        reasoning: version.reasoning,
+        value: version.value ?? undefined,
+        confidence: version.confidence,
+        debateRoundId: round?.id ?? null,
+        roundNumber: round?.roundNumber ?? 0,
+        createdAt
+    };
+}
+
+/**
+ * Replace an answer's current version and record it
+ * The original version is recorded on the first revision. changes: { content, value, reasoning,
+ * confidence, initialWeight } - the new version in full. Once other agents hold active stakes on
+ * the answer it is frozen, so it cannot draw stakes with one position and then switch to another.
+ */
+async function reviseAnswer(tx, answer, changes, now = new Date()) {
+    const backers = await tx.stake.count({
+        where: { answerId: answer.id, status: 'ACTIVE', agentId: { not: answer.agentId } }
+    });
+    if (backers > 0) {
+        throw new AnswerRevisionError('Answer cannot be revised while other agents have stakes on it');
+    }
+
+    const rounds = await tx.debateRound.findMany({
+        where: { questionId: answer.questionId },
+        select: { id: true, roundNumber: true, startedAt: true }
+    });
+
+    const recorded = await tx.answerRevision.count({ where: { answerId: answer.id } });
+    if (recorded === 0) {
+        await tx.answerRevision.create({
+            data: revisionData(answer.id, answer.revision, answer, roundBefore(rounds, answer.submittedAt), answer.submittedAt)
+        });
+    }
+
+    // Compare-and-set on the revision number so two concurrent edits cannot both win
+    const revision = answer.revision + 1;
+    const updated = await tx.answer.updateMany({
+        where: { id: answer.id, revision: answer.revision },
+        data: { ...changes, value: changes.value ?? undefined, revision, revisedAt: now }
+    });
+    if (updated.count === 0) {
+        throw new AnswerRevisionError('Answer was revised concurrently, reload and retry');
+    }
+
+    const round = roundBefore(rounds, now);
+    return tx.answerRevision.create({
+        data: revisionData(answer.id, revision, changes, round, now)
+    });
+}
+
+/**
+ * Similarity between two versions of a position, 0 to 1
+ * Typed values are compared by value; text by its offline embedding.
+ */
+function positionSimilarity(question, a, b) {
+    const type = question.answerType || ANSWER_TYPES.TEXT;
+    if (type === ANSWER_TYPES.TEXT || !a.value || !b.value) {
+        return Math.max(0, cosineSimilarity(embeddings.embedOne(a.content), embeddings.embedOne(b.content)));
+    }
+
+    switch (type) {
+        case ANSWER_TYPES.SINGLE_CHOICE:
+            return a.value.optionId === b.value.optionId ? 1 : 0;
+
+        case ANSWER_TYPES.MULTIPLE_CHOICE: {
+            const union = new Set([...a.value.optionIds, ...b.value.optionIds]);
+            const shared = a.value.optionIds.filter(id => b.value.optionIds.includes(id)).length;
+            return union.size > 0 ? shared / union.size : 1;
+        }
+
+        case ANSWER_TYPES.DISTRIBUTION: {
+            const outcomes = new Set([...Object.keys(a.value.probabilities), ...Object.keys(b.value.probabilities)]);
+            const distance = [...outcomes].reduce((sum, outcome) =>
+                sum + Math.abs((a.value.probabilities[outcome] || 0) - (b.value.probabilities[outcome] || 0)), 0) / 2;
+            return 1 - distance;
+        }
+
+        default: {
+            const x = scalarValue(type, a.value);
+            const y = scalarValue(type, b.value);
+            return Math.max(0, 1 - Math.abs(x - y) / Math.max(Math.abs(x), Math.abs(y), 1));
+        }
+    }
+}
+
+/**
+ * How far the other agents moved toward each answer across debate rounds, 0 to 1
+ * For every revised answer, its gain in similarity to the target from its first version to its
+ * current one counts toward the target; the score is the mean gain over all other answers.
+ * Answers are revised when input.answers[].revisions lists their versions in order.
+ */
+function convergenceScores(input) {
+    const { question, answers } = input;
+    const scores = {};
+
+    for (const target of answers) {
+        let gained = 0;
+        for (const other of answers) {
+            if (other.id === target.id || !other.revisions || other.revisions.length < 2) continue;
+            const first = other.revisions[0];
+            gained += Math.max(0, positionSimilarity(question, other, target) - positionSimilarity(question, first, target));
+        }
+        scores[target.id] = answers.length > 1 ? round4(gained / (answers.length - 1)) : 0;
+    }
+
+    return scores;
+}
+
+module.exports = {
+    REVISABLE_STATUSES,
+    AnswerRevisionError,
+    reviseAnswer,
+    positionSimilarity,
+    convergenceScores
+};
@@ -0,0 +1,320 @@
+/**
+ * Structured answer types for SwarmOracle
+ * A question declares the shape of its answers (answerType plus answerSpec, and an option list
+ * for choice questions); answers carry a typed `value` next to their prose. Each type has its
+ * own aggregator, run over the answer weights an algorithm produced, so a PREDICTIVE question
+ * can agree on a number or a probability rather than on a sentence.
+ */
+
+const ANSWER_TYPES = {
+    TEXT: 'TEXT',
+    SINGLE_CHOICE: 'SINGLE_CHOICE',
+    MULTIPLE_CHOICE: 'MULTIPLE_CHOICE',
+    NUMERIC: 'NUMERIC',
+    PROBABILITY: 'PROBABILITY',
+    DATE: 'DATE',
+    DISTRIBUTION: 'DISTRIBUTION'
+};
+
+// Types whose value is a single number, so numeric aggregation (and numeric BFT) applies
+const SCALAR_TYPES = [ANSWER_TYPES.NUMERIC, ANSWER_TYPES.PROBABILITY, ANSWER_TYPES.DATE];
+
+// Probabilities are clamped before pooling so one agent saying 0 or 1 cannot force the result
+const PROBABILITY_EPSILON = 0.001;
+
+// Distributions may be off by rounding; anything further is rejected
+const DISTRIBUTION_TOLERANCE = 0.01;
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+class AnswerValueError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'AnswerValueError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Check an answer value against its question and return the stored form
+ * value: { type, ... } as accepted by submitAnswerSchema; TEXT questions take no value.
+ */
+function normalizeAnswerValue(question, value) {
+    const type = question.answerType || ANSWER_TYPES.TEXT;
+    const spec = question.answerSpec || {};
+
+    if (!value) {
+        if (type === ANSWER_TYPES.TEXT) return null;
+        throw new AnswerValueError(`This question expects a ${type} value`);
+    }
+    if (value.type !== type) {
+        throw new AnswerValueError(`This question expects a ${type} value, got ${value.type}`);
+    }
+
+    switch (type) {
+        case ANSWER_TYPES.TEXT:
+            return null;
+
+        case ANSWER_TYPES.SINGLE_CHOICE: {
+            const optionIds = checkOptionIds(question.options, [value.optionId]);
+            const probabilities = value.probabilities
+                ? normalizeProbabilities(optionIds, value.probabilities, { sumToOne: true })
+                : null;
+            return { optionId: value.optionId, probabilities };
+        }
+
+        case ANSWER_TYPES.MULTIPLE_CHOICE: {
+            const optionIds = checkOptionIds(question.options, value.optionIds);
+            // Each option is judged on its own, so these probabilities need not sum to 1
+            const probabilities = value.probabilities
+                ? normalizeProbabilities(optionIds, value.probabilities, { sumToOne: false })
+                : null;
+            // Stored in option order so equal selections compare equal
+            return { optionIds: optionIds.filter(id => value.optionIds.includes(id)), probabilities };
+        }
+
+        case ANSWER_TYPES.NUMERIC:
+            if (spec.unit && value.unit && value.unit !== spec.unit) {
+                throw new AnswerValueError(`Values must be given in ${spec.unit}`);
+            }
+            if ((spec.min !== undefined && value.value < spec.min) || (spec.max !== undefined && value.value > spec.max)) {
+                throw new AnswerValueError(`Value must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'}`);
+            }
+            return { value: value.value, unit: spec.unit || value.unit || null };
+
+        case ANSWER_TYPES.PROBABILITY:
+            return { probability: value.probability };
+
+        case ANSWER_TYPES.DATE:
+            return { date: new Date(value.date).toISOString() };
+
+        case ANSWER_TYPES.DISTRIBUTION: {
+            const outcomes = Object.keys(value.probabilities);
+            const unknown = outcomes.filter(outcome => !spec.outcomes.includes(outcome));
+            if (unknown.length > 0) {
+                throw new AnswerValueError(`Unknown outcome(s): ${unknown.join(', ')}`);
+            }
+            const total = outcomes.reduce((sum, outcome) => sum + value.probabilities[outcome], 0);
+            if (Math.abs(total - 1) > DISTRIBUTION_TOLERANCE) {
+                throw new AnswerValueError(`Probabilities must sum to 1 (got ${round4(total)})`);
+            }
+            // Every outcome is stored, missing ones as 0, rescaled to sum to exactly 1
+            return {
+                probabilities: Object.fromEntries(spec.outcomes.map(outcome =>
+                    [outcome, round4((value.probabilities[outcome] || 0) / total)]
+                ))
+            };
+        }
+
+        default:
+            throw new AnswerValueError(`Unsupported answer type ${type}`);
+    }
+}
+
+/**
+ * Selected option ids must belong to the question; returns all of the question's option ids
+ */
+function checkOptionIds(options = [], selected) {
+    const known = options.map(option => option.id);
+    const unknown = selected.filter(id => !known.includes(id));
+    if (unknown.length > 0) {
+        throw new AnswerValueError(`Unknown option(s): ${unknown.join(', ')}`);
+    }
+    return known;
+}
+
+/**
+ * Per-option probabilities keyed by option id, with every option present (missing ones as 0)
+ */
+function normalizeProbabilities(optionIds, probabilities, { sumToOne }) {
+    const unknown = Object.keys(probabilities).filter(id => !optionIds.includes(id));
+    if (unknown.length > 0) {
+        throw new AnswerValueError(`Unknown option(s) in probabilities: ${unknown.join(', ')}`);
+    }
+    if (!sumToOne) {
+        return Object.fromEntries(optionIds.map(id => [id, probabilities[id] || 0]));
+    }
+
+    const total = optionIds.reduce((sum, id) => sum + (probabilities[id] || 0), 0);
+    if (Math.abs(total - 1) > DISTRIBUTION_TOLERANCE) {
+        throw new AnswerValueError(`Probabilities must sum to 1 (got ${round4(total)})`);
+    }
+    return Object.fromEntries(optionIds.map(id => [id, round4((probabilities[id] || 0) / total)]));
+}
+
+/**
+ * Prose form of a typed value, used as the answer content when the agent gives none
+ */
+function describeAnswerValue(question, value) {
+    const labelOf = id => (question.options || []).find(option => option.id === id)?.label ?? id;
+
+    switch (question.answerType) {
+        case ANSWER_TYPES.SINGLE_CHOICE:
+            return labelOf(value.optionId);
+        case ANSWER_TYPES.MULTIPLE_CHOICE:
+            return value.optionIds.map(labelOf).join(', ');
+        case ANSWER_TYPES.NUMERIC:
+            return value.unit ? `${value.value} ${value.unit}` : String(value.value);
+        case ANSWER_TYPES.PROBABILITY:
+            return `${round4(value.probability * 100)}%`;
+        case ANSWER_TYPES.DATE:
+            return value.date.slice(0, 10);
+        case ANSWER_TYPES.DISTRIBUTION:
+            return Object.entries(value.probabilities)
+                .map(([outcome, probability]) => `${outcome}: ${round4(probability * 100)}%`)
+                .join(', ');
+        default:
+            return '';
+    }
+}
+
+/**
+ * The single number behind a scalar value (dates as epoch milliseconds), or null
+ */
+function scalarValue(type, value) {
+    if (!value) return null;
+    switch (type) {
+        case ANSWER_TYPES.NUMERIC:
+            return value.value;
+        case ANSWER_TYPES.PROBABILITY:
+            return value.probability;
+        case ANSWER_TYPES.DATE:
+            return new Date(value.date).getTime();
+        default:
+            return null;
+    }
+}
+
+/**
+ * Weighted median of [{ value, weight }]
+ */
+function weightedMedian(entries) {
+    const sorted = [...entries].sort((a, b) => a.value - b.value);
+    const totalWeight = sorted.reduce((sum, entry) => sum + entry.weight, 0);
+    let running = 0;
+    for (const entry of sorted) {
+        running += entry.weight;
+        if (running >= totalWeight / 2) return entry.value;
+    }
+    return sorted.length > 0 ? sorted[sorted.length - 1].value : null;
+}
+
+const logit = p => Math.log(p / (1 - p));
+const clampProbability = p => Math.min(1 - PROBABILITY_EPSILON, Math.max(PROBABILITY_EPSILON, p));
+
+/**
+ * Weighted vote tally per option, in option order
+ * weight/share count the answers that selected the option; probability is the weighted mean of
+ * the stated per-option probabilities, where an answer without them counts as 1 for what it
+ * selected and 0 for the rest.
+ */
+function tallyOptions(entries, options, selectedOf, totalWeight) {
+    return options.map(option => {
+        let votes = 0;
+        let weight = 0;
+        let probability = 0;
+
+        for (const entry of entries) {
+            const selected = (selectedOf(entry.value) || []).includes(option.id);
+            if (selected) {
+                votes++;
+                weight += entry.weight;
+            }
+            const stated = entry.value.probabilities?.[option.id];
+            probability += entry.weight * (stated ?? (selected ? 1 : 0));
+        }
+
+        return {
+            optionId: option.id,
+            label: option.label,
+            votes,
+            weight: round4(weight),
+            share: round4(weight / totalWeight),
+            probability: round4(probability / totalWeight)
+        };
+    });
+}
+
+/**
+ * Aggregate the typed answer values of a consensus input with the given answer weights
+ * Returns null for TEXT questions, or when no typed answer carries any weight.
+ */
+function aggregateAnswers(input, answerWeights) {
+    const type = input.question.answerType || ANSWER_TYPES.TEXT;
+    const spec = input.question.answerSpec || {};
+    if (type === ANSWER_TYPES.TEXT) return null;
+
+    const entries = input.answers
+        .filter(answer => answer.value)
+        .map(answer => ({ answerId: answer.id, value: answer.value, weight: answerWeights[answer.id] || 0 }))
+        .filter(entry => entry.weight > 0);
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    if (totalWeight === 0) return null;
+
+    const base = { type, answerCount: entries.length, totalWeight: round4(totalWeight) };
+
+    switch (type) {
+        case ANSWER_TYPES.NUMERIC:
+            return {
+                ...base,
+                method: 'WEIGHTED_MEDIAN',
+                value: weightedMedian(entries.map(entry => ({ value: entry.value.value, weight: entry.weight }))),
+                unit: spec.unit || null
+            };
+
+        case ANSWER_TYPES.DATE: {
+            const median = weightedMedian(entries.map(entry => ({ value: scalarValue(type, entry.value), weight: entry.weight })));
+            return { ...base, method: 'WEIGHTED_MEDIAN', value: new Date(median).toISOString() };
+        }
+
+        case ANSWER_TYPES.PROBABILITY: {
+            // Pooling in log-odds space lets confident, agreeing agents reinforce each other
+            const pooled = entries.reduce((sum, entry) =>
+                sum + entry.weight * logit(clampProbability(entry.value.probability)), 0) / totalWeight;
+            return { ...base, method: 'LOG_ODDS_POOL', value: round4(1 / (1 + Math.exp(-pooled))) };
+        }
+
+        case ANSWER_TYPES.DISTRIBUTION:
+            return {
+                ...base,
+                method: 'LINEAR_POOL',
+                probabilities: Object.fromEntries(spec.outcomes.map(outcome => [
+                    outcome,
+                    round4(entries.reduce((sum, entry) =>
+                        sum + entry.weight * (entry.value.probabilities[outcome] || 0), 0) / totalWeight)
+                ]))
+            };
+
+        case ANSWER_TYPES.SINGLE_CHOICE: {
+            const tally = tallyOptions(entries, input.question.options || [], value => [value.optionId], totalWeight);
+            const [winner] = [...tally].sort((a, b) => b.weight - a.weight || b.probability - a.probability);
+            // No options, no winner (nor one when nobody's selection matches an option)
+            return { ...base, method: 'WEIGHTED_PLURALITY', value: winner && winner.weight > 0 ? winner.optionId : null, tally };
+        }
+
+        case ANSWER_TYPES.MULTIPLE_CHOICE: {
+            // Approval tally: an option is selected when more than half the weight selected it
+            const tally = tallyOptions(entries, input.question.options || [], value => value.optionIds || [], totalWeight);
+            return {
+                ...base,
+                method: 'WEIGHTED_APPROVAL',
+                value: tally.filter(option => option.share > 0.5).map(option => option.optionId),
+                tally
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    ANSWER_TYPES,
+    SCALAR_TYPES,
+    AnswerValueError,
+    normalizeAnswerValue,
+    describeAnswerValue,
+    scalarValue,
+    weightedMedian,
+    aggregateAnswers
+};
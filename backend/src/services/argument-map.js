@@ -0,0 +1,274 @@
+/**
+ * Argument map export for SwarmOracle
+ * A question's whole debate as a graph: the question, its answers and their earlier revisions,
+ * and every critique, rebuttal and endorsement. Exported as AIF (the Argument Interchange Format)
+ * in JSON-LD, or as Graphviz DOT.
+ */
+
+const { critiqueStanding, REBUTTED_BELOW } = require('./consensus-algorithms');
+const { effectiveImpact } = require('./critique-votes');
+
+const ARGUMENT_MAP_FORMATS = ['aif', 'dot'];
+
+const NODE_KINDS = {
+    QUESTION: 'QUESTION',
+    ANSWER: 'ANSWER',
+    REVISION: 'REVISION',
+    CRITIQUE: 'CRITIQUE',
+    REBUTTAL: 'REBUTTAL',
+    ENDORSEMENT: 'ENDORSEMENT'
+};
+
+const RELATIONS = {
+    ANSWERS: 'ANSWERS',
+    REVISES: 'REVISES',
+    ATTACKS: 'ATTACKS',
+    SUPPORTS: 'SUPPORTS'
+};
+
+// AIF scheme node per relation: conflict, inference, rephrase; answering an issue has no scheme
+const AIF_SCHEME_NODES = {
+    [RELATIONS.ATTACKS]: 'CA',
+    [RELATIONS.SUPPORTS]: 'RA',
+    [RELATIONS.REVISES]: 'MA'
+};
+
+const AIF_CONTEXT = {
+    aif: 'http://www.arg.dundee.ac.uk/aif#',
+    swarm: 'urn:swarmoracle:',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    text: 'aif:claimText',
+    premise: { '@id': 'aif:Premise', '@type': '@id' },
+    conclusion: { '@id': 'aif:Conclusion', '@type': '@id' },
+    respondsTo: { '@id': 'swarm:respondsTo', '@type': '@id' },
+    createdAt: { '@id': 'swarm:createdAt', '@type': 'xsd:dateTime' }
+};
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Build the argument graph of a question
+ * question: with answers (agent, revisions) and debateRounds (critiques with agent).
+ * Returns { question, nodes, edges }; an answer node holds the current version, REVISION nodes the
+ * earlier ones. Critiques attack their answer, rebuttals attack and endorsements support their parent.
+ */
+function buildArgumentGraph(question) {
+    const nodes = [];
+    const edges = [];
+    const author = agent => agent && { id: agent.id, name: agent.name };
+
+    nodes.push({
+        id: `question:${question.id}`,
+        kind: NODE_KINDS.QUESTION,
+        text: question.text,
+        createdAt: question.createdAt,
+        attributes: { category: question.category, status: question.status }
+    });
+
+    for (const answer of question.answers) {
+        const answerNode = `answer:${answer.id}`;
+        nodes.push({
+            id: answerNode,
+            kind: NODE_KINDS.ANSWER,
+            text: answer.content,
+            author: author(answer.agent),
+            createdAt: answer.revisedAt || answer.submittedAt,
+            attributes: {
+                revision: answer.revision,
+                confidence: Number(answer.confidence),
+                finalWeight: answer.finalWeight == null ? null : Number(answer.finalWeight),
+                consensusRank: answer.consensusRank ?? null
+            }
+        });
+        edges.push({ id: `answers:${answer.id}`, from: answerNode, to: `question:${question.id}`, relation: RELATIONS.ANSWERS });
+
+        // Earlier versions chain into the current one, each revised by the next
+        const versions = [...(answer.revisions || [])].sort((a, b) => a.revision - b.revision);
+        const earlier = versions.filter(version => version.revision < answer.revision);
+        earlier.forEach((version, index) => {
+            const versionNode = `answer:${answer.id}:revision:${version.revision}`;
+            const next = earlier[index + 1];
+            const revisedIn = versions.find(later => later.revision === version.revision + 1);
+            nodes.push({
+                id: versionNode,
+                kind: NODE_KINDS.REVISION,
+                text: version.content,
+                author: author(answer.agent),
+                createdAt: version.createdAt,
+                attributes: { revision: version.revision, roundNumber: version.roundNumber, confidence: Number(version.confidence) }
+            });
+            edges.push({
+                id: `revises:${answer.id}:${version.revision}`,
+                from: versionNode,
+                to: next ? `answer:${answer.id}:revision:${next.revision}` : answerNode,
+                relation: RELATIONS.REVISES,
+                attributes: { roundNumber: revisedIn?.roundNumber ?? null }
+            });
+        });
+    }
+
+    const critiques = question.debateRounds.flatMap(round => round.critiques.map(critique => ({
+        ...critique,
+        roundNumber: round.roundNumber
+    })));
+    const standing = critiqueStanding(critiques.map(critique => ({
+        id: critique.id,
+        parentCritiqueId: critique.parentCritiqueId,
+        kind: critique.kind,
+        impact: effectiveImpact(critique)
+    })));
+
+    for (const critique of critiques) {
+        const critiqueNode = `critique:${critique.id}`;
+        nodes.push({
+            id: critiqueNode,
+            kind: critique.kind,
+            text: critique.content,
+            author: author(critique.agent),
+            createdAt: critique.createdAt,
+            attributes: {
+                type: critique.parentCritiqueId ? null : critique.type,
+                roundNumber: critique.roundNumber,
+                standing: round4(standing[critique.id]),
+                rebutted: standing[critique.id] < REBUTTED_BELOW
+            }
+        });
+        const relation = critique.kind === NODE_KINDS.ENDORSEMENT ? RELATIONS.SUPPORTS : RELATIONS.ATTACKS;
+        edges.push({
+            id: `${relation.toLowerCase()}:${critique.id}`,
+            from: critiqueNode,
+            to: critique.parentCritiqueId ? `critique:${critique.parentCritiqueId}` : `answer:${critique.targetAnswerId}`,
+            relation,
+            attributes: {
+                impact: effectiveImpact(critique),
+                declaredImpact: Number(critique.impact),
+                roundNumber: critique.roundNumber
+            }
+        });
+    }
+
+    return { question: { id: question.id, text: question.text }, nodes, edges };
+}
+
+// swarm: properties for the attributes that are set
+function swarmProperties(attributes = {}) {
+    return Object.fromEntries(Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => [`swarm:${key}`, value]));
+}
+
+/**
+ * AIF in JSON-LD: every node is an I-node, every attack, support or revision an S-node (CA, RA
+ * or MA) with the source as premise and the target as conclusion
+ */
+function toAif(graph) {
+    const answered = Object.fromEntries(graph.edges
+        .filter(edge => edge.relation === RELATIONS.ANSWERS)
+        .map(edge => [edge.from, edge.to]));
+
+    const nodes = graph.nodes.map(node => ({
+        '@id': `swarm:${node.id}`,
+        '@type': 'aif:I-node',
+        'swarm:kind': node.kind,
+        text: node.text,
+        createdAt: new Date(node.createdAt).toISOString(),
+        ...(answered[node.id] && { respondsTo: `swarm:${answered[node.id]}` }),
+        ...(node.author && { 'swarm:author': { '@id': `swarm:agent:${node.author.id}`, 'swarm:name': node.author.name } }),
+        ...swarmProperties(node.attributes)
+    }));
+
+    const schemes = graph.edges
+        .filter(edge => AIF_SCHEME_NODES[edge.relation])
+        .map(edge => ({
+            '@id': `swarm:${edge.id}`,
+            '@type': `aif:${AIF_SCHEME_NODES[edge.relation]}-node`,
+            'swarm:relation': edge.relation,
+            premise: `swarm:${edge.from}`,
+            conclusion: `swarm:${edge.to}`,
+            ...swarmProperties(edge.attributes)
+        }));
+
+    return {
+        '@context': AIF_CONTEXT,
+        '@id': `swarm:debate:${graph.question.id}`,
+        '@graph': [...nodes, ...schemes]
+    };
+}
+
+const NODE_STYLES = {
+    [NODE_KINDS.QUESTION]: 'shape=doubleoctagon, style=filled, fillcolor="#e0e7ff"',
+    [NODE_KINDS.ANSWER]: 'shape=box, style="rounded,filled", fillcolor="#f1f5f9"',
+    [NODE_KINDS.REVISION]: 'shape=box, style="rounded,dashed", fontcolor="#64748b"',
+    [NODE_KINDS.CRITIQUE]: 'shape=note, style=filled, fillcolor="#fee2e2"',
+    [NODE_KINDS.REBUTTAL]: 'shape=note, style=filled, fillcolor="#ffedd5"',
+    [NODE_KINDS.ENDORSEMENT]: 'shape=note, style=filled, fillcolor="#dcfce7"'
+};
+
+const EDGE_STYLES = {
+    [RELATIONS.ANSWERS]: 'style=dotted, arrowhead=none',
+    [RELATIONS.REVISES]: 'style=dashed, color="#64748b"',
+    [RELATIONS.ATTACKS]: 'color="#dc2626"',
+    [RELATIONS.SUPPORTS]: 'color="#16a34a"'
+};
+
+// Node labels are cut to this many characters and wrapped at DOT_LABEL_WIDTH
+const DOT_LABEL_LENGTH = 160;
+const DOT_LABEL_WIDTH = 40;
+
+function dotString(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function wrapLabel(text) {
+    const flat = text.replace(/\s+/g, ' ').trim();
+    const clipped = flat.length > DOT_LABEL_LENGTH ? `${flat.slice(0, DOT_LABEL_LENGTH - 1)}…` : flat;
+    const lines = [''];
+    for (const word of clipped.split(' ')) {
+        const line = lines[lines.length - 1];
+        if (line && line.length + word.length + 1 > DOT_LABEL_WIDTH) lines.push(word);
+        else lines[lines.length - 1] = line ? `${line} ${word}` : word;
+    }
+    return lines.join('\n');
+}
+
+function nodeLabel(node) {
+    const heading = [node.kind, node.author?.name, node.attributes?.type].filter(Boolean).join(' · ');
+    const figures = [];
+    if (node.attributes?.finalWeight != null) figures.push(`weight ${round4(node.attributes.finalWeight)}`);
+    if (node.attributes?.standing != null) figures.push(`standing ${node.attributes.standing}`);
+    if (node.attributes?.rebutted) figures.push('rebutted');
+    return [heading, wrapLabel(node.text), figures.join(', ')].filter(Boolean).join('\n');
+}
+
+/**
+ * Graphviz DOT, edges pointing from each argument to what it answers, revises, attacks or supports
+ */
+function toDot(graph) {
+    const lines = [
+        `digraph ${dotString(`debate_${graph.question.id}`)} {`,
+        '  rankdir=BT;',
+        '  node [fontname="Helvetica", fontsize=10];',
+        '  edge [fontname="Helvetica", fontsize=9];'
+    ];
+
+    for (const node of graph.nodes) {
+        lines.push(`  ${dotString(node.id)} [label=${dotString(nodeLabel(node))}, ${NODE_STYLES[node.kind]}];`);
+    }
+    for (const edge of graph.edges) {
+        const impact = edge.attributes?.impact;
+        const label = impact != null ? `, label=${dotString(impact)}, penwidth=${round4(1 + 2 * impact)}` : '';
+        lines.push(`  ${dotString(edge.from)} -> ${dotString(edge.to)} [${EDGE_STYLES[edge.relation]}${label}];`);
+    }
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    ARGUMENT_MAP_FORMATS,
+    NODE_KINDS,
+    RELATIONS,
+    buildArgumentGraph,
+    toAif,
+    toDot
+};
@@ -0,0 +1,154 @@
+/**
+ * Question bounties for SwarmOracle
+ * Askers (and anyone else, while the question is OPEN) move tokens from their ledger balance into
+ * the question's pool. Settlement pays the pool out; whatever it cannot pay out, and the whole
+ * bounty of a question closed without consensus, is refunded to contributors pro rata.
+ */
+
+const {
+    TRANSACTION_TYPES,
+    LedgerError,
+    toCents,
+    fromCents,
+    allocateCents,
+    questionPoolCode,
+    getSystemAccount,
+    ensureAgentAccount,
+    transfer
+} = require('./ledger');
+
+// Closing from these statuses before settlement means the bounty will never be paid out, so it goes
+// back; CONSENSUS is included for verifiable questions closed while still waiting for verification
+const REFUND_ON_CLOSE_STATUSES = ['OPEN', 'DEBATING', 'DEADLOCKED', 'CONSENSUS'];
+
+/**
+ * Bounty still in the pool for payout: funded minus refunded
+ */
+function availableBounty(question) {
+    return fromCents(toCents(question.bounty) - toCents(question.bountyRefunded));
+}
+
+/**
+ * Move amount from the agent's balance into the question's bounty pool
+ * Only OPEN questions accept bounties; the status check and increment are one conditional update.
+ */
+async function fundBounty(tx, { questionId, agentId, amount }) {
+    const funded = await tx.question.updateMany({
+        where: { id: questionId, status: 'OPEN', settledAt: null },
+        data: { bounty: { increment: amount } }
+    });
+    if (funded.count === 0) {
+        throw new LedgerError('Bounties can only be added while the question is OPEN');
+    }
+
+    const account = await ensureAgentAccount(tx, agentId);
+    const pool = await getSystemAccount(tx, questionPoolCode(questionId));
+
+    const contribution = await tx.bountyContribution.create({
+        data: { questionId, agentId, amount }
+    });
+
+    await transfer(tx, {
+        type: TRANSACTION_TYPES.BOUNTY_FUND,
+        description: 'Question bounty',
+        referenceType: 'BOUNTY_CONTRIBUTION',
+        referenceId: contribution.id,
+        idempotencyKey: `bounty-fund:${contribution.id}`,
+        fromAccountId: account.id,
+        toAccountId: pool.id,
+        amount
+    });
+
+    return contribution;
+}
+
+/**
+ * Return amount from the pool to contributors, pro rata to what each has not yet had back
+ */
+async function refundBounty(tx, questionId, amount) {
+    const contributions = await tx.bountyContribution.findMany({
+        where: { questionId },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const outstanding = contributions.map(c => toCents(c.amount) - toCents(c.refundedAmount));
+    const totalOutstanding = outstanding.reduce((sum, cents) => sum + cents, 0);
+    const shares = allocateCents(Math.min(toCents(amount), totalOutstanding), outstanding);
+    const pool = await getSystemAccount(tx, questionPoolCode(questionId));
+
+    const refunds = [];
+    for (const [i, contribution] of contributions.entries()) {
+        if (shares[i] === 0) continue;
+
+        const refund = fromCents(shares[i]);
+        const account = await ensureAgentAccount(tx, contribution.agentId);
+
+        await tx.bountyContribution.update({
+            where: { id: contribution.id },
+            data: { refundedAmount: { increment: refund } }
+        });
+        await transfer(tx, {
+            type: TRANSACTION_TYPES.BOUNTY_REFUND,
+            description: 'Question bounty refund',
+            referenceType: 'BOUNTY_CONTRIBUTION',
+            referenceId: contribution.id,
+            idempotencyKey: `bounty-refund:${contribution.id}:${toCents(contribution.refundedAmount)}`,
+            fromAccountId: pool.id,
+            toAccountId: account.id,
+            amount: refund
+        });
+
+        refunds.push({ contributionId: contribution.id, agentId: contribution.agentId, amount: refund });
+    }
+
+    const refunded = refunds.reduce((sum, refund) => sum + toCents(refund.amount), 0);
+    if (refunded > 0) {
+        await tx.question.update({
+            where: { id: questionId },
+            data: { bountyRefunded: { increment: fromCents(refunded) } }
+        });
+    }
+
+    return refunds;
+}
+
+/**
+ * Refund the remaining bounty of a question being closed unsettled
+ * Call inside the transaction that closes the question; settled questions have nothing left to refund.
+ */
+async function refundOnClose(tx, question) {
+    if (question.settledAt || !REFUND_ON_CLOSE_STATUSES.includes(question.status)) return [];
+
+    const remaining = availableBounty(question);
+    return remaining > 0 ? refundBounty(tx, question.id, remaining) : [];
+}
+
+/**
+ * Pool summary for API responses; question must include bountyContributions (with agent)
+ */
+function bountyPool(question) {
+    const contributions = question.bountyContributions || [];
+    return {
+        total: Number(question.bounty),
+        refunded: Number(question.bountyRefunded),
+        available: availableBounty(question),
+        settledAt: question.settledAt,
+        contributorCount: new Set(contributions.map(c => c.agentId)).size,
+        contributions: contributions.map(c => ({
+            id: c.id,
+            agent: c.agent,
+            amount: Number(c.amount),
+            refundedAmount: Number(c.refundedAmount),
+            createdAt: c.createdAt
+        }))
+    };
+}
+
+module.exports = {
+    REFUND_ON_CLOSE_STATUSES,
+    availableBounty,
+    fundBounty,
+    refundBounty,
+    refundOnClose,
+    bountyPool
+};
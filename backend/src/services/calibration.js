@@ -0,0 +1,178 @@
+/**
+ * Confidence calibration for SwarmOracle agents
+ * Compares self-reported answer confidence with verified outcomes (Brier score, ECE, reliability buckets)
+ * and shrinks the confidence of overconfident agents before consensus
+ */
+
+const BUCKET_COUNT = 10;
+
+// Verified answers needed before a category's own history is trusted over the agent's overall one
+const MIN_CATEGORY_SAMPLES = 5;
+
+// Pseudo-count for shrinkage: with this many verified answers the agent's history gets half the say
+const SHRINKAGE_PRIOR_SAMPLES = 10;
+
+/**
+ * Reliability-diagram buckets over [0, 1] in steps of 1 / BUCKET_COUNT
+ */
+function buildBuckets(samples) {
+    const buckets = Array.from({ length: BUCKET_COUNT }, (_, index) => ({
+        lower: index / BUCKET_COUNT,
+        upper: (index + 1) / BUCKET_COUNT,
+        count: 0,
+        confidenceSum: 0,
+        correctCount: 0
+    }));
+
+    for (const { confidence, correct } of samples) {
+        const bucket = buckets[Math.min(Math.floor(confidence * BUCKET_COUNT), BUCKET_COUNT - 1)];
+        bucket.count++;
+        bucket.confidenceSum += confidence;
+        bucket.correctCount += correct ? 1 : 0;
+    }
+
+    return buckets.map(({ confidenceSum, correctCount, ...bucket }) => ({
+        ...bucket,
+        meanConfidence: bucket.count > 0 ? confidenceSum / bucket.count : null,
+        accuracy: bucket.count > 0 ? correctCount / bucket.count : null
+    }));
+}
+
+/**
+ * Calibration summary for a set of { confidence, correct } samples
+ */
+function summarizeSamples(samples) {
+    const n = samples.length;
+    if (n === 0) {
+        return {
+            samples: 0,
+            brierScore: null,
+            expectedCalibrationError: null,
+            meanConfidence: null,
+            accuracy: null,
+            overconfidence: null,
+            buckets: buildBuckets([])
+        };
+    }
+
+    const buckets = buildBuckets(samples);
+    const brierScore = samples.reduce((sum, s) => sum + (s.confidence - (s.correct ? 1 : 0)) ** 2, 0) / n;
+    const expectedCalibrationError = buckets
+        .filter(bucket => bucket.count > 0)
+        .reduce((sum, bucket) => sum + (bucket.count / n) * Math.abs(bucket.meanConfidence - bucket.accuracy), 0);
+    const meanConfidence = samples.reduce((sum, s) => sum + s.confidence, 0) / n;
+    const accuracy = samples.filter(s => s.correct).length / n;
+
+    return {
+        samples: n,
+        brierScore,
+        expectedCalibrationError,
+        meanConfidence,
+        accuracy,
+        overconfidence: meanConfidence - accuracy,
+        buckets
+    };
+}
+
+/**
+ * Overall and per-category calibration from samples of { confidence, correct, category }
+ */
+function computeCalibration(samples) {
+    const byCategory = {};
+    for (const sample of samples) {
+        (byCategory[sample.category] = byCategory[sample.category] || []).push(sample);
+    }
+
+    return {
+        ...summarizeSamples(samples),
+        categories: Object.fromEntries(
+            Object.entries(byCategory).map(([category, categorySamples]) => [category, summarizeSamples(categorySamples)])
+        )
+    };
+}
+
+/**
+ * The part of an agent's calibration consensus needs for a category
+ * Falls back to the overall history when the category has too few verified answers
+ */
+function calibrationProfile(calibration, category) {
+    if (!calibration || !calibration.samples) return null;
+
+    const categoryStats = calibration.categories?.[category];
+    const stats = categoryStats && categoryStats.samples >= MIN_CATEGORY_SAMPLES ? categoryStats : calibration;
+
+    return {
+        scope: stats === calibration ? 'overall' : category,
+        samples: stats.samples,
+        meanConfidence: stats.meanConfidence,
+        accuracy: stats.accuracy
+    };
+}
+
+/**
+ * Shrink a reported confidence toward the agent's historical accuracy
+ * Only overconfident agents are adjusted; the pull grows with the number of verified answers
+ */
+function calibrateConfidence(confidence, profile) {
+    if (!profile || profile.meanConfidence <= profile.accuracy || confidence <= profile.accuracy) {
+        return confidence;
+    }
+
+    const reliability = profile.samples / (profile.samples + SHRINKAGE_PRIOR_SAMPLES);
+    return confidence - reliability * (confidence - profile.accuracy);
+}
+
+/**
+ * Compute an agent's calibration from its answers to verified questions without storing it
+ * Returns the AgentStats calibration columns; calibratedAt is null since nothing was saved
+ */
+async function computeAgentCalibration(prisma, agentId) {
+    const answers = await prisma.answer.findMany({
+        where: {
+            agentId,
+            isCorrect: { not: null },
+            question: { status: 'VERIFIED' }
+        },
+        select: {
+            confidence: true,
+            isCorrect: true,
+            question: { select: { category: true } }
+        }
+    });
+
+    const calibration = computeCalibration(answers.map(answer => ({
+        confidence: Number(answer.confidence),
+        correct: answer.isCorrect,
+        category: answer.question.category
+    })));
+
+    return {
+        calibrationSamples: calibration.samples,
+        brierScore: calibration.brierScore,
+        expectedCalibrationError: calibration.expectedCalibrationError,
+        calibration,
+        calibratedAt: null
+    };
+}
+
+/**
+ * Recompute an agent's calibration and store it on AgentStats
+ */
+async function refreshAgentCalibration(prisma, agentId) {
+    const columns = { ...await computeAgentCalibration(prisma, agentId), calibratedAt: new Date() };
+
+    return prisma.agentStats.upsert({
+        where: { agentId },
+        create: { agentId, ...columns },
+        update: columns
+    });
+}
+
+module.exports = {
+    computeCalibration,
+    calibrationProfile,
+    calibrateConfidence,
+    computeAgentCalibration,
+    refreshAgentCalibration,
+    BUCKET_COUNT
+};
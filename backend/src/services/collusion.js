@@ -0,0 +1,322 @@
+/**
+ * Sybil and collusion detection for SwarmOracle
+ * Scores every pair of agents that met on a recent question (or staked on each other) on four
+ * signals - near-identical answers, answers submitted together, shared platform and registration
+ * time, and mutual staking - and groups flagged pairs into clusters for admin review.
+ * Agents in an open or confirmed case get a reduced trustFactor, which consensus applies to
+ * their reputation and to the stakes they place.
+ */
+
+const { HashedNgramEmbeddingProvider } = require('./embedding-providers');
+const { cosineSimilarity } = require('./semantic-similarity');
+
+const CASE_STATUS = {
+    PENDING: 'PENDING',
+    CONFIRMED: 'CONFIRMED',
+    DISMISSED: 'DISMISSED'
+};
+
+// trustFactor per case status; an agent takes the lowest across its cases
+const TRUST_FACTORS = {
+    [CASE_STATUS.PENDING]: 0.5,
+    [CASE_STATUS.CONFIRMED]: 0.1,
+    [CASE_STATUS.DISMISSED]: 1
+};
+
+const SIGNAL_WEIGHTS = {
+    answerSimilarity: 0.4,
+    timing: 0.2,
+    identity: 0.1,
+    mutualStakes: 0.3
+};
+
+const DEFAULT_LOOKBACK_DAYS = 30;
+const PAIR_THRESHOLD = 0.7;
+
+// Similarity and timing only mean something across several shared questions
+const MIN_SHARED_QUESTIONS = 3;
+
+// Answers this close together count as submitted in lockstep
+const TIMING_WINDOW_MS = 60 * 1000;
+
+// Agents registered this close together on the same platform look like one operator
+const REGISTRATION_WINDOW_MS = 60 * 60 * 1000;
+
+// Stakes on each other's answers needed for the full mutual-stake signal
+const MUTUAL_STAKE_SATURATION = 3;
+
+// Always offline: scans compare every shared answer and must not depend on a paid API
+const embeddings = new HashedNgramEmbeddingProvider();
+
+const round4 = value => Math.round(value * 10000) / 10000;
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+/**
+ * Stable identity for a cluster so repeated scans update one case instead of opening new ones
+ */
+function clusterKey(agentIds) {
+    return [...agentIds].sort().join(',');
+}
+
+/**
+ * Pairwise signals from recent activity
+ * answers: [{ questionId, agentId, content, submittedAt }]
+ * agents: { [agentId]: { platform, createdAt } }
+ * stakes: [{ agentId, answerAgentId }] - who staked on whose answer
+ */
+function scorePairs({ answers, agents, stakes }) {
+    const pairs = new Map();
+    const pairFor = (a, b) => {
+        const key = pairKey(a, b);
+        if (!pairs.has(key)) {
+            const [first, second] = a < b ? [a, b] : [b, a];
+            pairs.set(key, { agentIds: [first, second], shared: 0, similaritySum: 0, lockstep: 0, stakes: {} });
+        }
+        return pairs.get(key);
+    };
+
+    const byQuestion = new Map();
+    for (const answer of answers) {
+        if (!byQuestion.has(answer.questionId)) byQuestion.set(answer.questionId, []);
+        byQuestion.get(answer.questionId).push({ ...answer, vector: embeddings.embedOne(answer.content) });
+    }
+
+    for (const questionAnswers of byQuestion.values()) {
+        for (let i = 0; i < questionAnswers.length; i++) {
+            for (let j = i + 1; j < questionAnswers.length; j++) {
+                const a = questionAnswers[i];
+                const b = questionAnswers[j];
+                const pair = pairFor(a.agentId, b.agentId);
+                pair.shared++;
+                pair.similaritySum += Math.max(0, cosineSimilarity(a.vector, b.vector));
+                if (Math.abs(new Date(a.submittedAt) - new Date(b.submittedAt)) <= TIMING_WINDOW_MS) {
+                    pair.lockstep++;
+                }
+            }
+        }
+    }
+
+    for (const stake of stakes) {
+        if (stake.agentId === stake.answerAgentId) continue;
+        const pair = pairFor(stake.agentId, stake.answerAgentId);
+        pair.stakes[stake.agentId] = (pair.stakes[stake.agentId] || 0) + 1;
+    }
+
+    return [...pairs.values()].map(pair => {
+        const [a, b] = pair.agentIds;
+        const enoughShared = pair.shared >= MIN_SHARED_QUESTIONS;
+        const stakesAB = pair.stakes[a] || 0;
+        const stakesBA = pair.stakes[b] || 0;
+
+        const signals = {
+            answerSimilarity: enoughShared ? round4(pair.similaritySum / pair.shared) : 0,
+            timing: enoughShared ? round4(pair.lockstep / pair.shared) : 0,
+            identity: sameOperator(agents[a], agents[b]),
+            // Both directions are required: one-way staking is ordinary agreement
+            mutualStakes: round4(Math.min(1, Math.min(stakesAB, stakesBA) / MUTUAL_STAKE_SATURATION))
+        };
+
+        const score = Object.entries(SIGNAL_WEIGHTS).reduce((sum, [name, weight]) => sum + weight * signals[name], 0);
+
+        return {
+            agentIds: pair.agentIds,
+            sharedQuestions: pair.shared,
+            stakes: { [a]: stakesAB, [b]: stakesBA },
+            signals,
+            score: round4(score)
+        };
+    });
+}
+
+function sameOperator(agentA, agentB) {
+    if (!agentA || !agentB || agentA.platform !== agentB.platform) return 0;
+    const apart = Math.abs(new Date(agentA.createdAt) - new Date(agentB.createdAt));
+    return apart <= REGISTRATION_WINDOW_MS ? 1 : 0.5;
+}
+
+/**
+ * Connected components of the flagged pairs
+ */
+function buildClusters(flaggedPairs) {
+    const parent = new Map();
+    const find = id => {
+        if (!parent.has(id)) parent.set(id, id);
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+
+    for (const pair of flaggedPairs) {
+        parent.set(find(pair.agentIds[0]), find(pair.agentIds[1]));
+    }
+
+    const clusters = new Map();
+    for (const pair of flaggedPairs) {
+        const root = find(pair.agentIds[0]);
+        if (!clusters.has(root)) clusters.set(root, { agentIds: new Set(), pairs: [] });
+        const cluster = clusters.get(root);
+        pair.agentIds.forEach(id => cluster.agentIds.add(id));
+        cluster.pairs.push(pair);
+    }
+
+    return [...clusters.values()].map(cluster => ({
+        agentIds: [...cluster.agentIds].sort(),
+        score: Math.max(...cluster.pairs.map(pair => pair.score)),
+        pairs: cluster.pairs
+    }));
+}
+
+/**
+ * trustFactor for each agent from the cases it belongs to
+ */
+async function refreshTrustFactors(tx, agentIds) {
+    const memberships = await tx.collusionCaseMember.findMany({
+        where: { agentId: { in: agentIds } },
+        select: { agentId: true, case: { select: { status: true } } }
+    });
+
+    for (const agentId of agentIds) {
+        const factors = memberships
+            .filter(member => member.agentId === agentId)
+            .map(member => TRUST_FACTORS[member.case.status]);
+        await tx.agent.update({
+            where: { id: agentId },
+            data: { trustFactor: Math.min(1, ...factors) }
+        });
+    }
+}
+
+/**
+ * Scan recent activity, open a PENDING case per new cluster (or refresh an existing one) and
+ * down-weight its members. Dismissed clusters are not reopened unless their membership changes.
+ */
+async function scanForCollusion(prisma, { lookbackDays = DEFAULT_LOOKBACK_DAYS, now = new Date() } = {}) {
+    const since = new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+
+    const [answers, stakes] = await Promise.all([
+        prisma.answer.findMany({
+            where: { submittedAt: { gte: since } },
+            select: { questionId: true, agentId: true, content: true, submittedAt: true }
+        }),
+        prisma.stake.findMany({
+            where: { stakedAt: { gte: since } },
+            select: { agentId: true, answer: { select: { agentId: true } } }
+        })
+    ]);
+
+    const agentIds = [...new Set([
+        ...answers.map(answer => answer.agentId),
+        ...stakes.flatMap(stake => [stake.agentId, stake.answer.agentId])
+    ])];
+    const agents = await prisma.agent.findMany({
+        where: { id: { in: agentIds } },
+        select: { id: true, platform: true, createdAt: true }
+    });
+
+    const pairs = scorePairs({
+        answers,
+        agents: Object.fromEntries(agents.map(agent => [agent.id, agent])),
+        stakes: stakes.map(stake => ({ agentId: stake.agentId, answerAgentId: stake.answer.agentId }))
+    });
+    const clusters = buildClusters(pairs.filter(pair => pair.score >= PAIR_THRESHOLD));
+
+    const opened = [];
+    const refreshed = [];
+    for (const cluster of clusters) {
+        const key = clusterKey(cluster.agentIds);
+        const evidence = { pairs: cluster.pairs, lookbackDays, scannedAt: now };
+
+        const result = await prisma.$transaction(async (tx) => {
+            const existing = await tx.collusionCase.findUnique({ where: { clusterKey: key } });
+
+            if (existing) {
+                if (existing.status === CASE_STATUS.DISMISSED) return null;
+                const updated = await tx.collusionCase.update({
+                    where: { id: existing.id },
+                    data: { score: cluster.score, evidence, lastDetectedAt: now }
+                });
+                return { collusionCase: updated, isNew: false };
+            }
+
+            const created = await tx.collusionCase.create({
+                data: {
+                    clusterKey: key,
+                    score: cluster.score,
+                    evidence,
+                    detectedAt: now,
+                    lastDetectedAt: now,
+                    members: { create: cluster.agentIds.map(agentId => ({ agentId })) }
+                }
+            });
+            await refreshTrustFactors(tx, cluster.agentIds);
+            return { collusionCase: created, isNew: true };
+        });
+
+        if (result) (result.isNew ? opened : refreshed).push(result.collusionCase);
+    }
+
+    return {
+        scannedAt: now,
+        lookbackDays,
+        agentsScanned: agents.length,
+        pairsScored: pairs.length,
+        pairsFlagged: clusters.reduce((sum, cluster) => sum + cluster.pairs.length, 0),
+        opened,
+        refreshed
+    };
+}
+
+/**
+ * Admin decision on a case: CONFIRMED keeps members heavily down-weighted, DISMISSED restores them
+ */
+async function reviewCase(prisma, caseId, { status, notes, reviewedBy = 'admin' }) {
+    return prisma.$transaction(async (tx) => {
+        const reviewed = await tx.collusionCase.update({
+            where: { id: caseId },
+            data: { status, notes, reviewedBy, reviewedAt: new Date() },
+            include: { members: { select: { agentId: true } } }
+        });
+        await refreshTrustFactors(tx, reviewed.members.map(member => member.agentId));
+        return reviewed;
+    });
+}
+
+/**
+ * Run scanForCollusion every intervalHours; returns a stop function
+ * Disabled when the interval is 0. Runs never overlap.
+ */
+function startCollusionScanJob(prisma, { intervalHours = Number(process.env.COLLUSION_SCAN_INTERVAL_HOURS ?? 6), onResult } = {}) {
+    if (!(intervalHours > 0)) return () => {};
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const result = await scanForCollusion(prisma);
+            if (onResult) onResult(result);
+        } catch (error) {
+            console.error('Collusion scan failed:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalHours * 60 * 60 * 1000);
+
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    CASE_STATUS,
+    TRUST_FACTORS,
+    SIGNAL_WEIGHTS,
+    PAIR_THRESHOLD,
+    clusterKey,
+    scorePairs,
+    buildClusters,
+    scanForCollusion,
+    reviewCase,
+    startCollusionScanJob
+};
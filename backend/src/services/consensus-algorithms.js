@@ -0,0 +1,630 @@
+/**
+ * Built-in consensus algorithms for SwarmOracle
+ * Every algorithm is a pure function of the consensus input - no database or network access -
+ * so the same question always produces the same winner regardless of which entrypoint runs it
+ */
+
+const { z } = require('zod');
+const { clusterAnswers } = require('./answer-clustering');
+const { parseNumericAnswer } = require('./verification');
+const { ANSWER_TYPES, scalarValue } = require('./answer-types');
+const { convergenceScores } = require('./answer-revisions');
+
+/**
+ * Calculate reputation-based weights
+ */
+function calculateReputationWeights(agents) {
+    const weights = {};
+    const totalReputation = agents.reduce((sum, agent) => sum + agent.reputationScore, 0);
+
+    for (const agent of agents) {
+        const baseWeight = totalReputation > 0 ? agent.reputationScore / totalReputation : 0;
+        const accuracyBonus = agent.accuracyRate * 0.5; // Up to 50% bonus
+        const experienceBonus = Math.min(agent.totalAnswers / 100, 0.3); // Up to 30% bonus
+
+        weights[agent.id] = Math.min(baseWeight + accuracyBonus + experienceBonus, 2.0);
+    }
+
+    return weights;
+}
+
+/**
+ * Calculate stake-based weights
+ */
+function calculateStakeWeights(stakes) {
+    const weights = {};
+    const stakesByAnswer = stakes.reduce((acc, stake) => {
+        if (!acc[stake.answerId]) acc[stake.answerId] = 0;
+        acc[stake.answerId] += stake.amount;
+        return acc;
+    }, {});
+
+    const totalStaked = Object.values(stakesByAnswer).reduce((sum, amount) => sum + amount, 0);
+
+    for (const [answerId, amount] of Object.entries(stakesByAnswer)) {
+        weights[answerId] = totalStaked > 0 ? amount / totalStaked : 0;
+    }
+
+    return weights;
+}
+
+// Endorsements count for half as much as rebuttals, and can lift a critique to 1.5x its impact
+const ENDORSEMENT_FACTOR = 0.5;
+const MAX_STANDING = 1.5;
+
+// A critique whose standing falls below this has been successfully rebutted
+const REBUTTED_BELOW = 0.5;
+
+/**
+ * Standing of every critique and reply in a debate thread, 0 to MAX_STANDING (1 when unanswered)
+ * Rebuttals lower the standing of their parent by their impact times their own standing, and
+ * endorsements raise it, so a rebuttal that is itself rebutted loses its force.
+ */
+function critiqueStanding(critiques) {
+    const replies = new Map();
+    for (const critique of critiques) {
+        if (!critique.parentCritiqueId) continue;
+        if (!replies.has(critique.parentCritiqueId)) replies.set(critique.parentCritiqueId, []);
+        replies.get(critique.parentCritiqueId).push(critique);
+    }
+
+    const standing = {};
+    const resolve = (critique) => {
+        if (standing[critique.id] !== undefined) return standing[critique.id];
+        standing[critique.id] = 1; // guards against cycles in malformed input
+
+        let value = 1;
+        for (const reply of replies.get(critique.id) || []) {
+            const force = reply.impact * resolve(reply);
+            if (reply.kind === 'REBUTTAL') value -= force;
+            if (reply.kind === 'ENDORSEMENT') value += force * ENDORSEMENT_FACTOR;
+        }
+
+        standing[critique.id] = Math.min(MAX_STANDING, Math.max(0, value));
+        return standing[critique.id];
+    };
+
+    critiques.forEach(resolve);
+    return standing;
+}
+
+/**
+ * Calculate debate-based weights from critiques
+ * Only critiques of answers move weights; each counts with its impact scaled by its standing, so a
+ * successfully rebutted critique has little or no effect.
+ */
+function calculateDebateWeights(critiques) {
+    const weights = {};
+    const standing = critiqueStanding(critiques);
+
+    for (const critique of critiques) {
+        if (critique.parentCritiqueId) continue;
+
+        const impact = Math.min(1, critique.impact * standing[critique.id]);
+        const answerId = critique.targetAnswerId;
+
+        if (!weights[answerId]) weights[answerId] = 1.0;
+
+        // Adjust weight based on critique type and impact
+        switch (critique.type) {
+            case 'FACTUAL_ERROR':
+                weights[answerId] *= (1 - impact * 0.8); // Severe penalty
+                break;
+            case 'LOGICAL_FLAW':
+                weights[answerId] *= (1 - impact * 0.6); // Moderate penalty
+                break;
+            case 'MISSING_CONTEXT':
+                weights[answerId] *= (1 - impact * 0.3); // Minor penalty
+                break;
+            case 'IMPROVEMENT':
+                weights[answerId] *= (1 + impact * 0.2); // Small bonus
+                break;
+        }
+    }
+
+    return weights;
+}
+
+/**
+ * Consensus strength is the winner's share of the total weight,
+ * confidence level is the winner's lead over the runner-up
+ */
+function summarizeStrength(winnerWeight, runnerUpWeight, totalWeight) {
+    let confidenceLevel = 1.0;
+    if (runnerUpWeight !== undefined) {
+        confidenceLevel = winnerWeight > 0 ? (winnerWeight - runnerUpWeight) / winnerWeight : 0;
+    }
+
+    return {
+        consensusStrength: totalWeight > 0 ? winnerWeight / totalWeight : 0,
+        confidenceLevel
+    };
+}
+
+/**
+ * Rank answers by weight and determine the winner
+ * Answers missing from answerWeights are ranked with a weight of 0.
+ * With options.clusterThreshold, semantically equivalent answers are grouped into clusters that
+ * pool their weight; the winner is the representative answer of the heaviest cluster.
+ */
+function finalizeConsensus(answerWeights, input, options = {}) {
+    const { answers, question } = input;
+
+    if (answers.length === 0) {
+        throw new Error('No valid answers for consensus');
+    }
+
+    const weightOf = id => answerWeights[id] || 0;
+    const agentOf = Object.fromEntries(answers.map(answer => [answer.id, answer.agentId]));
+    const totalWeight = answers.reduce((sum, answer) => sum + weightOf(answer.id), 0);
+
+    if (options.clusterThreshold === undefined) {
+        const rankedAnswers = answers
+            .map(answer => ({ answerId: answer.id, agentId: answer.agentId, weight: weightOf(answer.id) }))
+            .sort((a, b) => b.weight - a.weight || a.answerId.localeCompare(b.answerId))
+            .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+        const [winner, runnerUp] = rankedAnswers;
+        const { consensusStrength, confidenceLevel } = summarizeStrength(winner.weight, runnerUp?.weight, totalWeight);
+
+        return {
+            winningAnswerId: winner.weight > 0 ? winner.answerId : null,
+            consensusStrength,
+            confidenceLevel,
+            consensusReached: winner.weight > 0 && consensusStrength >= question.consensusThreshold,
+            rankedAnswers,
+            answerWeights: Object.fromEntries(rankedAnswers.map(entry => [entry.answerId, entry.weight])),
+            participantCount: answers.length
+        };
+    }
+
+    const clusters = clusterAnswers(answers, input.similarities, answerWeights, options.clusterThreshold);
+
+    // Rank cluster by cluster: representative first, then the remaining members by weight
+    const rankedAnswers = clusters
+        .flatMap(cluster => [
+            cluster.representativeAnswerId,
+            ...cluster.answerIds
+                .filter(id => id !== cluster.representativeAnswerId)
+                .sort((a, b) => weightOf(b) - weightOf(a) || a.localeCompare(b))
+        ].map(answerId => ({
+            answerId,
+            agentId: agentOf[answerId],
+            weight: weightOf(answerId),
+            clusterId: cluster.id
+        })))
+        .map((entry, index) => ({ ...entry, rank: index + 1 }));
+
+    const [winner, runnerUp] = clusters;
+    const { consensusStrength, confidenceLevel } = summarizeStrength(winner.weight, runnerUp?.weight, totalWeight);
+
+    return {
+        winningAnswerId: winner.weight > 0 ? winner.representativeAnswerId : null,
+        winningClusterId: winner.weight > 0 ? winner.id : null,
+        consensusStrength,
+        confidenceLevel,
+        consensusReached: winner.weight > 0 && consensusStrength >= question.consensusThreshold,
+        rankedAnswers,
+        clusters,
+        answerWeights: Object.fromEntries(rankedAnswers.map(entry => [entry.answerId, entry.weight])),
+        participantCount: answers.length
+    };
+}
+
+/**
+ * Byzantine Fault Tolerant consensus
+ * v1 counts similar answers against a fixed supermajority and is kept for replays
+ */
+const bft = {
+    name: 'BFT',
+    version: '1.0.0',
+    description: 'Supermajority agreement among semantically similar answers, weighted by reputation',
+    parameters: z.object({
+        similarityThreshold: z.number().min(0).max(1).default(0.7),
+        supermajority: z.number().min(0.5).max(1).default(0.67)
+    }),
+    compute(input, params) {
+        const { answers, similarities } = input;
+        const reputationWeights = calculateReputationWeights(input.agents);
+        const agentByAnswer = Object.fromEntries(answers.map(a => [a.id, a.agentId]));
+        const answerWeights = {};
+
+        for (const answer of answers) {
+            let weight = 0;
+            let supportCount = 0;
+
+            // Count support from other answers
+            for (const similarity of similarities[answer.id] || []) {
+                if (similarity.similarity > params.similarityThreshold) {
+                    weight += similarity.similarity * (reputationWeights[agentByAnswer[similarity.answerId]] || 0);
+                    supportCount++;
+                }
+            }
+
+            // Require supermajority support
+            const supportRatio = supportCount / answers.length;
+            answerWeights[answer.id] = supportRatio > params.supermajority ? weight : 0;
+        }
+
+        return finalizeConsensus(answerWeights, input);
+    }
+};
+
+/**
+ * Quorum for an assumed Byzantine weight fraction f: any two quorums must overlap in more than
+ * f of the weight, so at most one position can ever be certified (f = 1/3 gives the classic 2/3)
+ */
+function quorumFraction(faultFraction) {
+    return (1 + faultFraction) / 2;
+}
+
+const BARE_NUMBER = /^\s*[-+]?\d+(?:\.\d+)?(?:e[+-]?\d+)?\s*%?\s*$/i;
+
+// Typed questions whose values BFT aggregates numerically (dates use their own tolerance scale)
+const NUMERIC_BFT_TYPES = [ANSWER_TYPES.NUMERIC, ANSWER_TYPES.PROBABILITY];
+
+/**
+ * Numeric aggregation applies to numeric answer types, and to untyped questions where every
+ * answer is just a number
+ */
+function isNumericInput({ question, answers }) {
+    if (NUMERIC_BFT_TYPES.includes(question.answerType)) return true;
+    return answers.every(answer => BARE_NUMBER.test(String(answer.content).replace(/(\d),(?=\d{3})/g, '$1')));
+}
+
+function numericValueOf(question, answer) {
+    return NUMERIC_BFT_TYPES.includes(question.answerType)
+        ? scalarValue(question.answerType, answer.value)
+        : parseNumericAnswer(answer.content);
+}
+
+/**
+ * Weighted median after trimming `trim` of the total weight from each tail
+ * entries: [{ answerId, value, weight }] sorted by value. Returns the median and the trimmed answer ids.
+ */
+function trimmedWeightedMedian(entries, trim) {
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    const cut = totalWeight * trim;
+    const trimmed = new Set();
+
+    // An answer is trimmed only if its whole weight falls inside a tail
+    let below = 0;
+    for (const entry of entries) {
+        if (below + entry.weight > cut) break;
+        below += entry.weight;
+        trimmed.add(entry.answerId);
+    }
+    let above = 0;
+    for (const entry of [...entries].reverse()) {
+        if (above + entry.weight > cut || trimmed.has(entry.answerId)) break;
+        above += entry.weight;
+        trimmed.add(entry.answerId);
+    }
+
+    const kept = entries.filter(entry => !trimmed.has(entry.answerId));
+    const keptWeight = kept.reduce((sum, entry) => sum + entry.weight, 0);
+    let running = 0;
+    let median = kept.length > 0 ? kept[kept.length - 1].value : null;
+    for (const entry of kept) {
+        running += entry.weight;
+        if (running >= keptWeight / 2) {
+            median = entry.value;
+            break;
+        }
+    }
+
+    return { median, trimmed };
+}
+
+/**
+ * Numeric BFT: the trimmed weighted median is the agreed value, and the quorum is the weight of
+ * answers within tolerance of it. The answer closest to the median represents the result.
+ * legacyTrimming reproduces 2.0.0, which excluded every trimmed answer from the quorum.
+ */
+function numericQuorum(input, agentWeights, params, { legacyTrimming = false } = {}) {
+    const { answers, question } = input;
+    const entries = answers
+        .map(answer => ({
+            answerId: answer.id,
+            agentId: answer.agentId,
+            value: numericValueOf(question, answer),
+            weight: agentWeights[answer.agentId] || 0
+        }))
+        .sort((a, b) => a.value - b.value || a.answerId.localeCompare(b.answerId));
+
+    const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    const { median, trimmed } = trimmedWeightedMedian(entries, params.faultFraction);
+    const allowed = params.numericTolerance * Math.max(Math.abs(median), 1);
+
+    // Trimming only protects the median; a trimmed answer that agrees with it still supports the quorum
+    const outliers = entries
+        .filter(entry => Math.abs(entry.value - median) > allowed || (legacyTrimming && trimmed.has(entry.answerId)))
+        .map(entry => ({
+            answerId: entry.answerId,
+            agentId: entry.agentId,
+            // Only 2.0.0 made trimming itself a reason; from 2.1.0 every outlier is outside the tolerance
+            reason: legacyTrimming && trimmed.has(entry.answerId) ? 'TRIMMED' : 'OUTSIDE_TOLERANCE'
+        }));
+    const outlierIds = new Set(outliers.map(outlier => outlier.answerId));
+    const supporters = entries.filter(entry => !outlierIds.has(entry.answerId));
+
+    const rankedAnswers = [...entries]
+        .sort((a, b) =>
+            outlierIds.has(a.answerId) - outlierIds.has(b.answerId) ||
+            Math.abs(a.value - median) - Math.abs(b.value - median) ||
+            b.weight - a.weight ||
+            a.answerId.localeCompare(b.answerId)
+        )
+        .map((entry, index) => ({
+            answerId: entry.answerId,
+            agentId: entry.agentId,
+            weight: outlierIds.has(entry.answerId) ? 0 : entry.weight,
+            rank: index + 1
+        }));
+
+    const supportWeight = supporters.reduce((sum, entry) => sum + entry.weight, 0);
+    const runnerUpWeight = outliers.length > 0 ? totalWeight - supportWeight : undefined;
+    const { consensusStrength, confidenceLevel } = summarizeStrength(supportWeight, runnerUpWeight, totalWeight);
+    const [winner] = rankedAnswers;
+
+    return {
+        winningAnswerId: supportWeight > 0 ? winner.answerId : null,
+        consensusStrength,
+        confidenceLevel,
+        rankedAnswers,
+        answerWeights: Object.fromEntries(rankedAnswers.map(entry => [entry.answerId, entry.weight])),
+        participantCount: answers.length,
+        aggregate: legacyTrimming
+            ? { value: median, tolerance: allowed }
+            : {
+                method: 'TRIMMED_WEIGHTED_MEDIAN',
+                value: median,
+                tolerance: allowed,
+                trimmedAnswerIds: [...trimmed]
+            },
+        support: {
+            answerIds: supporters.map(entry => entry.answerId),
+            agentIds: supporters.map(entry => entry.agentId),
+            weight: supportWeight
+        },
+        totalWeight,
+        outliers
+    };
+}
+
+/**
+ * Categorical BFT: answers are clustered into positions and the heaviest cluster is certified
+ * if its weight reaches the quorum. Every agent outside that cluster is an outlier.
+ */
+function categoricalQuorum(input, agentWeights, params) {
+    const answerWeights = Object.fromEntries(input.answers.map(answer => [answer.id, agentWeights[answer.agentId] || 0]));
+    const result = finalizeConsensus(answerWeights, input, { clusterThreshold: params.similarityThreshold });
+    const [winner] = result.clusters;
+    const supportIds = new Set(winner.answerIds);
+
+    return {
+        ...result,
+        support: {
+            clusterId: winner.id,
+            answerIds: winner.answerIds,
+            agentIds: result.rankedAnswers.filter(entry => supportIds.has(entry.answerId)).map(entry => entry.agentId),
+            weight: winner.weight
+        },
+        totalWeight: input.answers.reduce((sum, answer) => sum + answerWeights[answer.id], 0),
+        outliers: result.rankedAnswers
+            .filter(entry => !supportIds.has(entry.answerId))
+            .map(entry => ({ answerId: entry.answerId, agentId: entry.agentId, reason: 'OUTSIDE_QUORUM' }))
+    };
+}
+
+/**
+ * Quorum-certified BFT over either numeric or categorical answers
+ */
+function computeBftQuorum(input, params, numericOptions) {
+    const { answers, question } = input;
+    if (answers.length === 0) {
+        throw new Error('No valid answers for consensus');
+    }
+
+    const agentWeights = calculateReputationWeights(input.agents);
+    const mode = params.mode === 'auto'
+        ? (isNumericInput(input) ? 'numeric' : 'categorical')
+        : params.mode;
+    if (mode === 'numeric' && answers.some(answer => numericValueOf(question, answer) === null)) {
+        throw new Error('Numeric BFT requires every answer to contain a number');
+    }
+
+    const { support, totalWeight, ...result } = mode === 'numeric'
+        ? numericQuorum(input, agentWeights, params, numericOptions)
+        : categoricalQuorum(input, agentWeights, params);
+
+    const required = quorumFraction(params.faultFraction);
+    const quorumMet = totalWeight > 0 && support.weight > totalWeight * required;
+
+    return {
+        ...result,
+        consensusReached: quorumMet && result.consensusStrength >= question.consensusThreshold,
+        mode: mode.toUpperCase(),
+        faultFraction: params.faultFraction,
+        quorumMet,
+        quorum: {
+            required,
+            requiredWeight: totalWeight * required,
+            supportWeight: support.weight,
+            totalWeight,
+            certificate: quorumMet ? { ...support, faultFraction: params.faultFraction } : null
+        }
+    };
+}
+
+/**
+ * Byzantine Fault Tolerant consensus with an explicit fault bound
+ * Tolerates up to faultFraction of the reputation weight being malicious. Numeric answers are
+ * aggregated with a trimmed weighted median, anything else by semantic clusters; either way the
+ * result carries a quorum certificate only when the supporting weight actually reaches the quorum.
+ * 2.0.0 dropped trimmed numeric answers from the quorum even when they agreed; it is kept for replays.
+ */
+const bftQuorumV2 = {
+    name: 'BFT',
+    version: '2.0.0',
+    description: 'Quorum certificates over reputation weight with an assumed fault fraction; trimmed weighted median for numeric answers',
+    parameters: z.object({
+        faultFraction: z.number().min(0).max(0.33).default(0.33),
+        mode: z.enum(['auto', 'numeric', 'categorical']).default('auto'),
+        similarityThreshold: z.number().min(0).max(1).default(0.8),
+        numericTolerance: z.number().min(0).default(0.05)
+    }),
+    compute(input, params) {
+        return computeBftQuorum(input, params, { legacyTrimming: true });
+    }
+};
+
+const bftQuorum = {
+    ...bftQuorumV2,
+    version: '2.1.0',
+    compute(input, params) {
+        return computeBftQuorum(input, params);
+    }
+};
+
+/**
+ * Delegated Proof of Reputation consensus
+ * Fast consensus using top-reputation agents
+ */
+const dpor = {
+    name: 'DPoR',
+    version: '1.0.0',
+    description: 'Only the top-reputation delegates vote, weighted by reputation, stakes and confidence',
+    parameters: z.object({
+        delegateFraction: z.number().gt(0).max(1).default(0.3),
+        reputationWeight: z.number().min(0).max(1).default(0.6),
+        stakeWeight: z.number().min(0).max(1).default(0.3),
+        confidenceWeight: z.number().min(0).max(1).default(0.1)
+    }),
+    compute(input, params) {
+        const { answers } = input;
+        const reputationWeights = calculateReputationWeights(input.agents);
+        const stakeWeights = calculateStakeWeights(input.stakes);
+
+        const topDelegates = [...answers]
+            .sort((a, b) => (reputationWeights[b.agentId] || 0) - (reputationWeights[a.agentId] || 0))
+            .slice(0, Math.ceil(answers.length * params.delegateFraction));
+
+        const answerWeights = {};
+        for (const answer of topDelegates) {
+            answerWeights[answer.id] =
+                (reputationWeights[answer.agentId] || 0) * params.reputationWeight +
+                (stakeWeights[answer.id] || 0) * params.stakeWeight +
+                answer.confidence * params.confidenceWeight;
+        }
+
+        return finalizeConsensus(answerWeights, input);
+    }
+};
+
+/**
+ * Per-answer Hybrid weights: confidence, reputation, stakes, semantic agreement and debate outcome
+ * With params.convergenceWeight, answers other agents revised toward are boosted by up to that factor.
+ */
+function calculateHybridWeights(input, params) {
+    const { answers, similarities } = input;
+    const reputationWeights = calculateReputationWeights(input.agents);
+    const stakeWeights = calculateStakeWeights(input.stakes);
+    const debateWeights = calculateDebateWeights(input.critiques);
+    const convergence = params.convergenceWeight > 0 ? convergenceScores(input) : null;
+    const answerWeights = {};
+
+    for (const answer of answers) {
+        let weight = 0;
+
+        weight += answer.confidence * params.confidenceWeight;
+        weight += (reputationWeights[answer.agentId] || 0) * params.reputationWeight;
+        weight += (stakeWeights[answer.id] || 0) * params.stakeWeight;
+
+        const answerSimilarities = similarities[answer.id] || [];
+        if (answerSimilarities.length > 0) {
+            const avgSimilarity = answerSimilarities.reduce((sum, s) => sum + s.similarity, 0) /
+                                answerSimilarities.length;
+            weight += avgSimilarity * params.similarityWeight;
+        }
+
+        // Debate outcome is a small multiplicative factor
+        const debateWeight = debateWeights[answer.id] ?? 1.0;
+        weight *= debateWeight * params.debateWeight + (1 - params.debateWeight);
+
+        if (convergence) {
+            weight *= 1 + convergence[answer.id] * params.convergenceWeight;
+        }
+
+        answerWeights[answer.id] = Math.max(0, weight);
+    }
+
+    return answerWeights;
+}
+
+const hybridParameters = z.object({
+    confidenceWeight: z.number().min(0).max(1).default(0.2),
+    reputationWeight: z.number().min(0).max(1).default(0.3),
+    stakeWeight: z.number().min(0).max(1).default(0.2),
+    similarityWeight: z.number().min(0).max(1).default(0.2),
+    debateWeight: z.number().min(0).max(1).default(0.1)
+});
+
+/**
+ * Hybrid consensus combining multiple methods
+ * Balance of speed and accuracy. v1 lets every answer compete individually and is kept for replays.
+ */
+const hybridV1 = {
+    name: 'Hybrid',
+    version: '1.0.0',
+    description: 'Blend of confidence, reputation, stakes, semantic agreement and debate outcome',
+    parameters: hybridParameters,
+    compute(input, params) {
+        return finalizeConsensus(calculateHybridWeights(input, params), input);
+    }
+};
+
+/**
+ * Hybrid consensus over answer clusters
+ * Semantically equivalent answers pool their weight so a split majority cannot lose to one outlier
+ */
+const hybridV2 = {
+    name: 'Hybrid',
+    version: '2.0.0',
+    description: 'Hybrid weights pooled across clusters of semantically equivalent answers',
+    parameters: hybridParameters.extend({
+        clusterThreshold: z.number().min(0).max(1).default(0.8)
+    }),
+    compute(input, params) {
+        return finalizeConsensus(calculateHybridWeights(input, params), input, {
+            clusterThreshold: params.clusterThreshold
+        });
+    }
+};
+
+/**
+ * Hybrid 2 that can also weigh how positions converged across debate rounds
+ * Off by default: with convergenceWeight 0 it matches 2.0.0.
+ */
+const hybrid = {
+    ...hybridV2,
+    version: '2.1.0',
+    description: 'Clustered Hybrid weights, optionally boosting answers other agents revised toward',
+    parameters: hybridV2.parameters.extend({
+        convergenceWeight: z.number().min(0).max(1).default(0)
+    })
+};
+
+const builtinAlgorithms = [bft, bftQuorumV2, bftQuorum, dpor, hybridV1, hybridV2, hybrid];
+
+module.exports = {
+    builtinAlgorithms,
+    calculateReputationWeights,
+    calculateStakeWeights,
+    calculateDebateWeights,
+    critiqueStanding,
+    REBUTTED_BELOW,
+    finalizeConsensus,
+    quorumFraction,
+    trimmedWeightedMedian
+};
@@ -0,0 +1,210 @@
+/**
+ * Consensus audit trail for SwarmOracle
+ * Snapshots the full input of every calculation so it can be replayed and verified later
+ */
+
+const crypto = require('crypto');
+const { consensusRegistry } = require('./consensus-registry');
+
+// Summary columns on ConsensusLog are stored as Decimal(5, 4)
+const SUMMARY_PRECISION = 4;
+
+/**
+ * JSON serialization with sorted keys so hashes do not depend on property order
+ */
+function canonicalStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * The deterministic part of an algorithm result, without any display-only fields
+ */
+function pickResult(result) {
+    const picked = {
+        winningAnswerId: result.winningAnswerId ?? null,
+        consensusStrength: result.consensusStrength,
+        confidenceLevel: result.confidenceLevel,
+        consensusReached: result.consensusReached,
+        participantCount: result.participantCount,
+        rankedAnswers: result.rankedAnswers.map(({ answerId, agentId, weight, rank, clusterId }) => ({
+            answerId, agentId, weight, rank, ...(clusterId ? { clusterId } : {})
+        }))
+    };
+
+    if (result.clusters) {
+        picked.winningClusterId = result.winningClusterId ?? null;
+        picked.clusters = result.clusters;
+    }
+
+    if (result.quorum) {
+        picked.quorumMet = result.quorumMet;
+        picked.quorum = result.quorum;
+        picked.outliers = result.outliers;
+    }
+
+    if (result.aggregate) {
+        picked.aggregate = result.aggregate;
+    }
+
+    return picked;
+}
+
+function hashSnapshot({ algorithm, algorithmVersion, parameters, inputSnapshot, result }) {
+    return crypto
+        .createHash('sha256')
+        .update(canonicalStringify({ algorithm, algorithmVersion, parameters, inputSnapshot, result }))
+        .digest('hex');
+}
+
+/**
+ * Build the audit columns for a ConsensusLog row from a registry input and result
+ */
+function buildAuditRecord(input, result) {
+    const record = {
+        algorithm: result.algorithm,
+        algorithmVersion: result.version,
+        parameters: result.parameters,
+        inputSnapshot: input,
+        result: pickResult(result)
+    };
+
+    return { ...record, snapshotHash: hashSnapshot(record) };
+}
+
+function roundSummary(value) {
+    return Number(Number(value).toFixed(SUMMARY_PRECISION));
+}
+
+/**
+ * Field-by-field differences between a logged and a replayed result
+ */
+function diffResults(logged, replayed) {
+    const differences = [];
+
+    for (const field of ['winningAnswerId', 'winningClusterId', 'consensusStrength', 'confidenceLevel', 'consensusReached', 'participantCount']) {
+        if (logged[field] !== replayed[field]) {
+            differences.push({ field, logged: logged[field], replayed: replayed[field] });
+        }
+    }
+
+    const replayedById = new Map(replayed.rankedAnswers.map(entry => [entry.answerId, entry]));
+    const loggedIds = new Set(logged.rankedAnswers.map(entry => entry.answerId));
+
+    for (const entry of logged.rankedAnswers) {
+        const other = replayedById.get(entry.answerId);
+        if (!other) {
+            differences.push({ field: `rankedAnswers.${entry.answerId}`, logged: entry, replayed: null });
+            continue;
+        }
+        for (const key of ['rank', 'weight', 'clusterId']) {
+            if (entry[key] !== other[key]) {
+                differences.push({ field: `rankedAnswers.${entry.answerId}.${key}`, logged: entry[key], replayed: other[key] });
+            }
+        }
+    }
+
+    for (const entry of replayed.rankedAnswers) {
+        if (!loggedIds.has(entry.answerId)) {
+            differences.push({ field: `rankedAnswers.${entry.answerId}`, logged: null, replayed: entry });
+        }
+    }
+
+    return differences;
+}
+
+/**
+ * Compare the denormalized summary columns with the stored result
+ */
+function checkSummaryColumns(log, result) {
+    const mismatches = [];
+    const expected = {
+        winningAnswerId: result.winningAnswerId,
+        consensusStrength: roundSummary(result.consensusStrength),
+        confidenceLevel: roundSummary(result.confidenceLevel),
+        participantCount: result.participantCount
+    };
+    const actual = {
+        winningAnswerId: log.winningAnswerId,
+        consensusStrength: roundSummary(log.consensusStrength),
+        confidenceLevel: roundSummary(log.confidenceLevel),
+        participantCount: log.participantCount
+    };
+
+    for (const field of Object.keys(expected)) {
+        // Route calculations only record a winner when consensus was reached
+        if (field === 'winningAnswerId' && actual.winningAnswerId === null && !result.consensusReached) continue;
+
+        if (expected[field] !== actual[field]) {
+            mismatches.push({ field, column: actual[field], snapshot: expected[field] });
+        }
+    }
+
+    return mismatches;
+}
+
+/**
+ * Re-run the logged algorithm version on the stored snapshot and verify the log
+ */
+function replayConsensusLog(log) {
+    if (!log.inputSnapshot || !log.result) {
+        const error = new Error('Consensus log has no input snapshot and cannot be replayed');
+        error.statusCode = 422;
+        throw error;
+    }
+
+    const stored = {
+        algorithm: log.algorithm,
+        algorithmVersion: log.algorithmVersion,
+        parameters: log.parameters,
+        inputSnapshot: log.inputSnapshot,
+        result: log.result
+    };
+    const integrityHash = hashSnapshot(stored);
+
+    const replayed = pickResult(consensusRegistry.compute(
+        log.algorithm,
+        log.inputSnapshot,
+        log.parameters,
+        { version: log.algorithmVersion }
+    ));
+
+    const differences = diffResults(log.result, replayed);
+    const summaryMismatches = checkSummaryColumns(log, log.result);
+    const integrityVerified = integrityHash === log.snapshotHash;
+
+    return {
+        verified: integrityVerified && differences.length === 0 && summaryMismatches.length === 0,
+        integrity: {
+            verified: integrityVerified,
+            storedHash: log.snapshotHash,
+            computedHash: integrityHash
+        },
+        reproduction: {
+            matches: differences.length === 0,
+            differences
+        },
+        summary: {
+            matches: summaryMismatches.length === 0,
+            mismatches: summaryMismatches
+        },
+        logged: log.result,
+        replayed
+    };
+}
+
+module.exports = {
+    buildAuditRecord,
+    replayConsensusLog,
+    diffResults,
+    hashSnapshot,
+    canonicalStringify
+};
@@ -0,0 +1,155 @@
+/**
+ * Consensus outcomes for SwarmOracle
+ * Turns an algorithm result into a question lifecycle decision: reached, another debate round, or deadlocked
+ */
+
+const { queueDebateRoundStarted } = require('./webhooks');
+
+const CONSENSUS_OUTCOMES = {
+    REACHED: 'REACHED',
+    NO_CONSENSUS: 'NO_CONSENSUS',
+    DEADLOCKED: 'DEADLOCKED'
+};
+
+// Question status each outcome moves the question to
+const OUTCOME_STATUS = {
+    REACHED: 'CONSENSUS',
+    NO_CONSENSUS: 'DEBATING',
+    DEADLOCKED: 'DEADLOCKED'
+};
+
+const DEFAULT_MAX_DEBATE_ROUNDS = 3;
+
+const DEBATE_MODES = {
+    MANUAL: 'MANUAL',
+    AUTO: 'AUTO'
+};
+
+// Recalculating a settled question reports the outcome without moving it
+const UNRESOLVED_STATUSES = ['OPEN', 'DEBATING'];
+
+/**
+ * Decide the outcome of a consensus calculation
+ * debateRounds are the question's rounds ({ roundNumber, endedAt }); once maxDebateRounds have
+ * been held without reaching the threshold the question is deadlocked
+ */
+function evaluateConsensusOutcome(result, question, debateRounds = []) {
+    const evaluation = decideOutcome(result, question, debateRounds);
+
+    if (question.status && !UNRESOLVED_STATUSES.includes(question.status)) {
+        return { ...evaluation, status: question.status, nextDebateRound: null };
+    }
+
+    return evaluation;
+}
+
+function decideOutcome(result, question, debateRounds) {
+    const threshold = Number(question.consensusThreshold);
+    const maxDebateRounds = question.maxDebateRounds ?? DEFAULT_MAX_DEBATE_ROUNDS;
+    const roundsHeld = debateRounds.reduce((max, round) => Math.max(max, round.roundNumber), 0);
+    const activeRound = debateRounds.find(round => !round.endedAt) || null;
+
+    const evaluation = {
+        threshold,
+        consensusStrength: result.consensusStrength,
+        marginToThreshold: result.consensusStrength - threshold,
+        debateRoundsHeld: roundsHeld,
+        maxDebateRounds,
+        nextDebateRound: null
+    };
+
+    if (result.consensusReached) {
+        return { ...evaluation, outcome: CONSENSUS_OUTCOMES.REACHED, status: OUTCOME_STATUS.REACHED };
+    }
+
+    // A round still in progress gets to finish before the question can deadlock
+    if (roundsHeld >= maxDebateRounds && !activeRound) {
+        return { ...evaluation, outcome: CONSENSUS_OUTCOMES.DEADLOCKED, status: OUTCOME_STATUS.DEADLOCKED };
+    }
+
+    return {
+        ...evaluation,
+        outcome: CONSENSUS_OUTCOMES.NO_CONSENSUS,
+        status: OUTCOME_STATUS.NO_CONSENSUS,
+        // Only schedule a new round when none is running
+        nextDebateRound: activeRound ? null : roundsHeld + 1
+    };
+}
+
+/**
+ * Topic for a debate round scheduled because the threshold was missed
+ */
+function describeMissedThreshold(evaluation) {
+    return `Consensus not reached: strength ${evaluation.consensusStrength.toFixed(2)} ` +
+        `is below the ${evaluation.threshold.toFixed(2)} threshold`;
+}
+
+/**
+ * When a round of this question opened now should end: AUTO questions only, null otherwise
+ */
+function debateRoundDeadline(question, startedAt = new Date()) {
+    if (question.debateMode !== DEBATE_MODES.AUTO) return null;
+    return new Date(startedAt.getTime() + question.debateRoundMinutes * 60 * 1000);
+}
+
+/**
+ * Redis payload announcing a round to the question room and to the agents that answered
+ */
+function debateRoundEvent(round, agentIds) {
+    return {
+        questionId: round.questionId,
+        data: {
+            id: round.id,
+            roundNumber: round.roundNumber,
+            topic: round.topic,
+            startedAt: round.startedAt,
+            deadlineAt: round.deadlineAt,
+            endedAt: round.endedAt,
+            endedBy: round.endedBy,
+            agentIds
+        }
+    };
+}
+
+/**
+ * Move the question to the status matching the outcome, opening the next debate round if needed
+ * Shared by every consensus run (see consensus-runner.js); options.roundDeadline times the new round.
+ * options.roundAgentIds get a debate:round:started webhook queued in the same transaction.
+ */
+async function applyConsensusOutcome(prisma, questionId, evaluation, { roundDeadline = null, roundAgentIds = [] } = {}) {
+    return prisma.$transaction(async (tx) => {
+        const question = await tx.question.update({
+            where: { id: questionId },
+            data: {
+                status: evaluation.status,
+                consensusReachedAt: evaluation.status === OUTCOME_STATUS.REACHED ? new Date() : undefined
+            }
+        });
+
+        if (!evaluation.nextDebateRound) return { question, debateRound: null };
+
+        const debateRound = await tx.debateRound.create({
+            data: {
+                questionId,
+                roundNumber: evaluation.nextDebateRound,
+                topic: describeMissedThreshold(evaluation),
+                deadlineAt: roundDeadline
+            }
+        });
+        if (roundAgentIds.length > 0) {
+            await queueDebateRoundStarted(tx, debateRound, roundAgentIds);
+        }
+        return { question, debateRound };
+    });
+}
+
+module.exports = {
+    CONSENSUS_OUTCOMES,
+    OUTCOME_STATUS,
+    DEFAULT_MAX_DEBATE_ROUNDS,
+    DEBATE_MODES,
+    evaluateConsensusOutcome,
+    debateRoundDeadline,
+    debateRoundEvent,
+    applyConsensusOutcome
+};
@@ -0,0 +1,298 @@
+/**
+ * Consensus Algorithm Registry for SwarmOracle
+ * Single source of truth for consensus algorithms used by every API entrypoint.
+ * Third parties can register their own algorithms at startup via CONSENSUS_PLUGINS.
+ */
+
+const path = require('path');
+const { z } = require('zod');
+const { builtinAlgorithms } = require('./consensus-algorithms');
+const { calibrationProfile, calibrateConfidence } = require('./calibration');
+const { categoryReputation } = require('./reputation');
+const { aggregateAnswers } = require('./answer-types');
+const { effectiveImpact } = require('./critique-votes');
+
+const DEFAULT_ALGORITHM = 'Hybrid';
+
+/**
+ * Relations needed to build a consensus input from a question
+ * Used by both the consensus routes and the ConsensusEngine
+ */
+const CONSENSUS_DATA_INCLUDE = {
+    options: {
+        select: { id: true, label: true },
+        orderBy: { position: 'asc' }
+    },
+    answers: {
+        include: {
+            agent: {
+                select: {
+                    id: true,
+                    reputationScore: true,
+                    accuracyRate: true,
+                    totalAnswers: true,
+                    trustFactor: true,
+                    statistics: {
+                        select: { calibration: true }
+                    },
+                    categoryRatings: {
+                        select: { category: true, rating: true, games: true }
+                    }
+                }
+            },
+            stakes: {
+                where: { status: 'ACTIVE' },
+                include: {
+                    agent: {
+                        select: { trustFactor: true }
+                    }
+                }
+            },
+            revisions: {
+                select: { revision: true, roundNumber: true, content: true, value: true },
+                orderBy: { revision: 'asc' }
+            }
+        }
+    },
+    debateRounds: {
+        include: {
+            critiques: true
+        },
+        orderBy: {
+            roundNumber: 'desc'
+        }
+    }
+};
+
+class ConsensusAlgorithmError extends Error {
+    constructor(message, details = null) {
+        super(message);
+        this.name = 'ConsensusAlgorithmError';
+        this.statusCode = 400;
+        this.details = details;
+    }
+}
+
+const algorithmDefinitionSchema = z.object({
+    name: z.string().min(1).max(50),
+    version: z.string().min(1),
+    description: z.string().optional(),
+    parameters: z.custom(schema => schema && typeof schema.safeParse === 'function', {
+        message: 'parameters must be a zod schema'
+    }),
+    compute: z.function()
+});
+
+class ConsensusAlgorithmRegistry {
+    constructor() {
+        // name (lowercase) -> { latest, versions: Map(version -> definition) }
+        this.algorithms = new Map();
+    }
+
+    /**
+     * Register an algorithm: { name, version, description, parameters (zod schema), compute(input, params) }
+     * Registering a new version of an existing name makes it the default while keeping older
+     * versions available so logged calculations can still be replayed
+     */
+    register(definition) {
+        const parsed = algorithmDefinitionSchema.safeParse(definition);
+        if (!parsed.success) {
+            throw new ConsensusAlgorithmError(
+                `Invalid consensus algorithm definition${definition?.name ? ` '${definition.name}'` : ''}`,
+                parsed.error.errors.map(err => ({ field: err.path.join('.'), message: err.message }))
+            );
+        }
+
+        const key = definition.name.toLowerCase();
+        const entry = this.algorithms.get(key) || { versions: new Map() };
+        entry.latest = { ...definition };
+        entry.versions.set(definition.version, entry.latest);
+        this.algorithms.set(key, entry);
+        return this;
+    }
+
+    has(name, version) {
+        if (typeof name !== 'string' || !this.algorithms.has(name.toLowerCase())) return false;
+        return version === undefined || this.algorithms.get(name.toLowerCase()).versions.has(version);
+    }
+
+    /**
+     * Look up an algorithm by name (case-insensitive), optionally pinned to a version
+     */
+    get(name, version) {
+        if (!this.has(name)) {
+            throw new ConsensusAlgorithmError(
+                `Unknown consensus algorithm '${name}'. Available: ${this.names().join(', ')}`
+            );
+        }
+
+        const entry = this.algorithms.get(name.toLowerCase());
+        if (version === undefined) return entry.latest;
+
+        if (!entry.versions.has(version)) {
+            throw new ConsensusAlgorithmError(
+                `Consensus algorithm '${name}' version ${version} is not registered. ` +
+                `Available versions: ${Array.from(entry.versions.keys()).join(', ')}`
+            );
+        }
+        return entry.versions.get(version);
+    }
+
+    names() {
+        return Array.from(this.algorithms.values()).map(entry => entry.latest.name);
+    }
+
+    list() {
+        return Array.from(this.algorithms.values()).map(({ latest, versions }) => ({
+            name: latest.name,
+            version: latest.version,
+            versions: Array.from(versions.keys()),
+            description: latest.description || null
+        }));
+    }
+
+    /**
+     * Validate parameters against the algorithm's schema, applying defaults
+     */
+    parseParameters(name, parameters = {}, version) {
+        const result = this.get(name, version).parameters.safeParse(parameters);
+        if (!result.success) {
+            throw new ConsensusAlgorithmError(
+                `Invalid parameters for consensus algorithm '${name}'`,
+                result.error.errors.map(err => ({ field: err.path.join('.'), message: err.message }))
+            );
+        }
+        return result.data;
+    }
+
+    /**
+     * Run an algorithm against a consensus input (see buildConsensusInput)
+     * Pass options.version to run a specific registered version instead of the latest.
+     * Typed questions also get the per-type aggregate of the answer values, unless the
+     * algorithm produced its own.
+     */
+    compute(name, input, parameters = {}, options = {}) {
+        const algorithm = this.get(name, options.version);
+        const params = this.parseParameters(name, parameters, options.version);
+        const result = algorithm.compute(input, params);
+
+        return {
+            ...result,
+            aggregate: result.aggregate || aggregateAnswers(input, result.answerWeights) || undefined,
+            algorithm: algorithm.name,
+            version: algorithm.version,
+            parameters: params
+        };
+    }
+}
+
+/**
+ * Convert a question loaded with CONSENSUS_DATA_INCLUDE into the plain input every algorithm consumes
+ * Decimals are converted to numbers so algorithms never touch Prisma types.
+ * Answer confidence is already calibrated against the agent's verified history; the
+ * self-reported value is kept as reportedConfidence.
+ * reputationScore is the agent's reputation in the question's category; the global score is overallReputation.
+ * Agents flagged for collusion have their reputation and the stakes they place scaled by trustFactor
+ * (the unscaled stake is kept as reportedAmount).
+ * Revised answers list every version, oldest first, as revisions.
+ * Rebuttals and endorsements are critiques with a parentCritiqueId and their kind.
+ * Critique impact is the peer-assessed one once voted on; the critic's own value is kept as reportedImpact.
+ */
+function buildConsensusInput(question, similarities = {}) {
+    const agents = new Map();
+    for (const answer of question.answers) {
+        const overallReputation = Number(answer.agent.reputationScore);
+        const categoryRating = (answer.agent.categoryRatings || []).find(r => r.category === question.category);
+        const trustFactor = Number(answer.agent.trustFactor ?? 1);
+
+        agents.set(answer.agent.id, {
+            id: answer.agent.id,
+            reputationScore: categoryReputation(overallReputation, categoryRating) * trustFactor,
+            overallReputation,
+            trustFactor,
+            accuracyRate: Number(answer.agent.accuracyRate),
+            totalAnswers: answer.agent.totalAnswers,
+            calibration: calibrationProfile(answer.agent.statistics?.calibration, question.category)
+        });
+    }
+
+    return {
+        question: {
+            id: question.id,
+            category: question.category,
+            consensusThreshold: Number(question.consensusThreshold),
+            answerType: question.answerType,
+            answerSpec: question.answerSpec,
+            options: question.options
+        },
+        answers: question.answers.map(answer => ({
+            id: answer.id,
+            agentId: answer.agentId,
+            content: answer.content,
+            value: answer.value,
+            reasoning: answer.reasoning,
+            confidence: calibrateConfidence(Number(answer.confidence), agents.get(answer.agent.id).calibration),
+            reportedConfidence: Number(answer.confidence),
+            ...(answer.revisions?.length > 1 && {
+                revisions: answer.revisions.map(({ revision, roundNumber, content, value }) =>
+                    ({ revision, roundNumber, content, value }))
+            })
+        })),
+        agents: Array.from(agents.values()),
+        stakes: question.answers.flatMap(answer => answer.stakes.map(stake => ({
+            id: stake.id,
+            answerId: stake.answerId,
+            agentId: stake.agentId,
+            amount: Number(stake.amount) * Number(stake.agent?.trustFactor ?? 1),
+            reportedAmount: Number(stake.amount)
+        }))),
+        critiques: (question.debateRounds || []).flatMap(round => round.critiques.map(critique => ({
+            id: critique.id,
+            agentId: critique.agentId,
+            targetAnswerId: critique.targetAnswerId,
+            type: critique.type,
+            impact: effectiveImpact(critique),
+            reportedImpact: Number(critique.impact),
+            ...(critique.parentCritiqueId && { parentCritiqueId: critique.parentCritiqueId, kind: critique.kind })
+        }))),
+        similarities
+    };
+}
+
+const consensusRegistry = new ConsensusAlgorithmRegistry();
+builtinAlgorithms.forEach(algorithm => consensusRegistry.register(algorithm));
+
+/**
+ * Load third-party algorithms from a comma-separated list of module paths (CONSENSUS_PLUGINS)
+ * A plugin exports either register(registry) or a function taking the registry
+ */
+function loadConsensusPlugins(specifiers = process.env.CONSENSUS_PLUGINS) {
+    if (!specifiers) return [];
+
+    const loaded = [];
+    for (const specifier of specifiers.split(',').map(s => s.trim()).filter(Boolean)) {
+        const modulePath = specifier.startsWith('.') ? path.resolve(process.cwd(), specifier) : specifier;
+        const plugin = require(modulePath);
+        const register = typeof plugin === 'function' ? plugin : plugin.register;
+
+        if (typeof register !== 'function') {
+            throw new ConsensusAlgorithmError(`Consensus plugin '${specifier}' does not export a register function`);
+        }
+
+        register(consensusRegistry);
+        loaded.push(specifier);
+        console.log(`🧩 Loaded consensus plugin ${specifier}`);
+    }
+
+    return loaded;
+}
+
+module.exports = {
+    consensusRegistry,
+    ConsensusAlgorithmRegistry,
+    ConsensusAlgorithmError,
+    CONSENSUS_DATA_INCLUDE,
+    DEFAULT_ALGORITHM,
+    buildConsensusInput,
+    loadConsensusPlugins
+};
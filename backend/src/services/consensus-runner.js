@@ -0,0 +1,136 @@
+/**
+ * Consensus runs for SwarmOracle
+ * One calculation end to end: compute through the registry, log a replayable snapshot, store the
+ * answer weights, move the question on and settle it if consensus was reached. Shared by the
+ * consensus routes and the debate orchestrator.
+ */
+
+const { consensusRegistry, buildConsensusInput, DEFAULT_ALGORITHM } = require('./consensus-registry');
+const { calculateSemanticSimilarity } = require('./semantic-similarity');
+const { buildAuditRecord } = require('./consensus-audit');
+const {
+    evaluateConsensusOutcome,
+    applyConsensusOutcome,
+    debateRoundDeadline,
+    debateRoundEvent
+} = require('./consensus-outcome');
+const { settleQuestion } = require('./settlement');
+const { updateQuestionReputation } = require('./reputation');
+
+/**
+ * Calculate and apply consensus for a question loaded with CONSENSUS_DATA_INCLUDE
+ * rankedAnswers are the question's answers in rank order with finalWeight and rank set.
+ */
+async function runConsensus(prisma, question, { algorithm = DEFAULT_ALGORITHM, parameters } = {}) {
+    const startTime = Date.now();
+    const similarities = await calculateSemanticSimilarity(question.answers);
+    const input = buildConsensusInput(question, similarities);
+    const result = consensusRegistry.compute(algorithm, input, parameters);
+    const calculationTimeMs = Date.now() - startTime;
+    const evaluation = evaluateConsensusOutcome(result, question, question.debateRounds);
+
+    const rankedAnswers = result.rankedAnswers.map(ranked => ({
+        ...question.answers.find(answer => answer.id === ranked.answerId),
+        finalWeight: ranked.weight,
+        rank: ranked.rank
+    }));
+    const winningAnswer = result.consensusReached ? rankedAnswers[0] : null;
+
+    const consensusLog = await prisma.consensusLog.create({
+        data: {
+            questionId: question.id,
+            participantCount: question.answers.length,
+            confidenceLevel: result.confidenceLevel,
+            winningAnswerId: winningAnswer?.id || null,
+            consensusStrength: result.consensusStrength,
+            calculationTimeMs,
+            outcome: evaluation.outcome,
+            ...buildAuditRecord(input, result)
+        }
+    });
+
+    await updateAnswerWeights(prisma, question.id, rankedAnswers);
+
+    // Move the question on: consensus, another debate round, or deadlocked
+    const { debateRound } = await applyConsensusOutcome(prisma, question.id, evaluation, {
+        roundDeadline: debateRoundDeadline(question),
+        roundAgentIds: question.answers.map(answer => answer.agentId)
+    });
+
+    // Unverifiable questions settle their stakes as soon as consensus is reached
+    const settlement = evaluation.status === 'CONSENSUS'
+        ? await settleQuestion(prisma, question.id, { answerWeights: result.answerWeights })
+        : null;
+    const reputation = settlement
+        ? await updateQuestionReputation(prisma, question.id, { answerWeights: result.answerWeights })
+        : null;
+
+    return {
+        input,
+        result,
+        evaluation,
+        consensusLog,
+        rankedAnswers,
+        winningAnswer,
+        debateRound,
+        settlement,
+        reputation,
+        calculationTimeMs
+    };
+}
+
+/**
+ * Redis events announcing a run: the outcome to the question room, any round it opened to the
+ * agents that answered, and the reputation changes it made
+ */
+function consensusRunEvents(question, { result, evaluation, winningAnswer, debateRound, reputation }) {
+    const events = [['consensus:calculated', {
+        questionId: question.id,
+        data: {
+            outcome: evaluation.outcome,
+            winningAnswer: winningAnswer && { id: winningAnswer.id, agentId: winningAnswer.agentId, content: winningAnswer.content },
+            consensusStrength: result.consensusStrength,
+            threshold: evaluation.threshold,
+            marginToThreshold: evaluation.marginToThreshold,
+            questionStatus: evaluation.status,
+            nextDebateRound: evaluation.nextDebateRound,
+            confidenceLevel: result.confidenceLevel,
+            participantCount: question.answers.length,
+            algorithm: result.algorithm
+        }
+    }]];
+
+    if (debateRound) {
+        events.push(['debate:round:started', debateRoundEvent(debateRound, question.answers.map(answer => answer.agentId))]);
+    }
+    for (const update of reputation?.agents || []) {
+        events.push(['agent:reputation:updated', { agentId: update.agentId, data: update }]);
+    }
+
+    return events;
+}
+
+async function updateAnswerWeights(prisma, questionId, rankedAnswers) {
+    await prisma.consensusWeight.deleteMany({ where: { questionId } });
+    await prisma.consensusWeight.createMany({
+        data: rankedAnswers.map(answer => ({
+            questionId,
+            answerId: answer.id,
+            agentId: answer.agentId,
+            finalWeight: answer.finalWeight,
+            rank: answer.rank
+        }))
+    });
+
+    for (const answer of rankedAnswers) {
+        await prisma.answer.update({
+            where: { id: answer.id },
+            data: { finalWeight: answer.finalWeight, consensusRank: answer.rank }
+        });
+    }
+}
+
+module.exports = {
+    runConsensus,
+    consensusRunEvents
+};
@@ -0,0 +1,108 @@
+/**
+ * Peer-assessed critique impact for SwarmOracle
+ * The impact a critic declares is only a prior. The other participants vote a critique up or
+ * down, each vote weighted by the voter's reputation, and the assessed impact is the weighted
+ * mean of the prior and the votes (up = 1, down = 0). Critiques voted down cost their author
+ * reputation once the question settles.
+ */
+
+const VOTE_DIRECTIONS = {
+    UP: 'UP',
+    DOWN: 'DOWN'
+};
+
+// Votes are only taken while the debate is still running
+const VOTABLE_STATUSES = ['OPEN', 'DEBATING'];
+
+// The declared impact counts as much as one vote at the base reputation (BASE_RATING)
+const PRIOR_WEIGHT = 1;
+
+// A critique is voted down when most of its vote weight, and at least one base vote, is against it
+const MIN_DOWN_WEIGHT = 1;
+
+const round2 = value => Math.round(value * 100) / 100;
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Weight of a vote: reputation relative to the base, scaled down while flagged for collusion
+ */
+function voteWeight(voter) {
+    // Required on use: reputation.js requires this module, so a top-level import would be circular
+    const { BASE_RATING } = require('./reputation');
+    const reputation = Math.max(0, Number(voter.reputationScore ?? BASE_RATING));
+    return round4((reputation / BASE_RATING) * Number(voter.trustFactor ?? 1));
+}
+
+/**
+ * Assessed impact from the declared impact and the summed vote weights, 0 to 1
+ */
+function assessImpact(declaredImpact, upWeight = 0, downWeight = 0) {
+    const up = Number(upWeight);
+    const down = Number(downWeight);
+    return round2((PRIOR_WEIGHT * Number(declaredImpact) + up) / (PRIOR_WEIGHT + up + down));
+}
+
+/**
+ * The impact consensus uses for a critique: assessed once voted on, declared before
+ */
+function effectiveImpact(critique) {
+    return Number(critique.assessedImpact ?? critique.impact);
+}
+
+function votedDown(critique) {
+    const down = Number(critique.downWeight || 0);
+    return down >= MIN_DOWN_WEIGHT && down > Number(critique.upWeight || 0);
+}
+
+/**
+ * Share of a critique's vote weight that is against it, 0 to 1
+ */
+function downShare(critique) {
+    const up = Number(critique.upWeight || 0);
+    const down = Number(critique.downWeight || 0);
+    return up + down > 0 ? round4(down / (up + down)) : 0;
+}
+
+/**
+ * Record (or change) a participant's vote on a critique and reassess its impact
+ * critique: the critique row; voter: { id, reputationScore, trustFactor }.
+ * The critique row is locked first, so concurrent votes sum one after the other and none is missed.
+ */
+async function castCritiqueVote(tx, critique, voter, direction) {
+    await tx.$queryRaw`SELECT id FROM critiques WHERE id = ${critique.id} FOR UPDATE`;
+
+    const weight = voteWeight(voter);
+    const vote = await tx.critiqueVote.upsert({
+        where: { critiqueId_agentId: { critiqueId: critique.id, agentId: voter.id } },
+        create: { critiqueId: critique.id, agentId: voter.id, direction, weight },
+        update: { direction, weight }
+    });
+
+    // Summed from the stored votes, so a changed vote moves its weight rather than adding it
+    const totals = await tx.critiqueVote.groupBy({
+        by: ['direction'],
+        where: { critiqueId: critique.id },
+        _sum: { weight: true }
+    });
+    const sumOf = dir => Number(totals.find(total => total.direction === dir)?._sum.weight || 0);
+    const upWeight = round4(sumOf(VOTE_DIRECTIONS.UP));
+    const downWeight = round4(sumOf(VOTE_DIRECTIONS.DOWN));
+
+    const updated = await tx.critique.update({
+        where: { id: critique.id },
+        data: { upWeight, downWeight, assessedImpact: assessImpact(critique.impact, upWeight, downWeight) }
+    });
+
+    return { vote, critique: updated };
+}
+
+module.exports = {
+    VOTE_DIRECTIONS,
+    VOTABLE_STATUSES,
+    voteWeight,
+    assessImpact,
+    effectiveImpact,
+    votedDown,
+    downShare,
+    castCritiqueVote
+};
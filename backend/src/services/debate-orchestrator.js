@@ -0,0 +1,182 @@
+/**
+ * Debate orchestrator for SwarmOracle
+ * Runs the debate of every question with debateMode AUTO. Once answering is over, consensus is
+ * calculated; if the answers diverge (threshold missed) that opens a round with a deadline. Each
+ * round is ended at its deadline and followed by a recalculation, which opens the next round,
+ * or stops the debate on consensus or after maxDebateRounds (deadlock).
+ */
+
+const { CONSENSUS_DATA_INCLUDE } = require('./consensus-registry');
+const { DEBATE_MODES, debateRoundEvent } = require('./consensus-outcome');
+const { runConsensus, consensusRunEvents } = require('./consensus-runner');
+
+const ORCHESTRATOR = 'orchestrator';
+
+// Only these statuses still debate; a question settled meanwhile is left alone
+const DEBATABLE_STATUSES = ['OPEN', 'DEBATING'];
+
+// A question whose run fails waits RETRY_BASE_SECONDS, doubling per consecutive failure up to the cap
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+function retryDelaySeconds(failures) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (failures - 1), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Whether an AUTO question has stopped collecting answers and should be evaluated
+ * Answering is over at openUntil or maxAnswers; without openUntil, as soon as minAnswers are in.
+ */
+function answeringOver(question, answerCount, now = new Date()) {
+    if (answerCount < question.minAnswers) return false;
+    if (question.maxAnswers && answerCount >= question.maxAnswers) return true;
+    return !question.openUntil || new Date(question.openUntil) <= now;
+}
+
+/**
+ * End a round if it is still running; returns false when someone else ended it first
+ */
+async function endDebateRound(prisma, roundId, endedBy, now = new Date()) {
+    const ended = await prisma.debateRound.updateMany({
+        where: { id: roundId, endedAt: null },
+        data: { endedAt: now, endedBy }
+    });
+    return ended.count > 0;
+}
+
+/**
+ * Count a failed run and push the question's next attempt back
+ */
+async function recordEvaluationFailure(prisma, questionId, now) {
+    const { debateFailures } = await prisma.question.update({
+        where: { id: questionId },
+        data: { debateFailures: { increment: 1 } },
+        select: { debateFailures: true }
+    });
+    const debateRetryAt = new Date(now.getTime() + retryDelaySeconds(debateFailures) * 1000);
+    await prisma.question.update({ where: { id: questionId }, data: { debateRetryAt } });
+    return { failures: debateFailures, retryAt: debateRetryAt };
+}
+
+/**
+ * Recalculate consensus for a question, unless it left the debate or lost its quorum of answers
+ */
+async function evaluateQuestion(prisma, questionId, { algorithm, parameters } = {}) {
+    const question = await prisma.question.findUnique({
+        where: { id: questionId },
+        include: CONSENSUS_DATA_INCLUDE
+    });
+    if (!question || !DEBATABLE_STATUSES.includes(question.status)) return null;
+    if (question.answers.length < question.minAnswers) return null;
+
+    const run = await runConsensus(prisma, question, { algorithm, parameters });
+    return { questionId, ...run, events: consensusRunEvents(question, run) };
+}
+
+/**
+ * One orchestrator pass: end overdue rounds, then evaluate every question they belonged to and
+ * every AUTO question whose answering just ended, then retry questions whose backoff has passed.
+ * A failing question is reported and skipped until its backoff (debateRetryAt) has passed.
+ * events are the [type, payload] pairs to publish, in order.
+ */
+async function runDebateOrchestrator(prisma, { now = new Date(), algorithm, parameters } = {}) {
+    const roundsEnded = [];
+    const evaluations = [];
+    const failed = [];
+    const events = [];
+
+    const evaluate = async (questionId) => {
+        try {
+            const evaluation = await evaluateQuestion(prisma, questionId, { algorithm, parameters });
+            await prisma.question.updateMany({
+                where: { id: questionId, debateFailures: { gt: 0 } },
+                data: { debateFailures: 0, debateRetryAt: null }
+            });
+            if (evaluation) {
+                evaluations.push(evaluation);
+                events.push(...evaluation.events);
+            }
+        } catch (error) {
+            console.error(`Debate orchestration failed for question ${questionId}:`, error);
+            const backoff = await recordEvaluationFailure(prisma, questionId, now).catch(() => null);
+            failed.push({ questionId, error: error.message, ...backoff });
+        }
+    };
+
+    // Only AUTO rounds carry a deadline
+    const overdue = await prisma.debateRound.findMany({
+        where: { endedAt: null, deadlineAt: { lte: now } },
+        include: { question: { select: { answers: { select: { agentId: true } } } } },
+        orderBy: { deadlineAt: 'asc' }
+    });
+    for (const { question, ...round } of overdue) {
+        if (!(await endDebateRound(prisma, round.id, ORCHESTRATOR, now))) continue;
+        const ended = { ...round, endedAt: now, endedBy: ORCHESTRATOR };
+        roundsEnded.push(ended);
+        events.push(['debate:round:ended', debateRoundEvent(ended, question.answers.map(answer => answer.agentId))]);
+        await evaluate(round.questionId);
+    }
+
+    // AUTO questions that have not been evaluated yet (failed ones wait for their retry below)
+    const waiting = await prisma.question.findMany({
+        where: { debateMode: DEBATE_MODES.AUTO, status: 'OPEN', debateRounds: { none: {} }, debateRetryAt: null },
+        select: {
+            id: true,
+            minAnswers: true,
+            maxAnswers: true,
+            openUntil: true,
+            _count: { select: { answers: true } }
+        }
+    });
+    for (const question of waiting) {
+        if (answeringOver(question, question._count.answers, now)) {
+            await evaluate(question.id);
+        }
+    }
+
+    // Questions whose last run failed, including ones whose round already ended, once their backoff passed
+    const retries = await prisma.question.findMany({
+        where: { debateMode: DEBATE_MODES.AUTO, status: { in: DEBATABLE_STATUSES }, debateRetryAt: { lte: now } },
+        select: { id: true },
+        orderBy: { debateRetryAt: 'asc' }
+    });
+    for (const question of retries) {
+        await evaluate(question.id);
+    }
+
+    return { ranAt: now, roundsEnded, evaluations, failed, events };
+}
+
+/**
+ * Run runDebateOrchestrator every intervalSeconds; returns a stop function
+ * Disabled when the interval is 0. Runs never overlap.
+ */
+function startDebateOrchestratorJob(prisma, { intervalSeconds = Number(process.env.DEBATE_ORCHESTRATOR_INTERVAL_SECONDS ?? 60), onResult } = {}) {
+    if (!(intervalSeconds > 0)) return () => {};
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const result = await runDebateOrchestrator(prisma);
+            if (onResult) await onResult(result);
+        } catch (error) {
+            console.error('Debate orchestrator failed:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalSeconds * 1000);
+
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    ORCHESTRATOR,
+    answeringOver,
+    endDebateRound,
+    evaluateQuestion,
+    runDebateOrchestrator,
+    startDebateOrchestratorJob
+};
@@ -0,0 +1,175 @@
+/**
+ * Embedding providers for SwarmOracle semantic similarity
+ * A provider is { name, model, embed(texts) -> Promise<number[][]> }.
+ * Select one with EMBEDDING_PROVIDER=openai|local (defaults to openai when OPENAI_API_KEY is set).
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_LOCAL_DIMENSIONS = 512;
+const DEFAULT_CACHE_SIZE = 10000;
+
+/**
+ * OpenAI text-embedding-3-small - the dependency is only loaded when this provider is used
+ */
+class OpenAIEmbeddingProvider {
+    constructor({ apiKey = process.env.OPENAI_API_KEY, model = 'text-embedding-3-small' } = {}) {
+        this.name = 'openai';
+        this.model = model;
+        this.apiKey = apiKey;
+        this.client = null;
+    }
+
+    async embed(texts) {
+        if (!this.client) {
+            const { OpenAI } = require('openai');
+            this.client = new OpenAI({ apiKey: this.apiKey });
+        }
+
+        const response = await this.client.embeddings.create({
+            model: this.model,
+            input: texts,
+            encoding_format: "float"
+        });
+
+        return response.data.map(d => d.embedding);
+    }
+}
+
+/**
+ * Offline embeddings from hashed word and character n-grams
+ * No network or model file needed, so it works in air-gapped environments.
+ * Vectors only depend on the text itself, which keeps them cacheable per answer.
+ */
+class HashedNgramEmbeddingProvider {
+    constructor({ dimensions = DEFAULT_LOCAL_DIMENSIONS, charNgram = 3 } = {}) {
+        this.name = 'local';
+        this.model = `hashed-ngram-${dimensions}`;
+        this.dimensions = dimensions;
+        this.charNgram = charNgram;
+    }
+
+    tokenize(text) {
+        const words = text
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(Boolean);
+
+        const features = words.map(word => `w:${word}`);
+
+        // Word bigrams capture short phrases
+        for (let i = 0; i < words.length - 1; i++) {
+            features.push(`b:${words[i]} ${words[i + 1]}`);
+        }
+
+        // Character n-grams make the vectors robust to inflections and typos
+        for (const word of words) {
+            const padded = `^${word}$`;
+            for (let i = 0; i <= padded.length - this.charNgram; i++) {
+                features.push(`c:${padded.slice(i, i + this.charNgram)}`);
+            }
+        }
+
+        return features;
+    }
+
+    embedOne(text) {
+        const counts = new Map();
+        for (const feature of this.tokenize(text)) {
+            counts.set(feature, (counts.get(feature) || 0) + 1);
+        }
+
+        const vector = new Array(this.dimensions).fill(0);
+        for (const [feature, count] of counts) {
+            const digest = crypto.createHash('md5').update(feature).digest();
+            const index = digest.readUInt32BE(0) % this.dimensions;
+            const sign = digest[4] & 1 ? 1 : -1;
+            // Sublinear term frequency, word features count more than character fragments
+            const weight = (1 + Math.log(count)) * (feature.startsWith('c:') ? 0.5 : 1);
+            vector[index] += sign * weight;
+        }
+
+        const magnitude = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return magnitude > 0 ? vector.map(v => v / magnitude) : vector;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedOne(text));
+    }
+}
+
+/**
+ * Bounded in-memory embedding cache keyed by answer id
+ * Entries carry a fingerprint of provider, model and text so edited answers are re-embedded
+ */
+class EmbeddingCache {
+    constructor(maxEntries = DEFAULT_CACHE_SIZE) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    static fingerprint(provider, text) {
+        return crypto.createHash('sha256').update(`${provider.name}:${provider.model}:${text}`).digest('hex');
+    }
+
+    get(answerId, fingerprint) {
+        const entry = this.entries.get(answerId);
+        if (!entry || entry.fingerprint !== fingerprint) {
+            this.misses++;
+            return null;
+        }
+
+        // Refresh recency
+        this.entries.delete(answerId);
+        this.entries.set(answerId, entry);
+        this.hits++;
+        return entry.vector;
+    }
+
+    set(answerId, fingerprint, vector) {
+        this.entries.delete(answerId);
+        this.entries.set(answerId, { fingerprint, vector });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        return { size: this.entries.size, maxEntries: this.maxEntries, hits: this.hits, misses: this.misses };
+    }
+}
+
+/**
+ * Build the provider selected by EMBEDDING_PROVIDER
+ */
+function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER) {
+    const selected = (name || (process.env.OPENAI_API_KEY ? 'openai' : 'local')).toLowerCase();
+
+    switch (selected) {
+        case 'openai':
+            return new OpenAIEmbeddingProvider();
+        case 'local':
+            return new HashedNgramEmbeddingProvider({
+                dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_LOCAL_DIMENSIONS
+            });
+        default:
+            throw new Error(`Unknown EMBEDDING_PROVIDER '${selected}'. Use 'openai' or 'local'`);
+    }
+}
+
+module.exports = {
+    OpenAIEmbeddingProvider,
+    HashedNgramEmbeddingProvider,
+    EmbeddingCache,
+    createEmbeddingProvider,
+    DEFAULT_CACHE_SIZE
+};
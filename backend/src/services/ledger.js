@@ -0,0 +1,288 @@
+/**
+ * Token ledger for SwarmOracle
+ * Double-entry accounting: every transaction's postings sum to zero, every entry records the
+ * account's running balance, and holds reserve funds (e.g. stakes) without moving them.
+ * All functions take a Prisma transaction client so ledger writes commit with the business change.
+ */
+
+const ACCOUNT_KINDS = {
+    AGENT: 'AGENT',
+    SYSTEM: 'SYSTEM'
+};
+
+// System accounts may carry negative balances: issuance is where all tokens come from
+const SYSTEM_ACCOUNTS = {
+    ISSUANCE: 'system:issuance'
+};
+
+const TRANSACTION_TYPES = {
+    GRANT: 'GRANT',
+    STAKE_SLASH: 'STAKE_SLASH',
+    STAKE_REWARD: 'STAKE_REWARD',
+    BOUNTY_FUND: 'BOUNTY_FUND',
+    BOUNTY_REFUND: 'BOUNTY_REFUND',
+    MARKET_SUBSIDY: 'MARKET_SUBSIDY',
+    MARKET_TRADE: 'MARKET_TRADE',
+    MARKET_PAYOUT: 'MARKET_PAYOUT',
+    MARKET_REFUND: 'MARKET_REFUND'
+};
+
+const HOLD_STATUS = {
+    ACTIVE: 'ACTIVE',
+    RELEASED: 'RELEASED',
+    CAPTURED: 'CAPTURED'
+};
+
+const INITIAL_AGENT_BALANCE = Number(process.env.INITIAL_AGENT_BALANCE ?? 1000);
+
+const toCents = amount => Math.round(Number(amount) * 100);
+const fromCents = cents => cents / 100;
+
+/**
+ * Split totalCents across weights with the largest-remainder method so nothing is lost to rounding
+ */
+function allocateCents(totalCents, weights) {
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (totalCents <= 0 || totalWeight <= 0) return weights.map(() => 0);
+
+    const exact = weights.map(w => (totalCents * w) / totalWeight);
+    const allocated = exact.map(Math.floor);
+    let remainder = totalCents - allocated.reduce((sum, c) => sum + c, 0);
+
+    const order = exact
+        .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+        .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+    for (const { index } of order) {
+        if (remainder <= 0) break;
+        allocated[index]++;
+        remainder--;
+    }
+
+    return allocated;
+}
+
+class LedgerError extends Error {
+    constructor(message, statusCode = 422) {
+        super(message);
+        this.name = 'LedgerError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Escrow account holding a question's bounty and slashed stakes until they are paid out
+ */
+function questionPoolCode(questionId) {
+    return `question-pool:${questionId}`;
+}
+
+async function getSystemAccount(tx, code) {
+    return tx.ledgerAccount.upsert({
+        where: { code },
+        create: { kind: ACCOUNT_KINDS.SYSTEM, code },
+        update: {}
+    });
+}
+
+/**
+ * Post a balanced transaction
+ * postings: [{ accountId, amount }] where positive amounts credit the account and the total is zero.
+ * With an idempotencyKey, posting the same transaction again returns the original.
+ */
+async function postTransaction(tx, { type, description, referenceType, referenceId, idempotencyKey, postings }) {
+    const nonZero = postings.filter(posting => toCents(posting.amount) !== 0);
+    if (nonZero.length === 0) return null;
+
+    const total = nonZero.reduce((sum, posting) => sum + toCents(posting.amount), 0);
+    if (total !== 0) {
+        throw new LedgerError(`Unbalanced ledger transaction ${type}: postings sum to ${fromCents(total)}`, 500);
+    }
+
+    if (idempotencyKey) {
+        const existing = await tx.ledgerTransaction.findUnique({ where: { idempotencyKey } });
+        if (existing) return existing;
+    }
+
+    const transaction = await tx.ledgerTransaction.create({
+        data: { type, description, referenceType, referenceId, idempotencyKey }
+    });
+
+    // Lock accounts in a stable order so concurrent transfers cannot deadlock
+    const ordered = [...nonZero].sort((a, b) => a.accountId.localeCompare(b.accountId));
+    for (const posting of ordered) {
+        const amount = fromCents(toCents(posting.amount));
+        const account = await tx.ledgerAccount.update({
+            where: { id: posting.accountId },
+            data: { balance: { increment: amount } }
+        });
+
+        if (account.kind === ACCOUNT_KINDS.AGENT && Number(account.balance) < Number(account.heldAmount)) {
+            throw new LedgerError('Insufficient available balance');
+        }
+
+        await tx.ledgerEntry.create({
+            data: {
+                transactionId: transaction.id,
+                accountId: account.id,
+                amount,
+                balanceAfter: account.balance
+            }
+        });
+    }
+
+    return transaction;
+}
+
+async function transfer(tx, { fromAccountId, toAccountId, amount, ...details }) {
+    return postTransaction(tx, {
+        ...details,
+        postings: [
+            { accountId: fromAccountId, amount: -amount },
+            { accountId: toAccountId, amount }
+        ]
+    });
+}
+
+/**
+ * The agent's account, opened with the initial grant on first use
+ */
+async function ensureAgentAccount(tx, agentId) {
+    const account = await tx.ledgerAccount.upsert({
+        where: { agentId },
+        create: { kind: ACCOUNT_KINDS.AGENT, agentId },
+        update: {}
+    });
+
+    if (INITIAL_AGENT_BALANCE > 0) {
+        const issuance = await getSystemAccount(tx, SYSTEM_ACCOUNTS.ISSUANCE);
+        await transfer(tx, {
+            type: TRANSACTION_TYPES.GRANT,
+            description: 'Initial token grant',
+            referenceType: 'AGENT',
+            referenceId: agentId,
+            idempotencyKey: `grant:${agentId}`,
+            fromAccountId: issuance.id,
+            toAccountId: account.id,
+            amount: INITIAL_AGENT_BALANCE
+        });
+    }
+
+    return tx.ledgerAccount.findUnique({ where: { id: account.id } });
+}
+
+/**
+ * Reserve funds on an account; fails if the available balance (balance - held) is too low
+ */
+async function placeHold(tx, { accountId, amount, referenceType, referenceId }) {
+    const value = fromCents(toCents(amount)).toFixed(2);
+
+    // Single conditional update so two concurrent holds cannot both pass the balance check
+    const updated = await tx.$executeRaw`
+        UPDATE "ledger_accounts"
+        SET "heldAmount" = "heldAmount" + ${value}::numeric, "updatedAt" = NOW()
+        WHERE "id" = ${accountId} AND "balance" - "heldAmount" >= ${value}::numeric
+    `;
+
+    if (updated === 0) {
+        throw new LedgerError('Insufficient available balance');
+    }
+
+    return tx.ledgerHold.create({
+        data: { accountId, amount: Number(value), referenceType, referenceId }
+    });
+}
+
+/**
+ * Release (funds stay) or capture (funds are about to be debited) an active hold
+ * Returns null when no active hold exists, e.g. for stakes placed before the ledger
+ */
+async function resolveHold(tx, referenceType, referenceId, status = HOLD_STATUS.RELEASED) {
+    const hold = await tx.ledgerHold.findUnique({
+        where: { referenceType_referenceId: { referenceType, referenceId } }
+    });
+    if (!hold || hold.status !== HOLD_STATUS.ACTIVE) return null;
+
+    const resolved = await tx.ledgerHold.updateMany({
+        where: { id: hold.id, status: HOLD_STATUS.ACTIVE },
+        data: { status, resolvedAt: new Date() }
+    });
+    if (resolved.count === 0) return null;
+
+    await tx.ledgerAccount.update({
+        where: { id: hold.accountId },
+        data: { heldAmount: { decrement: hold.amount } }
+    });
+
+    return hold;
+}
+
+/**
+ * Move funds for one settled stake: slashed stakes go to the question pool, rewards come out of it
+ */
+async function settleStakeFunds(tx, questionId, settlement) {
+    const account = await ensureAgentAccount(tx, settlement.agentId);
+    const pool = await getSystemAccount(tx, questionPoolCode(questionId));
+    const slashed = settlement.slashedAmount > 0;
+
+    const hold = await resolveHold(tx, 'STAKE', settlement.stakeId,
+        slashed ? HOLD_STATUS.CAPTURED : HOLD_STATUS.RELEASED);
+
+    // Stakes placed before the ledger existed never reserved funds, so there is nothing to slash
+    if (slashed && hold) {
+        await transfer(tx, {
+            type: TRANSACTION_TYPES.STAKE_SLASH,
+            description: 'Stake slashed on a wrong answer',
+            referenceType: 'STAKE',
+            referenceId: settlement.stakeId,
+            idempotencyKey: `stake-slash:${settlement.stakeId}`,
+            fromAccountId: account.id,
+            toAccountId: pool.id,
+            amount: settlement.slashedAmount
+        });
+    }
+
+    if (settlement.rewardAmount > 0) {
+        await transfer(tx, {
+            type: TRANSACTION_TYPES.STAKE_REWARD,
+            description: 'Stake reward',
+            referenceType: 'STAKE',
+            referenceId: settlement.stakeId,
+            idempotencyKey: `stake-reward:${settlement.stakeId}`,
+            fromAccountId: pool.id,
+            toAccountId: account.id,
+            amount: settlement.rewardAmount
+        });
+    }
+}
+
+function accountSummary(account) {
+    const balance = Number(account.balance);
+    const held = Number(account.heldAmount);
+    return {
+        id: account.id,
+        balance,
+        held,
+        available: fromCents(toCents(balance) - toCents(held))
+    };
+}
+
+module.exports = {
+    ACCOUNT_KINDS,
+    SYSTEM_ACCOUNTS,
+    TRANSACTION_TYPES,
+    HOLD_STATUS,
+    LedgerError,
+    toCents,
+    fromCents,
+    allocateCents,
+    questionPoolCode,
+    getSystemAccount,
+    postTransaction,
+    transfer,
+    ensureAgentAccount,
+    placeHold,
+    resolveHold,
+    settleStakeFunds,
+    accountSummary
+};
@@ -0,0 +1,363 @@
+/**
+ * Prediction markets for SwarmOracle
+ * A PREDICTIVE question can run a market alongside consensus: agents buy and sell shares in its
+ * outcomes from an automated market maker using Hanson's logarithmic market scoring rule (LMSR),
+ * so the current price of an outcome is the market's live probability for it. The asker funds
+ * the maker's worst-case loss (liquidity * ln(outcomes)) up front. When the question is verified
+ * each share of the true outcome pays 1 token; a question closed unresolved pays out at the last
+ * prices instead. Whatever the maker has left goes back to the asker.
+ */
+
+const {
+    SYSTEM_ACCOUNTS,
+    TRANSACTION_TYPES,
+    LedgerError,
+    toCents,
+    fromCents,
+    getSystemAccount,
+    ensureAgentAccount,
+    transfer
+} = require('./ledger');
+const { ANSWER_TYPES } = require('./answer-types');
+
+const MARKET_STATUS = {
+    OPEN: 'OPEN',
+    SETTLED: 'SETTLED',
+    VOID: 'VOID'
+};
+
+const BINARY_OUTCOMES = [
+    { key: 'YES', label: 'Yes' },
+    { key: 'NO', label: 'No' }
+];
+
+// Trading stops once the question is verified or closed
+const TRADABLE_QUESTION_STATUSES = ['OPEN', 'DEBATING', 'CONSENSUS'];
+
+// Questions whose answers map onto market outcomes
+const MARKET_ANSWER_TYPES = [ANSWER_TYPES.SINGLE_CHOICE, ANSWER_TYPES.PROBABILITY];
+
+// Share quantities are stored with 4 decimals
+const roundShares = value => Math.round(value * 10000) / 10000;
+const round6 = value => Math.round(value * 1000000) / 1000000;
+
+function marketAccountCode(questionId) {
+    return `market:${questionId}`;
+}
+
+/**
+ * LMSR cost function C(q) = b * ln(sum(exp(q_i / b))), shifted by the largest q for stability
+ */
+function lmsrCost(quantities, liquidity) {
+    const values = Object.values(quantities);
+    const max = Math.max(...values);
+    return max + liquidity * Math.log(values.reduce((sum, q) => sum + Math.exp((q - max) / liquidity), 0));
+}
+
+/**
+ * Instantaneous prices p_i = exp(q_i / b) / sum(exp(q_j / b)); they sum to 1
+ */
+function lmsrPrices(quantities, liquidity) {
+    const max = Math.max(...Object.values(quantities));
+    const exps = Object.fromEntries(
+        Object.entries(quantities).map(([key, q]) => [key, Math.exp((q - max) / liquidity)])
+    );
+    const total = Object.values(exps).reduce((sum, value) => sum + value, 0);
+    return Object.fromEntries(Object.entries(exps).map(([key, value]) => [key, round6(value / total)]));
+}
+
+function isMarketOutcome(market, outcome) {
+    return Object.hasOwn(market.quantities, outcome);
+}
+
+/**
+ * Outcomes a question's market trades: its options for single choice, YES/NO for probabilities
+ */
+function marketOutcomes(question) {
+    if (question.answerType === ANSWER_TYPES.SINGLE_CHOICE) {
+        return question.options.map(option => ({ key: option.id, label: option.label }));
+    }
+    return BINARY_OUTCOMES;
+}
+
+/**
+ * The maker's worst-case loss, b * ln(n), rounded up to the cent
+ */
+function marketSubsidy(liquidity, outcomeCount) {
+    return fromCents(Math.ceil(liquidity * Math.log(outcomeCount) * 100));
+}
+
+/**
+ * Open a market on a freshly created question, charging the subsidy to the asker
+ * question must include its options
+ */
+async function openMarket(tx, question, { liquidity }) {
+    if (question.category !== 'PREDICTIVE') {
+        throw new LedgerError('Markets are only available for PREDICTIVE questions', 400);
+    }
+    if (!MARKET_ANSWER_TYPES.includes(question.answerType)) {
+        throw new LedgerError(`Markets need a ${MARKET_ANSWER_TYPES.join(' or ')} question`, 400);
+    }
+
+    const outcomes = marketOutcomes(question);
+    const subsidy = marketSubsidy(liquidity, outcomes.length);
+
+    const market = await tx.predictionMarket.create({
+        data: {
+            questionId: question.id,
+            liquidity,
+            subsidy,
+            outcomes,
+            quantities: Object.fromEntries(outcomes.map(outcome => [outcome.key, 0]))
+        }
+    });
+
+    const askerAccount = await ensureAgentAccount(tx, question.askerId);
+    const marketAccount = await getSystemAccount(tx, marketAccountCode(question.id));
+    await transfer(tx, {
+        type: TRANSACTION_TYPES.MARKET_SUBSIDY,
+        description: 'Prediction market subsidy',
+        referenceType: 'PREDICTION_MARKET',
+        referenceId: market.id,
+        idempotencyKey: `market-subsidy:${market.id}`,
+        fromAccountId: askerAccount.id,
+        toAccountId: marketAccount.id,
+        amount: subsidy
+    });
+
+    return market;
+}
+
+/**
+ * Buy (shares > 0) or sell (shares < 0) shares of one outcome at the LMSR price
+ * Buyers pay the cost rounded up to the cent and sellers receive it rounded down, so the maker
+ * never runs short. With maxCost, a buy that would cost more (or a sale that would return less
+ * than -maxCost) is rejected instead of filled at a worse price.
+ */
+async function trade(tx, { questionId, agentId, outcome, shares, maxCost }) {
+    const market = await tx.predictionMarket.findUnique({
+        where: { questionId },
+        include: { question: { select: { status: true } } }
+    });
+    if (!market) {
+        throw new LedgerError('This question has no prediction market', 404);
+    }
+    if (market.status !== MARKET_STATUS.OPEN) {
+        throw new LedgerError(`Market is ${market.status}`);
+    }
+    if (!TRADABLE_QUESTION_STATUSES.includes(market.question.status)) {
+        throw new LedgerError(`Cannot trade: question status is ${market.question.status}`);
+    }
+    if (!isMarketOutcome(market, outcome)) {
+        throw new LedgerError(`Unknown outcome '${outcome}'`, 400);
+    }
+
+    const liquidity = Number(market.liquidity);
+    const before = market.quantities;
+    const after = { ...before, [outcome]: roundShares(before[outcome] + shares) };
+    const exactCost = lmsrCost(after, liquidity) - lmsrCost(before, liquidity);
+    const cost = shares > 0
+        ? fromCents(Math.ceil(exactCost * 100))
+        : -fromCents(Math.floor(-exactCost * 100));
+
+    if (maxCost !== undefined && cost > maxCost) {
+        throw new LedgerError(`Trade would cost ${cost}, above maxCost ${maxCost}`);
+    }
+
+    const position = await tx.marketPosition.findUnique({
+        where: { marketId_agentId_outcome: { marketId: market.id, agentId, outcome } }
+    });
+    const held = position ? Number(position.shares) : 0;
+    if (held + shares < 0) {
+        throw new LedgerError(`Cannot sell ${-shares} shares: only ${held} held`);
+    }
+
+    // The version check makes concurrent trades on one market fail instead of pricing off stale quantities
+    const moved = await tx.predictionMarket.updateMany({
+        where: { id: market.id, version: market.version, status: MARKET_STATUS.OPEN },
+        data: { quantities: after, version: { increment: 1 }, volume: { increment: Math.abs(cost) } }
+    });
+    if (moved.count === 0) {
+        throw new LedgerError('Market moved while trading, retry', 409);
+    }
+
+    const updatedPosition = await tx.marketPosition.upsert({
+        where: { marketId_agentId_outcome: { marketId: market.id, agentId, outcome } },
+        create: { marketId: market.id, agentId, outcome, shares, costBasis: cost },
+        update: { shares: { increment: shares }, costBasis: { increment: cost } }
+    });
+
+    const pricesBefore = lmsrPrices(before, liquidity);
+    const pricesAfter = lmsrPrices(after, liquidity);
+    const marketTrade = await tx.marketTrade.create({
+        data: {
+            marketId: market.id,
+            agentId,
+            outcome,
+            shares,
+            cost,
+            priceBefore: pricesBefore[outcome],
+            priceAfter: pricesAfter[outcome]
+        }
+    });
+
+    const agentAccount = await ensureAgentAccount(tx, agentId);
+    const marketAccount = await getSystemAccount(tx, marketAccountCode(questionId));
+    await transfer(tx, {
+        type: TRANSACTION_TYPES.MARKET_TRADE,
+        description: shares > 0 ? 'Market buy' : 'Market sell',
+        referenceType: 'MARKET_TRADE',
+        referenceId: marketTrade.id,
+        idempotencyKey: `market-trade:${marketTrade.id}`,
+        fromAccountId: cost > 0 ? agentAccount.id : marketAccount.id,
+        toAccountId: cost > 0 ? marketAccount.id : agentAccount.id,
+        amount: Math.abs(cost)
+    });
+
+    return {
+        trade: marketTrade,
+        position: updatedPosition,
+        prices: pricesAfter,
+        balance: await tx.ledgerAccount.findUnique({ where: { id: agentAccount.id } })
+    };
+}
+
+/**
+ * Close the market and pay out every position
+ * With an outcome (SETTLED) each share of it pays 1; without one (VOID) every share pays its
+ * outcome's last price. The maker's remaining funds return to the asker. Runs at most once.
+ */
+async function settleMarket(tx, question, outcome = null) {
+    const market = await tx.predictionMarket.findUnique({ where: { questionId: question.id } });
+    if (!market || market.status !== MARKET_STATUS.OPEN) return null;
+
+    if (outcome !== null && !isMarketOutcome(market, outcome)) {
+        throw new LedgerError(`Unknown market outcome '${outcome}'`, 400);
+    }
+
+    const status = outcome === null ? MARKET_STATUS.VOID : MARKET_STATUS.SETTLED;
+    const claimed = await tx.predictionMarket.updateMany({
+        where: { id: market.id, status: MARKET_STATUS.OPEN },
+        data: { status, resolvedOutcome: outcome, settledAt: new Date() }
+    });
+    if (claimed.count === 0) return null;
+
+    const prices = lmsrPrices(market.quantities, Number(market.liquidity));
+    const payoutPerShare = key => (outcome === null ? prices[key] : (key === outcome ? 1 : 0));
+    const marketAccount = await getSystemAccount(tx, marketAccountCode(question.id));
+
+    const positions = await tx.marketPosition.findMany({
+        where: { marketId: market.id, shares: { gt: 0 } },
+        orderBy: [{ agentId: 'asc' }, { outcome: 'asc' }]
+    });
+
+    const payouts = [];
+    for (const position of positions) {
+        const payout = fromCents(Math.floor(Number(position.shares) * payoutPerShare(position.outcome) * 100));
+        await tx.marketPosition.update({ where: { id: position.id }, data: { payout } });
+        if (payout === 0) continue;
+
+        const account = await ensureAgentAccount(tx, position.agentId);
+        await transfer(tx, {
+            type: TRANSACTION_TYPES.MARKET_PAYOUT,
+            description: status === MARKET_STATUS.SETTLED ? 'Market payout' : 'Market payout at last price',
+            referenceType: 'MARKET_POSITION',
+            referenceId: position.id,
+            idempotencyKey: `market-payout:${position.id}`,
+            fromAccountId: marketAccount.id,
+            toAccountId: account.id,
+            amount: payout
+        });
+        payouts.push({ agentId: position.agentId, outcome: position.outcome, shares: Number(position.shares), payout });
+    }
+
+    // The maker's leftover subsidy and trading profit go back to whoever funded it
+    const remaining = await tx.ledgerAccount.findUnique({ where: { id: marketAccount.id } });
+    const refund = fromCents(toCents(remaining.balance));
+    if (refund > 0) {
+        const recipient = question.askerId
+            ? await ensureAgentAccount(tx, question.askerId)
+            : await getSystemAccount(tx, SYSTEM_ACCOUNTS.ISSUANCE);
+        await transfer(tx, {
+            type: TRANSACTION_TYPES.MARKET_REFUND,
+            description: 'Market subsidy refund',
+            referenceType: 'PREDICTION_MARKET',
+            referenceId: market.id,
+            idempotencyKey: `market-refund:${market.id}`,
+            fromAccountId: marketAccount.id,
+            toAccountId: recipient.id,
+            amount: refund
+        });
+    }
+
+    return { marketId: market.id, status, outcome, prices, payouts, subsidyRefund: refund };
+}
+
+/**
+ * The market outcome implied by a verification, or null if the resolver must name it
+ * SINGLE_CHOICE resolves to the option of the selected answer or the option labelled like the
+ * truth text; PROBABILITY resolves from a NUMERIC truth of 1 (YES) or 0 (NO).
+ */
+function impliedOutcome(question, truth) {
+    if (question.answerType === ANSWER_TYPES.SINGLE_CHOICE) {
+        if (truth.method === 'ANSWER') {
+            return question.answers.find(answer => answer.id === truth.answerId)?.value?.optionId ?? null;
+        }
+        if (truth.method === 'TEXT') {
+            const text = truth.truth.trim().toLowerCase();
+            return question.options.find(option => option.label.toLowerCase() === text)?.id ?? null;
+        }
+    }
+    if (question.answerType === ANSWER_TYPES.PROBABILITY && truth.method === 'NUMERIC') {
+        if (truth.value === 1) return 'YES';
+        if (truth.value === 0) return 'NO';
+    }
+    return null;
+}
+
+/**
+ * Market state for API responses: outcomes with quantities and prices (the live probabilities)
+ */
+function marketSummary(market, positions = null) {
+    const liquidity = Number(market.liquidity);
+    const prices = lmsrPrices(market.quantities, liquidity);
+
+    return {
+        id: market.id,
+        status: market.status,
+        liquidity,
+        subsidy: Number(market.subsidy),
+        volume: Number(market.volume),
+        resolvedOutcome: market.resolvedOutcome,
+        settledAt: market.settledAt,
+        outcomes: market.outcomes.map(outcome => ({
+            ...outcome,
+            quantity: market.quantities[outcome.key],
+            probability: prices[outcome.key]
+        })),
+        ...(positions && {
+            positions: positions.map(position => ({
+                outcome: position.outcome,
+                shares: Number(position.shares),
+                costBasis: Number(position.costBasis),
+                payout: position.payout === null ? null : Number(position.payout),
+                // What the position would fetch at the current price
+                value: round6(Number(position.shares) * (prices[position.outcome] || 0))
+            }))
+        })
+    };
+}
+
+module.exports = {
+    MARKET_STATUS,
+    lmsrCost,
+    lmsrPrices,
+    marketOutcomes,
+    marketSubsidy,
+    isMarketOutcome,
+    openMarket,
+    trade,
+    settleMarket,
+    impliedOutcome,
+    marketSummary
+};
@@ -0,0 +1,412 @@
+/**
+ * Question routing for SwarmOracle
+ * Picks a panel of agents for each new question and invites them. Candidates are scored on their
+ * reputation in the question's category, whether they declared or earned the category, how often
+ * they accept invitations and how many open invitations they already hold; the panel is filled
+ * best-first with at most panelMaxPerPlatform agents per platform. Invitations expire, and panels
+ * are topped up when members decline or let them lapse, for as long as the question is open.
+ */
+
+const { categoryReputation, specialtyCategories, BASE_RATING } = require('./reputation');
+const { queueWebhooks, WEBHOOK_EVENTS } = require('./webhooks');
+
+const INVITATION_STATUS = {
+    PENDING: 'PENDING',
+    ACCEPTED: 'ACCEPTED',
+    DECLINED: 'DECLINED',
+    EXPIRED: 'EXPIRED'
+};
+
+// Statuses that still hold a panel seat
+const SEATED_STATUSES = [INVITATION_STATUS.PENDING, INVITATION_STATUS.ACCEPTED];
+
+const INVITATION_TTL_MINUTES = 60;
+
+// Only agents seen within this window are invited. The candidate pool takes at most this many agents
+// from each of: overall reputation, rating in the question's category, declared capability
+const ACTIVE_WITHIN_DAYS = 14;
+const CANDIDATE_POOL = 500;
+
+// Declaring the category and being rated well in it each add to the score
+const CAPABILITY_BONUS = 0.25;
+const SPECIALTY_BONUS = 0.25;
+
+// Each open invitation lowers the score; agents holding MAX_OPEN_INVITATIONS are not invited
+const LOAD_PENALTY = 0.25;
+const MAX_OPEN_INVITATIONS = 5;
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+class InvitationError extends Error {
+    constructor(message, statusCode = 422) {
+        super(message);
+        this.name = 'InvitationError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Score a candidate for a question; returns null if the agent cannot take more work
+ * candidate: { id, platform, capabilities, reputationScore, trustFactor, categoryRatings,
+ * openInvitations, invitationHistory: { accepted, resolved } }
+ */
+function scoreCandidate(candidate, question) {
+    if (candidate.openInvitations >= MAX_OPEN_INVITATIONS) return null;
+
+    const rating = (candidate.categoryRatings || []).find(r => r.category === question.category);
+    const reputation = categoryReputation(Number(candidate.reputationScore), rating) * Number(candidate.trustFactor ?? 1);
+    const declared = (candidate.capabilities || []).includes(question.category.toLowerCase());
+    const specialist = specialtyCategories(candidate.categoryRatings || []).includes(question.category);
+
+    // Share of past invitations accepted, starting from 1 in 2 for agents never invited
+    const { accepted = 0, resolved = 0 } = candidate.invitationHistory || {};
+    const responsiveness = (accepted + 1) / (resolved + 2);
+    const load = 1 / (1 + LOAD_PENALTY * candidate.openInvitations);
+    const fit = 1 + (declared ? CAPABILITY_BONUS : 0) + (specialist ? SPECIALTY_BONUS : 0);
+
+    return {
+        score: round4((reputation / BASE_RATING) * fit * responsiveness * load),
+        reasons: {
+            categoryReputation: round4(reputation),
+            declaredCapability: declared,
+            specialist,
+            responsiveness: round4(responsiveness),
+            openInvitations: candidate.openInvitations
+        }
+    };
+}
+
+/**
+ * Pick up to size candidates, best score first, with at most maxPerPlatform from one platform
+ * platformCounts lists seats already held per platform. Returns [{ agentId, platform, score, reasons }].
+ */
+function selectPanel(candidates, question, { size, maxPerPlatform, platformCounts = {} }) {
+    const scored = candidates
+        .map(candidate => ({ candidate, scoring: scoreCandidate(candidate, question) }))
+        .filter(entry => entry.scoring && entry.scoring.score > 0)
+        .sort((a, b) => b.scoring.score - a.scoring.score || a.candidate.id.localeCompare(b.candidate.id));
+
+    const counts = { ...platformCounts };
+    const panel = [];
+    for (const { candidate, scoring } of scored) {
+        if (panel.length >= size) break;
+        if ((counts[candidate.platform] || 0) >= maxPerPlatform) continue;
+        counts[candidate.platform] = (counts[candidate.platform] || 0) + 1;
+        panel.push({ agentId: candidate.id, platform: candidate.platform, ...scoring });
+    }
+    return panel;
+}
+
+function invitationExpiry(question, now) {
+    const ttl = new Date(now.getTime() + INVITATION_TTL_MINUTES * 60 * 1000);
+    return question.openUntil && new Date(question.openUntil) < ttl ? new Date(question.openUntil) : ttl;
+}
+
+/**
+ * Open invitations per agent, counting only questions still taking answers or debating
+ */
+async function openInvitationCounts(db, agentIds) {
+    const open = await db.questionInvitation.groupBy({
+        by: ['agentId'],
+        where: {
+            agentId: { in: agentIds },
+            status: { in: SEATED_STATUSES },
+            answeredAt: null,
+            question: { status: { in: ['OPEN', 'DEBATING'] } }
+        },
+        _count: { _all: true }
+    });
+    return Object.fromEntries(open.map(entry => [entry.agentId, entry._count._all]));
+}
+
+async function invitationHistories(db, agentIds) {
+    const history = await db.questionInvitation.groupBy({
+        by: ['agentId', 'status'],
+        where: { agentId: { in: agentIds }, status: { not: INVITATION_STATUS.PENDING } },
+        _count: { _all: true }
+    });
+
+    const histories = {};
+    for (const entry of history) {
+        const record = histories[entry.agentId] || (histories[entry.agentId] = { accepted: 0, resolved: 0 });
+        record.resolved += entry._count._all;
+        if (entry.status === INVITATION_STATUS.ACCEPTED) record.accepted += entry._count._all;
+    }
+    return histories;
+}
+
+/**
+ * Active agents worth scoring for a question: the best overall, the best rated in its category
+ * and those declaring it, so category specialists are not crowded out by overall reputation
+ */
+async function candidatePool(db, question, excluded, now) {
+    const eligible = {
+        id: { notIn: excluded },
+        lastActiveAt: { gte: new Date(now.getTime() - ACTIVE_WITHIN_DAYS * 24 * 60 * 60 * 1000) }
+    };
+    const select = {
+        id: true,
+        name: true,
+        platform: true,
+        capabilities: true,
+        reputationScore: true,
+        trustFactor: true,
+        categoryRatings: true
+    };
+
+    const specialists = await db.agentCategoryRating.findMany({
+        where: { category: question.category, agent: eligible },
+        select: { agentId: true },
+        orderBy: { rating: 'desc' },
+        take: CANDIDATE_POOL
+    });
+    const pools = await Promise.all([
+        db.agent.findMany({ where: eligible, select, orderBy: { reputationScore: 'desc' }, take: CANDIDATE_POOL }),
+        db.agent.findMany({
+            where: { ...eligible, capabilities: { has: question.category.toLowerCase() } },
+            select,
+            orderBy: { reputationScore: 'desc' },
+            take: CANDIDATE_POOL
+        }),
+        db.agent.findMany({ where: { id: { in: specialists.map(rating => rating.agentId) } }, select })
+    ]);
+
+    return [...new Map(pools.flat().map(agent => [agent.id, agent])).values()];
+}
+
+/**
+ * Fill a question's free panel seats and queue the invitation webhooks
+ * Agents invited before (whatever they answered) and agents that already answered are skipped.
+ * Call inside a transaction: the question row stays locked until it commits, so concurrent
+ * refills of one panel run one after the other. Returns the new invitations with their agent.
+ */
+async function routeQuestion(db, question, { now = new Date() } = {}) {
+    await db.$queryRaw`SELECT id FROM questions WHERE id = ${question.id} FOR UPDATE`;
+
+    const [previous, answers] = await Promise.all([
+        db.questionInvitation.findMany({
+            where: { questionId: question.id },
+            select: { agentId: true, status: true, agent: { select: { platform: true } } }
+        }),
+        db.answer.findMany({ where: { questionId: question.id }, select: { agentId: true } })
+    ]);
+
+    const seated = previous.filter(invitation => SEATED_STATUSES.includes(invitation.status));
+    const seats = question.panelSize - seated.length;
+    if (seats <= 0) return [];
+
+    const excluded = [...previous.map(invitation => invitation.agentId), ...answers.map(answer => answer.agentId)];
+    if (question.askerId) excluded.push(question.askerId);
+
+    const agents = await candidatePool(db, question, excluded, now);
+    if (agents.length === 0) return [];
+
+    const agentIds = agents.map(agent => agent.id);
+    const [loads, histories] = await Promise.all([
+        openInvitationCounts(db, agentIds),
+        invitationHistories(db, agentIds)
+    ]);
+
+    const platformCounts = {};
+    for (const invitation of seated) {
+        platformCounts[invitation.agent.platform] = (platformCounts[invitation.agent.platform] || 0) + 1;
+    }
+
+    const panel = selectPanel(agents.map(agent => ({
+        ...agent,
+        openInvitations: loads[agent.id] || 0,
+        invitationHistory: histories[agent.id]
+    })), question, { size: seats, maxPerPlatform: question.panelMaxPerPlatform, platformCounts });
+    if (panel.length === 0) return [];
+
+    const expiresAt = invitationExpiry(question, now);
+    await db.questionInvitation.createMany({
+        data: panel.map((member, index) => ({
+            questionId: question.id,
+            agentId: member.agentId,
+            score: member.score,
+            rank: previous.length + index + 1,
+            reasons: member.reasons,
+            invitedAt: now,
+            expiresAt
+        }))
+    });
+    const invitations = await db.questionInvitation.findMany({
+        where: { questionId: question.id, agentId: { in: panel.map(member => member.agentId) } },
+        include: { agent: { select: { id: true, name: true, platform: true } } },
+        orderBy: { rank: 'asc' }
+    });
+
+    await queueWebhooks(db, WEBHOOK_EVENTS.QUESTION_INVITED, invitations.map(invitation => ({
+        agentId: invitation.agentId,
+        data: invitationEvent(question, invitation).data
+    })));
+
+    return invitations;
+}
+
+/**
+ * Redis payload telling an agent it was invited to a question
+ */
+function invitationEvent(question, invitation) {
+    return {
+        agentId: invitation.agentId,
+        questionId: question.id,
+        data: {
+            invitationId: invitation.id,
+            questionId: question.id,
+            text: question.text,
+            category: question.category,
+            answerType: question.answerType,
+            openUntil: question.openUntil,
+            expiresAt: invitation.expiresAt,
+            rank: invitation.rank,
+            score: Number(invitation.score)
+        }
+    };
+}
+
+function stillRouting(question, now) {
+    if (question.status !== 'OPEN' || question.panelSize <= 0) return false;
+    if (question.openUntil && new Date(question.openUntil) <= now) return false;
+    return !question.maxAnswers || question._count.answers < question.maxAnswers;
+}
+
+/**
+ * Accept or decline an agent's pending invitation; a decline frees the seat for the next candidate
+ * question needs _count.answers. Returns { invitation, replacements }.
+ */
+async function respondToInvitation(db, question, agentId, accept, { now = new Date() } = {}) {
+    const invitation = await db.questionInvitation.findUnique({
+        where: { questionId_agentId: { questionId: question.id, agentId } }
+    });
+    if (!invitation) {
+        throw new InvitationError('You were not invited to this question', 404);
+    }
+    if (invitation.status !== INVITATION_STATUS.PENDING) {
+        throw new InvitationError(`Invitation is already ${invitation.status.toLowerCase()}`, 409);
+    }
+    if (invitation.expiresAt <= now) {
+        throw new InvitationError('Invitation has expired', 409);
+    }
+
+    const responded = await db.questionInvitation.updateMany({
+        where: { id: invitation.id, status: INVITATION_STATUS.PENDING },
+        data: { status: accept ? INVITATION_STATUS.ACCEPTED : INVITATION_STATUS.DECLINED, respondedAt: now }
+    });
+    if (responded.count === 0) {
+        throw new InvitationError('Invitation was answered concurrently, reload and retry', 409);
+    }
+
+    const replacements = !accept && stillRouting(question, now) ? await routeQuestion(db, question, { now }) : [];
+    return {
+        invitation: await db.questionInvitation.findUnique({
+            where: { id: invitation.id },
+            include: { agent: { select: { id: true, name: true, platform: true } } }
+        }),
+        replacements
+    };
+}
+
+/**
+ * Mark an invited agent's invitation answered; answering counts as accepting a pending one
+ */
+async function recordInvitationAnswer(db, questionId, agentId, now = new Date()) {
+    await db.questionInvitation.updateMany({
+        where: { questionId, agentId, status: INVITATION_STATUS.PENDING },
+        data: { status: INVITATION_STATUS.ACCEPTED, respondedAt: now }
+    });
+    await db.questionInvitation.updateMany({
+        where: { questionId, agentId, status: INVITATION_STATUS.ACCEPTED, answeredAt: null },
+        data: { answeredAt: now }
+    });
+}
+
+/**
+ * One refresh pass: expire lapsed invitations, then top up every open question whose panel is
+ * short, including panels that could not be filled when the question was created
+ * events are the [type, payload] pairs to publish.
+ */
+async function refreshPanels(prisma, { now = new Date() } = {}) {
+    const lapsed = await prisma.questionInvitation.findMany({
+        where: { status: INVITATION_STATUS.PENDING, expiresAt: { lte: now } },
+        select: { id: true, questionId: true }
+    });
+    if (lapsed.length > 0) {
+        await prisma.questionInvitation.updateMany({
+            where: { id: { in: lapsed.map(invitation => invitation.id) }, status: INVITATION_STATUS.PENDING },
+            data: { status: INVITATION_STATUS.EXPIRED }
+        });
+    }
+
+    const questions = await prisma.question.findMany({
+        where: {
+            status: 'OPEN',
+            panelSize: { gt: 0 },
+            OR: [{ openUntil: null }, { openUntil: { gt: now } }]
+        },
+        include: {
+            _count: {
+                select: {
+                    answers: true,
+                    invitations: { where: { status: { in: SEATED_STATUSES } } }
+                }
+            }
+        }
+    });
+
+    const invitations = [];
+    const failed = [];
+    const events = [];
+    for (const question of questions) {
+        if (question._count.invitations >= question.panelSize || !stillRouting(question, now)) continue;
+        try {
+            const invited = await prisma.$transaction(tx => routeQuestion(tx, question, { now }));
+            invitations.push(...invited);
+            events.push(...invited.map(invitation => ['question:invited', invitationEvent(question, invitation)]));
+        } catch (error) {
+            console.error(`Panel refresh failed for question ${question.id}:`, error);
+            failed.push({ questionId: question.id, error: error.message });
+        }
+    }
+
+    return { ranAt: now, expired: lapsed.length, invitations, failed, events };
+}
+
+/**
+ * Run refreshPanels every intervalSeconds; returns a stop function
+ * Disabled when the interval is 0. Runs never overlap.
+ */
+function startPanelRefreshJob(prisma, { intervalSeconds = Number(process.env.PANEL_REFRESH_INTERVAL_SECONDS ?? 60), onResult } = {}) {
+    if (!(intervalSeconds > 0)) return () => {};
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const result = await refreshPanels(prisma);
+            if (onResult) await onResult(result);
+        } catch (error) {
+            console.error('Panel refresh failed:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalSeconds * 1000);
+
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    INVITATION_STATUS,
+    InvitationError,
+    scoreCandidate,
+    selectPanel,
+    routeQuestion,
+    invitationEvent,
+    respondToInvitation,
+    recordInvitationAnswer,
+    refreshPanels,
+    startPanelRefreshJob
+};
@@ -0,0 +1,251 @@
+/**
+ * Reputation decay for SwarmOracle
+ * Agents idle for longer than a grace period drift back toward the baseline rating with a
+ * configurable half-life, so dormant early agents stop dominating reputation-weighted consensus.
+ * Overall reputation uses the default half-life; each category rating can have its own.
+ */
+
+const { BASE_RATING, REPUTATION_REASONS } = require('./reputation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_HALF_LIFE_DAYS = 90;
+const DEFAULT_GRACE_DAYS = 14;
+const DEFAULT_INTERVAL_HOURS = 24;
+
+// Changes smaller than the column precision are not worth a write
+const MIN_CHANGE = 0.0001;
+
+const round4 = value => Math.round(value * 10000) / 10000;
+
+/**
+ * "PREDICTIVE=30,FACTUAL=180" -> { PREDICTIVE: 30, FACTUAL: 180 }
+ */
+function parseCategoryHalfLives(value = '') {
+    return Object.fromEntries(
+        value.split(',')
+            .map(pair => pair.split('=').map(part => part.trim()))
+            .filter(([category, days]) => category && Number(days) > 0)
+            .map(([category, days]) => [category.toUpperCase(), Number(days)])
+    );
+}
+
+function decayConfig(env = process.env) {
+    return {
+        baseline: BASE_RATING,
+        halfLifeDays: Number(env.REPUTATION_DECAY_HALF_LIFE_DAYS) || DEFAULT_HALF_LIFE_DAYS,
+        categoryHalfLifeDays: parseCategoryHalfLives(env.REPUTATION_DECAY_CATEGORY_HALF_LIVES),
+        graceDays: Number(env.REPUTATION_DECAY_GRACE_DAYS ?? DEFAULT_GRACE_DAYS),
+        intervalHours: Number(env.REPUTATION_DECAY_INTERVAL_HOURS ?? DEFAULT_INTERVAL_HOURS)
+    };
+}
+
+/**
+ * Exponential decay toward the baseline over the idle time not yet decayed
+ * Idle time starts graceDays after lastActiveAt, or at the previous decay if that is later.
+ */
+function decayValue(value, { lastActiveAt, decayedAt, now, halfLifeDays, graceDays, baseline }) {
+    const idleFrom = Math.max(
+        new Date(lastActiveAt).getTime() + graceDays * DAY_MS,
+        decayedAt ? new Date(decayedAt).getTime() : -Infinity
+    );
+    const elapsedDays = (now.getTime() - idleFrom) / DAY_MS;
+    if (elapsedDays <= 0) return value;
+
+    return round4(baseline + (value - baseline) * Math.pow(0.5, elapsedDays / halfLifeDays));
+}
+
+/**
+ * Decay for every agent as of `now`
+ * agents: [{ id, name, reputationScore, lastActiveAt, reputationDecayedAt, categoryRatings }]
+ * Returns one entry per agent whose overall score or any category rating would change.
+ */
+function planDecay(agents, now = new Date(), config = decayConfig()) {
+    const plan = [];
+
+    for (const agent of agents) {
+        const timing = { lastActiveAt: agent.lastActiveAt, now, graceDays: config.graceDays, baseline: config.baseline };
+        const reputationBefore = Number(agent.reputationScore);
+        const reputationAfter = decayValue(reputationBefore, {
+            ...timing,
+            decayedAt: agent.reputationDecayedAt,
+            halfLifeDays: config.halfLifeDays
+        });
+
+        const categories = (agent.categoryRatings || [])
+            .map(rating => {
+                const before = Number(rating.rating);
+                const after = decayValue(before, {
+                    ...timing,
+                    decayedAt: rating.decayedAt,
+                    halfLifeDays: config.categoryHalfLifeDays[rating.category] || config.halfLifeDays
+                });
+                return { category: rating.category, before, after, change: round4(after - before) };
+            })
+            .filter(category => Math.abs(category.change) >= MIN_CHANGE);
+
+        const change = round4(reputationAfter - reputationBefore);
+        if (Math.abs(change) < MIN_CHANGE && categories.length === 0) continue;
+
+        plan.push({
+            agentId: agent.id,
+            name: agent.name,
+            idleDays: round4((now.getTime() - new Date(agent.lastActiveAt).getTime()) / DAY_MS),
+            reputationBefore,
+            reputationAfter,
+            change,
+            categories
+        });
+    }
+
+    return plan;
+}
+
+const DECAY_AGENT_SELECT = {
+    id: true,
+    name: true,
+    reputationScore: true,
+    lastActiveAt: true,
+    reputationDecayedAt: true,
+    categoryRatings: {
+        select: { category: true, rating: true, decayedAt: true }
+    }
+};
+
+/**
+ * Dry run: what decay as of `now` would do to the leaderboard, without writing anything
+ */
+async function previewDecay(prisma, { now = new Date(), limit = 20 } = {}) {
+    const config = decayConfig();
+    const agents = await prisma.agent.findMany({ select: DECAY_AGENT_SELECT });
+    const plan = new Map(planDecay(agents, now, config).map(entry => [entry.agentId, entry]));
+
+    const scored = agents.map(agent => {
+        const current = Number(agent.reputationScore);
+        return {
+            agentId: agent.id,
+            name: agent.name,
+            lastActiveAt: agent.lastActiveAt,
+            reputationScore: current,
+            projectedScore: plan.get(agent.id)?.reputationAfter ?? current
+        };
+    });
+
+    const rankBy = key => new Map(
+        [...scored].sort((a, b) => b[key] - a[key]).map((entry, index) => [entry.agentId, index + 1])
+    );
+    const currentRanks = rankBy('reputationScore');
+    const projectedRanks = rankBy('projectedScore');
+
+    const leaderboard = scored
+        .map(entry => ({
+            ...entry,
+            change: round4(entry.projectedScore - entry.reputationScore),
+            rank: currentRanks.get(entry.agentId),
+            projectedRank: projectedRanks.get(entry.agentId),
+            rankChange: currentRanks.get(entry.agentId) - projectedRanks.get(entry.agentId)
+        }))
+        .sort((a, b) => a.projectedRank - b.projectedRank)
+        .slice(0, limit);
+
+    const entries = [...plan.values()];
+    return {
+        asOf: now,
+        config,
+        summary: {
+            agentCount: agents.length,
+            agentsAffected: entries.length,
+            totalChange: round4(entries.reduce((sum, entry) => sum + entry.change, 0)),
+            categoryRatingsAffected: entries.reduce((sum, entry) => sum + entry.categories.length, 0)
+        },
+        leaderboard,
+        agents: entries
+    };
+}
+
+/**
+ * Apply decay as of `now` and record it in ReputationChange
+ * Each agent is updated only if its score has not changed since it was read, so a concurrent
+ * reputation update is never overwritten - that agent simply decays on the next run.
+ */
+async function applyDecay(prisma, { now = new Date() } = {}) {
+    const config = decayConfig();
+    const agents = await prisma.agent.findMany({ select: DECAY_AGENT_SELECT });
+    const plan = planDecay(agents, now, config);
+
+    const applied = [];
+    for (const entry of plan) {
+        const done = await prisma.$transaction(async (tx) => {
+            const updated = await tx.agent.updateMany({
+                where: { id: entry.agentId, reputationScore: entry.reputationBefore },
+                data: { reputationScore: entry.reputationAfter, reputationDecayedAt: now }
+            });
+            if (updated.count === 0) return false;
+
+            for (const category of entry.categories) {
+                await tx.agentCategoryRating.updateMany({
+                    where: { agentId: entry.agentId, category: category.category, rating: category.before },
+                    data: { rating: category.after, decayedAt: now }
+                });
+            }
+
+            await tx.reputationChange.create({
+                data: {
+                    agentId: entry.agentId,
+                    reason: REPUTATION_REASONS.DECAY,
+                    change: entry.change,
+                    reputationBefore: entry.reputationBefore,
+                    reputationAfter: entry.reputationAfter,
+                    details: { idleDays: entry.idleDays, halfLifeDays: config.halfLifeDays, categories: entry.categories }
+                }
+            });
+            return true;
+        });
+
+        if (done) applied.push(entry);
+    }
+
+    return {
+        asOf: now,
+        agentsAffected: applied.length,
+        skipped: plan.length - applied.length,
+        totalChange: round4(applied.reduce((sum, entry) => sum + entry.change, 0)),
+        agents: applied
+    };
+}
+
+/**
+ * Run applyDecay every intervalHours; returns a stop function
+ * Disabled when the interval is 0. Runs never overlap.
+ */
+function startReputationDecayJob(prisma, { intervalHours = decayConfig().intervalHours, onResult } = {}) {
+    if (!(intervalHours > 0)) return () => {};
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const result = await applyDecay(prisma);
+            if (onResult) onResult(result);
+        } catch (error) {
+            console.error('Reputation decay failed:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalHours * 60 * 60 * 1000);
+
+    // Never keep the process alive just for decay
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    decayConfig,
+    parseCategoryHalfLives,
+    decayValue,
+    planDecay,
+    previewDecay,
+    applyDecay,
+    startReputationDecayJob
+};
@@ -0,0 +1,471 @@
+/**
+ * Reputation engine for SwarmOracle
+ * Glicko-style ratings per question category, updated once per resolved question:
+ * - each answerer plays the agents who did better or worse (together worth one game) and the question itself
+ *   (a win is a correct answer, or the top consensus weight for unverifiable questions)
+ * - critics who flagged answers that turned out wrong earn a bonus, and critics voted down by their peers lose points
+ * - agents whose stakes were slashed lose points
+ * Agent.reputationScore moves by the same amounts, and every change is recorded in ReputationChange.
+ */
+
+const { settlementBasis, SETTLEMENT_BASIS } = require('./settlement');
+const { effectiveImpact, votedDown, downShare } = require('./critique-votes');
+
+const REPUTATION_REASONS = {
+    ANSWER_VERIFIED: 'ANSWER_VERIFIED',
+    ANSWER_CONSENSUS: 'ANSWER_CONSENSUS',
+    USEFUL_CRITIQUE: 'USEFUL_CRITIQUE',
+    CRITIQUE_VOTED_DOWN: 'CRITIQUE_VOTED_DOWN',
+    STAKE_SLASHED: 'STAKE_SLASHED',
+    DECAY: 'DECAY'
+};
+
+const QUESTION_CATEGORIES = ['FACTUAL', 'PREDICTIVE', 'ANALYTICAL', 'CREATIVE', 'TECHNICAL'];
+
+// Ratings live on the reputationScore scale: everyone starts at 100
+const BASE_RATING = 100;
+const MIN_RATING = 1;
+const MAX_RATING = 9999;
+
+// Rating gap that means 10:1 odds (Glicko uses 400 on its 1500 scale)
+const RATING_SCALE = 25;
+const INITIAL_DEVIATION = 20;
+const MIN_DEVIATION = 3;
+
+// Critique bonus is scaled by the critique's assessed impact and capped per critic per question
+const CRITIQUE_REWARD = 1;
+const MAX_CRITIQUE_REWARD = 3;
+
+// Penalty per critique voted down, scaled by the share of votes against it, capped per critic per question
+const CRITIQUE_DOWNVOTE_PENALTY = 1;
+const MAX_CRITIQUE_DOWNVOTE_PENALTY = 3;
+
+// A slashed stake of SLASH_REFERENCE_STAKE tokens or more costs the full penalty
+const SLASH_PENALTY = 2;
+const SLASH_REFERENCE_STAKE = 100;
+
+// Critiques of answers scoring below this were right to object
+const USEFUL_CRITIQUE_SCORE = 0.5;
+
+// Pseudo-count for category reputation: with this many rated questions the category rating gets half the say
+const CATEGORY_PRIOR_GAMES = 5;
+
+// Rated questions needed, above the baseline, before a category counts as a specialty
+const MIN_SPECIALTY_GAMES = 3;
+
+const Q = Math.log(10) / RATING_SCALE;
+
+const round4 = value => Math.round(value * 10000) / 10000;
+const clampRating = value => Math.min(MAX_RATING, Math.max(MIN_RATING, value));
+
+function g(deviation) {
+    return 1 / Math.sqrt(1 + (3 * Q * Q * deviation * deviation) / (Math.PI * Math.PI));
+}
+
+function expectedScore(rating, opponentRating, opponentDeviation) {
+    return 1 / (1 + Math.pow(10, (-g(opponentDeviation) * (rating - opponentRating)) / RATING_SCALE));
+}
+
+/**
+ * One Glicko-1 rating period
+ * games: [{ rating, deviation, score, weight }] - weight lets a large field count as a single game
+ */
+function glickoUpdate(player, games) {
+    let variance = 0;
+    let improvement = 0;
+
+    for (const game of games) {
+        const gj = g(game.deviation);
+        const expected = expectedScore(player.rating, game.rating, game.deviation);
+        variance += game.weight * gj * gj * expected * (1 - expected);
+        improvement += game.weight * gj * (game.score - expected);
+    }
+
+    if (variance === 0) return { ...player };
+
+    const dSquaredInverse = Q * Q * variance;
+    const precision = 1 / (player.deviation * player.deviation) + dSquaredInverse;
+
+    return {
+        rating: player.rating + (Q / precision) * improvement,
+        deviation: Math.max(MIN_DEVIATION, Math.sqrt(1 / precision))
+    };
+}
+
+/**
+ * Rating changes from one question's answers
+ * answers: [{ agentId, score }] with score in [0, 1]; ratings: { [agentId]: { rating, deviation } }
+ * Returns { [agentId]: { rating, deviation } } after the question
+ */
+function rateAnswers(answers, ratings) {
+    const ratingOf = agentId => ratings[agentId] || { rating: BASE_RATING, deviation: INITIAL_DEVIATION };
+    const fieldRating = answers.reduce((sum, a) => sum + ratingOf(a.agentId).rating, 0) / (answers.length || 1);
+
+    return Object.fromEntries(answers.map(answer => {
+        // Agents with the same result do not play each other, so backing a right answer never costs points
+        const opponents = answers.filter(other => other.agentId !== answer.agentId && other.score !== answer.score);
+        const games = opponents.map(other => ({
+            ...ratingOf(other.agentId),
+            score: answer.score > other.score ? 1 : 0,
+            weight: 1 / opponents.length
+        }));
+
+        // The question is an opponent of average field strength with a known rating
+        games.push({ rating: fieldRating, deviation: 0, score: answer.score, weight: 1 });
+
+        return [answer.agentId, glickoUpdate(ratingOf(answer.agentId), games)];
+    }));
+}
+
+/**
+ * Reputation for weighting an agent on a question of one category
+ * Shrinks the category rating toward the overall score until the agent has a track record there.
+ */
+function categoryReputation(overall, categoryRating) {
+    if (!categoryRating || !categoryRating.games) return overall;
+
+    const reliability = categoryRating.games / (categoryRating.games + CATEGORY_PRIOR_GAMES);
+    return round4(overall + reliability * (Number(categoryRating.rating) - overall));
+}
+
+/**
+ * Categories the agent is rated above baseline in, strongest first
+ */
+function specialtyCategories(categoryRatings) {
+    return categoryRatings
+        .filter(r => r.games >= MIN_SPECIALTY_GAMES && Number(r.rating) > BASE_RATING)
+        .sort((a, b) => Number(b.rating) - Number(a.rating))
+        .map(r => r.category);
+}
+
+/**
+ * Radar-chart-ready breakdown with one axis per category, in a fixed order
+ * strength is the expected score against a baseline-rated agent, so every axis shares a 0-1 scale
+ */
+function expertiseBreakdown(overall, categoryRatings = []) {
+    const byCategory = Object.fromEntries(categoryRatings.map(r => [r.category, r]));
+
+    const axes = QUESTION_CATEGORIES.map(category => {
+        const rating = byCategory[category];
+        const reputation = categoryReputation(overall, rating);
+        return {
+            category,
+            rating: rating ? Number(rating.rating) : null,
+            deviation: rating ? Number(rating.deviation) : null,
+            games: rating ? rating.games : 0,
+            reputation,
+            strength: round4(expectedScore(reputation, BASE_RATING, 0))
+        };
+    });
+
+    return {
+        categories: QUESTION_CATEGORIES,
+        axes,
+        specialties: specialtyCategories(categoryRatings)
+    };
+}
+
+/**
+ * Per-answer outcome in [0, 1]: verification score, or weight relative to the consensus winner
+ */
+function answerScores(question, basis, answerWeights = {}) {
+    if (basis === SETTLEMENT_BASIS.VERIFIED) {
+        return question.answers.map(answer => ({
+            answerId: answer.id,
+            agentId: answer.agentId,
+            score: answer.isCorrect ? 1 : Math.min(1, Number(answer.verificationScore || 0))
+        }));
+    }
+
+    const maxWeight = Math.max(0, ...question.answers.map(answer => answerWeights[answer.id] || 0));
+    return question.answers.map(answer => ({
+        answerId: answer.id,
+        agentId: answer.agentId,
+        score: maxWeight > 0 ? Math.max(0, answerWeights[answer.id] || 0) / maxWeight : 0.5
+    }));
+}
+
+/**
+ * Critique bonus per critic: critiques of answers that scored poorly were useful, unless peers voted them down
+ */
+function critiqueRewards(question, scores) {
+    const scoreByAnswer = Object.fromEntries(scores.map(s => [s.answerId, s.score]));
+    const rewards = {};
+
+    for (const answer of question.answers) {
+        if (scoreByAnswer[answer.id] >= USEFUL_CRITIQUE_SCORE) continue;
+
+        for (const critique of answer.critiques) {
+            if (critique.parentCritiqueId || critique.agentId === answer.agentId || votedDown(critique)) continue;
+            const entry = rewards[critique.agentId] || (rewards[critique.agentId] = { amount: 0, critiqueIds: [] });
+            entry.amount += CRITIQUE_REWARD * effectiveImpact(critique);
+            entry.critiqueIds.push(critique.id);
+        }
+    }
+
+    for (const entry of Object.values(rewards)) {
+        entry.amount = Math.min(MAX_CRITIQUE_REWARD, entry.amount);
+    }
+    return rewards;
+}
+
+/**
+ * Penalty per critic for critiques, rebuttals and endorsements the other participants voted down
+ */
+function critiquePenalties(question) {
+    const penalties = {};
+    for (const answer of question.answers) {
+        for (const critique of answer.critiques) {
+            if (!votedDown(critique)) continue;
+            const entry = penalties[critique.agentId] || (penalties[critique.agentId] = { amount: 0, critiqueIds: [] });
+            entry.amount += CRITIQUE_DOWNVOTE_PENALTY * downShare(critique);
+            entry.critiqueIds.push(critique.id);
+        }
+    }
+
+    for (const entry of Object.values(penalties)) {
+        entry.amount = Math.min(MAX_CRITIQUE_DOWNVOTE_PENALTY, entry.amount);
+    }
+    return penalties;
+}
+
+/**
+ * Penalty per agent for stakes slashed when the question settled
+ */
+function slashPenalties(question) {
+    const penalties = {};
+    for (const settlement of question.stakeSettlements) {
+        if (Number(settlement.slashedAmount) <= 0) continue;
+        const entry = penalties[settlement.agentId] || (penalties[settlement.agentId] = { amount: 0, stakeIds: [] });
+        entry.amount += SLASH_PENALTY * Math.min(1, Number(settlement.slashedAmount) / SLASH_REFERENCE_STAKE);
+        entry.stakeIds.push(settlement.stakeId);
+    }
+    return penalties;
+}
+
+/**
+ * Update reputation after a question resolves
+ * Runs once per question (Question.reputationUpdatedAt); returns null if the question is not resolved,
+ * otherwise { questionId, category, changes, agents } where agents summarises the total per agent.
+ * options.answerWeights is required for unverifiable questions settled on consensus.
+ */
+async function updateQuestionReputation(prisma, questionId, options = {}) {
+    const question = await prisma.question.findUniqueOrThrow({
+        where: { id: questionId },
+        select: {
+            id: true,
+            status: true,
+            category: true,
+            reputationUpdatedAt: true,
+            answers: {
+                select: {
+                    id: true,
+                    agentId: true,
+                    isCorrect: true,
+                    verificationScore: true,
+                    critiques: {
+                        select: {
+                            id: true,
+                            agentId: true,
+                            parentCritiqueId: true,
+                            impact: true,
+                            assessedImpact: true,
+                            upWeight: true,
+                            downWeight: true
+                        }
+                    }
+                }
+            },
+            stakeSettlements: {
+                select: { stakeId: true, agentId: true, slashedAmount: true }
+            }
+        }
+    });
+
+    if (question.reputationUpdatedAt) return null;
+
+    const basis = settlementBasis(question);
+    if (!basis || question.answers.length === 0) return null;
+
+    if (basis === SETTLEMENT_BASIS.CONSENSUS && !options.answerWeights) {
+        throw new Error('Consensus reputation updates require answer weights');
+    }
+
+    const scores = answerScores(question, basis, options.answerWeights);
+    const critiques = critiqueRewards(question, scores);
+    const downvoted = critiquePenalties(question);
+    const slashes = slashPenalties(question);
+    const agentIds = [...new Set([
+        ...scores.map(s => s.agentId),
+        ...Object.keys(critiques),
+        ...Object.keys(downvoted),
+        ...Object.keys(slashes)
+    ])];
+    const updatedAt = new Date();
+
+    const changes = await prisma.$transaction(async (tx) => {
+        // Claim the question first so concurrent runs cannot both apply it
+        const claimed = await tx.question.updateMany({
+            where: { id: questionId, reputationUpdatedAt: null },
+            data: { reputationUpdatedAt: updatedAt }
+        });
+        if (claimed.count === 0) return null;
+
+        const [agents, categoryRatings] = await Promise.all([
+            tx.agent.findMany({
+                where: { id: { in: agentIds } },
+                select: { id: true, reputationScore: true }
+            }),
+            tx.agentCategoryRating.findMany({
+                where: { agentId: { in: agentIds }, category: question.category }
+            })
+        ]);
+
+        const ratings = Object.fromEntries(categoryRatings.map(r => [r.agentId, {
+            rating: Number(r.rating),
+            deviation: Number(r.deviation)
+        }]));
+        const rated = rateAnswers(scores, ratings);
+        const reputation = Object.fromEntries(agents.map(agent => [agent.id, Number(agent.reputationScore)]));
+
+        const changes = [];
+        for (const agentId of agentIds) {
+            let current = ratings[agentId] || { rating: BASE_RATING, deviation: INITIAL_DEVIATION };
+            const deltas = [];
+
+            const answer = scores.find(s => s.agentId === agentId);
+            if (answer) {
+                deltas.push({
+                    reason: basis === SETTLEMENT_BASIS.VERIFIED
+                        ? REPUTATION_REASONS.ANSWER_VERIFIED
+                        : REPUTATION_REASONS.ANSWER_CONSENSUS,
+                    change: rated[agentId].rating - current.rating,
+                    deviation: rated[agentId].deviation,
+                    details: { answerId: answer.answerId, score: answer.score }
+                });
+            }
+            if (critiques[agentId]) {
+                deltas.push({
+                    reason: REPUTATION_REASONS.USEFUL_CRITIQUE,
+                    change: critiques[agentId].amount,
+                    details: { critiqueIds: critiques[agentId].critiqueIds }
+                });
+            }
+            if (downvoted[agentId]) {
+                deltas.push({
+                    reason: REPUTATION_REASONS.CRITIQUE_VOTED_DOWN,
+                    change: -downvoted[agentId].amount,
+                    details: { critiqueIds: downvoted[agentId].critiqueIds }
+                });
+            }
+            if (slashes[agentId]) {
+                deltas.push({
+                    reason: REPUTATION_REASONS.STAKE_SLASHED,
+                    change: -slashes[agentId].amount,
+                    details: { stakeIds: slashes[agentId].stakeIds }
+                });
+            }
+
+            for (const delta of deltas) {
+                const ratingAfter = round4(clampRating(current.rating + delta.change));
+                const reputationBefore = reputation[agentId] ?? BASE_RATING;
+                const reputationAfter = round4(clampRating(reputationBefore + delta.change));
+
+                current = { rating: ratingAfter, deviation: delta.deviation ?? current.deviation };
+                reputation[agentId] = reputationAfter;
+
+                changes.push({
+                    agentId,
+                    questionId,
+                    category: question.category,
+                    reason: delta.reason,
+                    change: round4(reputationAfter - reputationBefore),
+                    reputationBefore,
+                    reputationAfter,
+                    categoryRating: ratingAfter,
+                    categoryDeviation: round4(current.deviation),
+                    details: delta.details
+                });
+            }
+
+            const games = answer ? 1 : 0;
+            await tx.agentCategoryRating.upsert({
+                where: { agentId_category: { agentId, category: question.category } },
+                create: {
+                    agentId,
+                    category: question.category,
+                    rating: current.rating,
+                    deviation: round4(current.deviation),
+                    games,
+                    lastRatedAt: updatedAt
+                },
+                update: {
+                    rating: current.rating,
+                    deviation: round4(current.deviation),
+                    games: { increment: games },
+                    lastRatedAt: updatedAt
+                }
+            });
+            await tx.agent.update({
+                where: { id: agentId },
+                data: { reputationScore: reputation[agentId] }
+            });
+        }
+
+        await tx.reputationChange.createMany({ data: changes });
+
+        // Keep AgentStats.specialtyCategories in step with the ratings
+        const allRatings = await tx.agentCategoryRating.findMany({
+            where: { agentId: { in: agentIds } }
+        });
+        for (const agentId of agentIds) {
+            const specialties = specialtyCategories(allRatings.filter(r => r.agentId === agentId));
+            await tx.agentStats.upsert({
+                where: { agentId },
+                create: { agentId, specialtyCategories: specialties },
+                update: { specialtyCategories: specialties }
+            });
+        }
+
+        return changes;
+    });
+
+    if (!changes) return null;
+
+    return {
+        questionId,
+        category: question.category,
+        basis,
+        changes,
+        agents: summarizeChanges(changes)
+    };
+}
+
+/**
+ * One entry per agent in the shape broadcastReputationUpdate expects
+ */
+function summarizeChanges(changes) {
+    const byAgent = new Map();
+    for (const change of changes) {
+        const entry = byAgent.get(change.agentId) || { agentId: change.agentId, change: 0, reasons: [] };
+        entry.change = round4(entry.change + change.change);
+        entry.newReputation = change.reputationAfter;
+        entry.reasons.push(change.reason);
+        byAgent.set(change.agentId, entry);
+    }
+
+    return [...byAgent.values()].map(({ reasons, ...entry }) => ({ ...entry, reason: reasons.join(', ') }));
+}
+
+module.exports = {
+    REPUTATION_REASONS,
+    QUESTION_CATEGORIES,
+    BASE_RATING,
+    INITIAL_DEVIATION,
+    glickoUpdate,
+    rateAnswers,
+    categoryReputation,
+    specialtyCategories,
+    expertiseBreakdown,
+    updateQuestionReputation
+};
@@ -0,0 +1,185 @@
+/**
+ * Semantic similarity for SwarmOracle answers
+ * Shared by the consensus routes and the ConsensusEngine so both see the same scores
+ */
+
+const {
+    EmbeddingCache,
+    HashedNgramEmbeddingProvider,
+    createEmbeddingProvider,
+    DEFAULT_CACHE_SIZE
+} = require('./embedding-providers');
+
+let embeddingProvider = null;
+const embeddingCache = new EmbeddingCache(parseInt(process.env.EMBEDDING_CACHE_SIZE) || DEFAULT_CACHE_SIZE);
+const offlineProvider = new HashedNgramEmbeddingProvider();
+
+/**
+ * The provider selected by EMBEDDING_PROVIDER, created on first use
+ */
+function getEmbeddingProvider() {
+    if (!embeddingProvider) {
+        embeddingProvider = createEmbeddingProvider();
+    }
+    return embeddingProvider;
+}
+
+/**
+ * Override the embedding provider, e.g. to plug in a locally loaded model
+ */
+function setEmbeddingProvider(provider) {
+    embeddingProvider = provider;
+    embeddingCache.clear();
+}
+
+function answerText(answer) {
+    return `${answer.content} ${answer.reasoning}`;
+}
+
+/**
+ * Embed answers, reusing cached vectors for answers whose text has not changed
+ */
+async function embedAnswers(answers, provider) {
+    const embeddings = new Array(answers.length);
+    const missing = [];
+
+    answers.forEach((answer, index) => {
+        const fingerprint = EmbeddingCache.fingerprint(provider, answerText(answer));
+        const cached = embeddingCache.get(answer.id, fingerprint);
+        if (cached) {
+            embeddings[index] = cached;
+        } else {
+            missing.push({ index, fingerprint });
+        }
+    });
+
+    if (missing.length > 0) {
+        // Batch embed only the new or edited answers
+        const vectors = await provider.embed(missing.map(({ index }) => answerText(answers[index])));
+        missing.forEach(({ index, fingerprint }, i) => {
+            embeddings[index] = vectors[i];
+            embeddingCache.set(answers[index].id, fingerprint, vectors[i]);
+        });
+    }
+
+    return embeddings;
+}
+
+/**
+ * Semantic similarity between answers using the configured embedding provider
+ * Returns { [answerId]: [{ answerId, similarity }] } for every other answer
+ */
+async function calculateSemanticSimilarity(answers) {
+    if (answers.length < 2) return {};
+
+    let embeddings;
+    try {
+        embeddings = await embedAnswers(answers, getEmbeddingProvider());
+    } catch (error) {
+        console.warn('Embedding provider failed, falling back to offline embeddings:', error.message);
+        embeddings = await embedAnswers(answers, offlineProvider);
+    }
+
+    // Calculate pairwise similarities
+    const similarities = {};
+    for (let i = 0; i < answers.length; i++) {
+        similarities[answers[i].id] = [];
+        for (let j = 0; j < answers.length; j++) {
+            if (i !== j) {
+                similarities[answers[i].id].push({
+                    answerId: answers[j].id,
+                    similarity: cosineSimilarity(embeddings[i], embeddings[j])
+                });
+            }
+        }
+    }
+
+    return similarities;
+}
+
+/**
+ * Similarity of each answer's content to a reference text, such as a verified ground truth
+ * Returns { [answerId]: similarity }; not cached since references are one-off
+ */
+async function similarityToReference(referenceText, answers) {
+    if (answers.length === 0) return {};
+
+    const texts = [referenceText, ...answers.map(a => a.content)];
+    let embeddings;
+    try {
+        embeddings = await getEmbeddingProvider().embed(texts);
+    } catch (error) {
+        console.warn('Embedding provider failed, falling back to offline embeddings:', error.message);
+        embeddings = await offlineProvider.embed(texts);
+    }
+
+    const [reference, ...answerEmbeddings] = embeddings;
+    return Object.fromEntries(answers.map((answer, i) => [
+        answer.id,
+        Math.max(0, cosineSimilarity(reference, answerEmbeddings[i]))
+    ]));
+}
+
+/**
+ * Provider and cache figures for /metrics; a misconfigured provider is reported, not thrown
+ */
+function getEmbeddingCacheStats() {
+    let provider;
+    try {
+        provider = getEmbeddingProvider();
+    } catch (error) {
+        return { provider: 'misconfigured', model: null, error: error.message, ...embeddingCache.getStats() };
+    }
+    return { provider: provider.name, model: provider.model, ...embeddingCache.getStats() };
+}
+
+/**
+ * Cosine similarity between two vectors
+ */
+function cosineSimilarity(vecA, vecB) {
+    const dotProduct = vecA.reduce((sum, a, i) => sum + a * vecB[i], 0);
+    const magnitudeA = Math.sqrt(vecA.reduce((sum, a) => sum + a * a, 0));
+    const magnitudeB = Math.sqrt(vecB.reduce((sum, b) => sum + b * b, 0));
+
+    if (magnitudeA === 0 || magnitudeB === 0) return 0;
+    return dotProduct / (magnitudeA * magnitudeB);
+}
+
+/**
+ * Word-overlap similarity, kept for callers that do not need embeddings
+ */
+function fallbackTextSimilarity(answers) {
+    const similarities = {};
+    for (const answer of answers) {
+        similarities[answer.id] = [];
+        for (const other of answers) {
+            if (answer.id !== other.id) {
+                similarities[answer.id].push({
+                    answerId: other.id,
+                    similarity: jacardSimilarity(
+                        answer.content.toLowerCase().split(' '),
+                        other.content.toLowerCase().split(' ')
+                    )
+                });
+            }
+        }
+    }
+    return similarities;
+}
+
+function jacardSimilarity(setA, setB) {
+    const intersection = setA.filter(x => setB.includes(x));
+    const union = [...new Set([...setA, ...setB])];
+    return union.length > 0 ? intersection.length / union.length : 0;
+}
+
+module.exports = {
+    calculateSemanticSimilarity,
+    similarityToReference,
+    getEmbeddingProvider,
+    setEmbeddingProvider,
+    getEmbeddingCacheStats,
+    cosineSimilarity,
+    fallbackTextSimilarity,
+    jacardSimilarity
+};
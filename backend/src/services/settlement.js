@@ -0,0 +1,280 @@
+/**
+ * Stake settlement for SwarmOracle
+ * Pays out stakes once a question is resolved, following the reward rules in SPEC.md:
+ * - verified questions: winners get their stake back and split the bounty plus slashed losing stakes,
+ *   near-correct answers earn a partial reward, wrong answers are slashed
+ * - unverifiable questions: stakes are returned and the bounty is split by consensus weight
+ * Every stake gets one immutable StakeSettlement row, so settling twice is a no-op.
+ */
+
+const { settleStakeFunds, resolveHold, toCents, fromCents, allocateCents } = require('./ledger');
+const { refundBounty, availableBounty } = require('./bounty');
+const { queueStakeSettlements } = require('./webhooks');
+
+const SETTLEMENT_BASIS = {
+    VERIFIED: 'VERIFIED',
+    CONSENSUS: 'CONSENSUS'
+};
+
+// Categories that never get a ground truth (SPEC.md "Question Types") settle on consensus
+const UNVERIFIABLE_CATEGORIES = ['ANALYTICAL', 'CREATIVE'];
+
+// Answers scoring at least this close to the truth without being correct earn a partial reward
+const PARTIAL_CREDIT_THRESHOLD = 0.5;
+const PARTIAL_REWARD_FACTOR = 0.5;
+
+function settlementEntry(stake, outcome, score, { returnedCents, rewardCents, slashedCents }) {
+    return {
+        stakeId: stake.id,
+        agentId: stake.agentId,
+        answerId: stake.answerId,
+        outcome,
+        score,
+        stakeAmount: fromCents(toCents(stake.amount)),
+        returnedAmount: fromCents(returnedCents),
+        rewardAmount: fromCents(rewardCents),
+        slashedAmount: fromCents(slashedCents),
+        payoutAmount: fromCents(returnedCents + rewardCents)
+    };
+}
+
+/**
+ * Pure settlement calculation
+ * stakes: [{ id, agentId, answerId, amount, held }]; held false marks a stake placed before the
+ * ledger, whose funds were never reserved, so slashing it adds nothing to the pool
+ * answers: { [answerId]: { isCorrect, score } } for VERIFIED, { [answerId]: { weight } } for CONSENSUS
+ * Returns { entries, pool, distributed, undistributed } with amounts in tokens
+ */
+function computeSettlement({ basis, bounty = 0, stakes, answers }) {
+    const bountyCents = toCents(bounty);
+
+    if (basis === SETTLEMENT_BASIS.CONSENSUS) {
+        const shares = allocateCents(bountyCents, stakes.map(stake =>
+            toCents(stake.amount) * Math.max(0, answers[stake.answerId]?.weight || 0)
+        ));
+
+        const entries = stakes.map((stake, i) => settlementEntry(stake, shares[i] > 0 ? 'WON' : 'REFUNDED', null, {
+            returnedCents: toCents(stake.amount),
+            rewardCents: shares[i],
+            slashedCents: 0
+        }));
+
+        return summarize(entries, bountyCents);
+    }
+
+    const tierOf = stake => {
+        const answer = answers[stake.answerId] || {};
+        if (answer.isCorrect) return 'CORRECT';
+        if ((answer.score || 0) >= PARTIAL_CREDIT_THRESHOLD) return 'PARTIAL';
+        return 'WRONG';
+    };
+
+    const winners = stakes.filter(stake => tierOf(stake) !== 'WRONG');
+
+    // Nobody backed a right answer: no one to pay, so every stake is returned
+    if (winners.length === 0) {
+        const entries = stakes.map(stake => settlementEntry(stake, 'REFUNDED', answers[stake.answerId]?.score ?? null, {
+            returnedCents: toCents(stake.amount),
+            rewardCents: 0,
+            slashedCents: 0
+        }));
+        return summarize(entries, bountyCents);
+    }
+
+    const slashedCents = stakes
+        .filter(stake => tierOf(stake) === 'WRONG' && stake.held !== false)
+        .reduce((sum, stake) => sum + toCents(stake.amount), 0);
+
+    const shares = allocateCents(bountyCents + slashedCents, stakes.map(stake => {
+        const tier = tierOf(stake);
+        if (tier === 'WRONG') return 0;
+        const score = answers[stake.answerId]?.score ?? 1;
+        return toCents(stake.amount) * score * (tier === 'PARTIAL' ? PARTIAL_REWARD_FACTOR : 1);
+    }));
+
+    const entries = stakes.map((stake, i) => {
+        const wrong = tierOf(stake) === 'WRONG';
+        const amountCents = toCents(stake.amount);
+        return settlementEntry(stake, wrong ? 'LOST' : 'WON', answers[stake.answerId]?.score ?? null, {
+            returnedCents: wrong ? 0 : amountCents,
+            rewardCents: shares[i],
+            slashedCents: wrong ? amountCents : 0
+        });
+    });
+
+    return summarize(entries, bountyCents + slashedCents);
+}
+
+function summarize(entries, poolCents) {
+    const distributedCents = entries.reduce((sum, entry) => sum + toCents(entry.rewardAmount), 0);
+    return {
+        entries,
+        pool: fromCents(poolCents),
+        distributed: fromCents(distributedCents),
+        undistributed: fromCents(poolCents - distributedCents)
+    };
+}
+
+/**
+ * Which rules a question settles under right now, or null if it is not ready
+ */
+function settlementBasis(question) {
+    if (question.status === 'VERIFIED') return SETTLEMENT_BASIS.VERIFIED;
+    if (question.status === 'CONSENSUS' && UNVERIFIABLE_CATEGORIES.includes(question.category)) {
+        return SETTLEMENT_BASIS.CONSENSUS;
+    }
+    return null;
+}
+
+async function loadSettlement(prisma, questionId) {
+    const settlements = await prisma.stakeSettlement.findMany({
+        where: { questionId },
+        orderBy: { createdAt: 'asc' }
+    });
+    return { questionId, alreadySettled: true, settlements };
+}
+
+/**
+ * Settle every active stake on a question
+ * options.answerWeights ({ [answerId]: weight }) is required for consensus settlements;
+ * verified settlements read isCorrect/verificationScore from the answers.
+ * Safe to call repeatedly - returns the existing settlement if the question was already settled.
+ */
+async function settleQuestion(prisma, questionId, options = {}) {
+    const question = await prisma.question.findUniqueOrThrow({
+        where: { id: questionId },
+        select: {
+            id: true,
+            status: true,
+            category: true,
+            bounty: true,
+            bountyRefunded: true,
+            settledAt: true,
+            answers: {
+                select: {
+                    id: true,
+                    isCorrect: true,
+                    verificationScore: true,
+                    stakes: { where: { status: 'ACTIVE' } }
+                }
+            }
+        }
+    });
+
+    if (question.settledAt) return loadSettlement(prisma, questionId);
+
+    const basis = settlementBasis(question);
+    if (!basis) return null;
+
+    if (basis === SETTLEMENT_BASIS.CONSENSUS && !options.answerWeights) {
+        throw new Error('Consensus settlement requires answer weights');
+    }
+
+    const answers = Object.fromEntries(question.answers.map(answer => [answer.id, {
+        isCorrect: answer.isCorrect,
+        score: answer.verificationScore === null ? null : Number(answer.verificationScore),
+        weight: options.answerWeights?.[answer.id] || 0
+    }]));
+
+    const stakes = question.answers.flatMap(answer => answer.stakes);
+    const holds = await prisma.ledgerHold.findMany({
+        where: { referenceType: 'STAKE', referenceId: { in: stakes.map(stake => stake.id) }, status: 'ACTIVE' },
+        select: { referenceId: true }
+    });
+    const heldStakeIds = new Set(holds.map(hold => hold.referenceId));
+
+    const { entries, pool, distributed, undistributed } = computeSettlement({
+        basis,
+        bounty: availableBounty(question),
+        stakes: stakes.map(stake => ({ ...stake, held: heldStakeIds.has(stake.id) })),
+        answers
+    });
+
+    const settledAt = new Date();
+    let bountyRefunds = [];
+
+    try {
+        await prisma.$transaction(async (tx) => {
+            // Claim the question first so concurrent runs cannot both settle it
+            const claimed = await tx.question.updateMany({
+                where: { id: questionId, settledAt: null },
+                data: { settledAt }
+            });
+            if (claimed.count === 0) {
+                throw Object.assign(new Error('Question already settled'), { code: 'ALREADY_SETTLED' });
+            }
+
+            for (const entry of entries) {
+                await tx.stake.update({
+                    where: { id: entry.stakeId },
+                    data: { status: entry.outcome, resolvedAt: settledAt }
+                });
+
+                if (entry.rewardAmount > 0) {
+                    await tx.agent.update({
+                        where: { id: entry.agentId },
+                        data: { totalEarned: { increment: entry.rewardAmount } }
+                    });
+                }
+
+                await settleStakeFunds(tx, questionId, entry);
+            }
+
+            await tx.stakeSettlement.createMany({
+                data: entries.map(entry => ({ ...entry, questionId, basis }))
+            });
+            await queueStakeSettlements(tx, questionId, basis, settledAt, entries);
+
+            // Bounty nobody earned (e.g. no correct answers) goes back to its contributors
+            if (undistributed > 0) {
+                bountyRefunds = await refundBounty(tx, questionId, undistributed);
+            }
+        });
+    } catch (error) {
+        if (error.code === 'ALREADY_SETTLED' || error.code === 'P2002') {
+            return loadSettlement(prisma, questionId);
+        }
+        throw error;
+    }
+
+    return {
+        questionId,
+        alreadySettled: false,
+        basis,
+        settledAt,
+        pool,
+        distributed,
+        undistributed,
+        bountyRefunds,
+        settlements: entries
+    };
+}
+
+/**
+ * Return every active stake of a question being closed before it settled, releasing their holds
+ * Call inside the transaction that closes the question. Returns the refunded stake ids.
+ */
+async function refundStakesOnClose(tx, question) {
+    if (question.settledAt) return [];
+
+    const stakes = await tx.stake.findMany({
+        where: { answer: { questionId: question.id }, status: 'ACTIVE' },
+        select: { id: true }
+    });
+    const resolvedAt = new Date();
+    for (const stake of stakes) {
+        await tx.stake.update({ where: { id: stake.id }, data: { status: 'REFUNDED', resolvedAt } });
+        await resolveHold(tx, 'STAKE', stake.id);
+    }
+    return stakes.map(stake => stake.id);
+}
+
+module.exports = {
+    SETTLEMENT_BASIS,
+    UNVERIFIABLE_CATEGORIES,
+    allocateCents,
+    computeSettlement,
+    settlementBasis,
+    settleQuestion,
+    refundStakesOnClose
+};
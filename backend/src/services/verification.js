@@ -0,0 +1,286 @@
+/**
+ * Ground-truth verification for SwarmOracle
+ * Scores every answer against the resolved outcome, marks answers correct/incorrect and
+ * keeps agent accuracy and calibration in step
+ */
+
+const { similarityToReference } = require('./semantic-similarity');
+const { refreshAgentCalibration } = require('./calibration');
+const { ANSWER_TYPES, SCALAR_TYPES, scalarValue } = require('./answer-types');
+
+const VERIFICATION_METHODS = {
+    ANSWER: 'ANSWER',   // a submitted answer is the truth
+    TEXT: 'TEXT',       // free-text truth, matched semantically
+    NUMERIC: 'NUMERIC'  // numeric truth with an absolute or relative tolerance
+};
+
+const DEFAULT_MATCH_THRESHOLD = 0.8;
+
+// Questions still collecting answers cannot be verified - the truth would leak to late answerers
+const VERIFIABLE_STATUSES = ['DEBATING', 'CONSENSUS', 'DEADLOCKED', 'CLOSED'];
+
+class VerificationError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'VerificationError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * First number in an answer, ignoring thousands separators
+ */
+function parseNumericAnswer(content) {
+    const match = String(content).replace(/(\d),(?=\d{3})/g, '$1').match(/-?\d+(?:\.\d+)?(?:e[+-]?\d+)?/i);
+    return match ? Number(match[0]) : null;
+}
+
+/**
+ * Full credit inside the tolerance, decaying with the error outside it (partial credit for near misses)
+ */
+function scoreNumeric(value, truth) {
+    if (value === null || !Number.isFinite(value)) {
+        return { score: 0, isCorrect: false, parsedValue: null };
+    }
+
+    const allowed = truth.relative ? truth.tolerance * Math.abs(truth.value) : truth.tolerance;
+    const error = Math.abs(value - truth.value);
+    const isCorrect = error <= allowed + Number.EPSILON;
+
+    return {
+        score: isCorrect ? 1 : (allowed > 0 ? allowed / error : 0),
+        isCorrect,
+        parsedValue: value,
+        error
+    };
+}
+
+/**
+ * The true value of a choice question as { optionIds } or, for DISTRIBUTION, { outcome }
+ * ANSWER takes the selected answer's value (a distribution's most likely outcome); TEXT matches
+ * option labels or outcomes exactly, ignoring case, with MULTIPLE_CHOICE labels comma-separated.
+ */
+function choiceTruth(question, truth, selected) {
+    const type = question.answerType;
+
+    if (truth.method === VERIFICATION_METHODS.ANSWER) {
+        const value = selected.value;
+        if (!value) throw new VerificationError('Selected answer has no value');
+        if (type === ANSWER_TYPES.SINGLE_CHOICE) return { optionIds: [value.optionId] };
+        if (type === ANSWER_TYPES.MULTIPLE_CHOICE) return { optionIds: value.optionIds };
+        return { outcome: mostLikelyOutcome(value.probabilities) };
+    }
+
+    if (truth.method !== VERIFICATION_METHODS.TEXT) {
+        throw new VerificationError(`${type} questions are verified with the ANSWER or TEXT method`);
+    }
+
+    const labels = type === ANSWER_TYPES.MULTIPLE_CHOICE ? truth.truth.split(',') : [truth.truth];
+    const wanted = labels.map(label => label.trim().toLowerCase());
+
+    if (type === ANSWER_TYPES.DISTRIBUTION) {
+        const outcome = (question.answerSpec?.outcomes || []).find(candidate => candidate.toLowerCase() === wanted[0]);
+        if (!outcome) throw new VerificationError(`Unknown outcome '${truth.truth}'`);
+        return { outcome };
+    }
+
+    const options = (question.options || []).filter(option => wanted.includes(option.label.toLowerCase()));
+    if (options.length !== new Set(wanted).size) {
+        throw new VerificationError(`Truth '${truth.truth}' does not match the question's options`);
+    }
+    return { optionIds: options.map(option => option.id) };
+}
+
+function mostLikelyOutcome(probabilities = {}) {
+    return Object.entries(probabilities).reduce((best, entry) => (!best || entry[1] > best[1] ? entry : best), null)?.[0] ?? null;
+}
+
+/**
+ * Exact comparison of a choice answer with the truth
+ * SINGLE_CHOICE must match, MULTIPLE_CHOICE earns the overlap of the selections (correct only when
+ * equal), DISTRIBUTION earns the probability put on the true outcome (correct when it was the favourite)
+ */
+function scoreChoice(type, value, truthValue) {
+    if (!value) return { score: 0, isCorrect: false };
+
+    if (type === ANSWER_TYPES.DISTRIBUTION) {
+        const score = value.probabilities?.[truthValue.outcome] || 0;
+        return { score, isCorrect: mostLikelyOutcome(value.probabilities) === truthValue.outcome };
+    }
+
+    const selected = type === ANSWER_TYPES.SINGLE_CHOICE ? [value.optionId] : value.optionIds || [];
+    const overlap = selected.filter(id => truthValue.optionIds.includes(id)).length;
+    const union = new Set([...selected, ...truthValue.optionIds]).size;
+    const score = union > 0 ? overlap / union : 0;
+    return { score, isCorrect: score === 1 };
+}
+
+/**
+ * The numeric truth of a scalar question: NUMERIC as given, ANSWER as the selected answer's
+ * value (exactly), and for DATE questions a TEXT date (exactly)
+ */
+function scalarTruth(question, truth, selected) {
+    const type = question.answerType;
+
+    if (truth.method === VERIFICATION_METHODS.NUMERIC) return truth;
+    if (truth.method === VERIFICATION_METHODS.ANSWER) {
+        const value = scalarValue(type, selected.value);
+        if (value === null) throw new VerificationError('Selected answer has no value');
+        return { value, tolerance: 0, relative: false };
+    }
+    if (type === ANSWER_TYPES.DATE) {
+        const value = Date.parse(truth.truth);
+        if (Number.isNaN(value)) throw new VerificationError(`Truth '${truth.truth}' is not a date`);
+        return { value, tolerance: 0, relative: false };
+    }
+    throw new VerificationError(`${type} questions are verified with the ANSWER or NUMERIC method`);
+}
+
+/**
+ * Score every answer against the truth: [{ answerId, agentId, score, isCorrect }]
+ * Typed questions compare answer values (scalar values numerically, options exactly); only TEXT
+ * questions are graded on the answers' prose.
+ */
+async function scoreAnswers(truth, answers, question = {}) {
+    const threshold = truth.matchThreshold ?? DEFAULT_MATCH_THRESHOLD;
+    const type = question.answerType || ANSWER_TYPES.TEXT;
+
+    if (type !== ANSWER_TYPES.TEXT) {
+        const selected = truth.method === VERIFICATION_METHODS.ANSWER
+            ? answers.find(answer => answer.id === truth.answerId)
+            : null;
+        if (truth.method === VERIFICATION_METHODS.ANSWER && !selected) {
+            throw new VerificationError('Selected answer does not belong to this question');
+        }
+
+        if (SCALAR_TYPES.includes(type)) {
+            const target = scalarTruth(question, truth, selected);
+            return answers.map(answer => ({
+                answerId: answer.id,
+                agentId: answer.agentId,
+                ...scoreNumeric(scalarValue(type, answer.value), target)
+            }));
+        }
+
+        const target = choiceTruth(question, truth, selected);
+        return answers.map(answer => ({
+            answerId: answer.id,
+            agentId: answer.agentId,
+            ...scoreChoice(type, answer.value, target)
+        }));
+    }
+
+    switch (truth.method) {
+        case VERIFICATION_METHODS.ANSWER: {
+            const selected = answers.find(answer => answer.id === truth.answerId);
+            if (!selected) {
+                throw new VerificationError('Selected answer does not belong to this question');
+            }
+
+            // Answers equivalent to the selected one are correct too
+            const similarities = await similarityToReference(selected.content, answers);
+            return answers.map(answer => {
+                const score = answer.id === selected.id ? 1 : similarities[answer.id];
+                return { answerId: answer.id, agentId: answer.agentId, score, isCorrect: score >= threshold };
+            });
+        }
+
+        case VERIFICATION_METHODS.TEXT: {
+            const similarities = await similarityToReference(truth.truth, answers);
+            return answers.map(answer => ({
+                answerId: answer.id,
+                agentId: answer.agentId,
+                score: similarities[answer.id],
+                isCorrect: similarities[answer.id] >= threshold
+            }));
+        }
+
+        case VERIFICATION_METHODS.NUMERIC:
+            return answers.map(answer => ({
+                answerId: answer.id,
+                agentId: answer.agentId,
+                ...scoreNumeric(parseNumericAnswer(answer.content), truth)
+            }));
+
+        default:
+            throw new VerificationError(`Unknown verification method '${truth.method}'`);
+    }
+}
+
+/**
+ * Verify a question against its ground truth
+ * question must include its answers; resolver is 'admin' or the resolving agent's id
+ */
+async function verifyQuestion(prisma, question, truth, resolver) {
+    if (question.status === 'VERIFIED') {
+        throw new VerificationError('Question has already been verified', 409);
+    }
+    if (!VERIFIABLE_STATUSES.includes(question.status)) {
+        throw new VerificationError(`Cannot verify question: status is ${question.status}`);
+    }
+    if (question.answers.length === 0) {
+        throw new VerificationError('Cannot verify question: it has no answers');
+    }
+
+    const scores = await scoreAnswers(truth, question.answers, question);
+    const verifiedAt = new Date();
+    const agentIds = [...new Set(scores.map(entry => entry.agentId))];
+
+    const agents = await prisma.$transaction(async (tx) => {
+        for (const entry of scores) {
+            await tx.answer.update({
+                where: { id: entry.answerId },
+                data: { isCorrect: entry.isCorrect, verificationScore: entry.score }
+            });
+        }
+
+        await tx.question.update({
+            where: { id: question.id },
+            data: {
+                status: 'VERIFIED',
+                verifiedAt,
+                verifiedBy: resolver,
+                groundTruth: truth
+            }
+        });
+
+        // Recount from verified answers so accuracy never drifts
+        const updated = [];
+        for (const agentId of agentIds) {
+            const [verifiedAnswers, correctAnswers] = await Promise.all([
+                tx.answer.count({ where: { agentId, isCorrect: { not: null } } }),
+                tx.answer.count({ where: { agentId, isCorrect: true } })
+            ]);
+            const accuracyRate = verifiedAnswers > 0 ? correctAnswers / verifiedAnswers : 0;
+
+            await tx.agent.update({
+                where: { id: agentId },
+                data: { correctAnswers, accuracyRate }
+            });
+            updated.push({ agentId, verifiedAnswers, correctAnswers, accuracyRate });
+        }
+        return updated;
+    });
+
+    // Calibration reads the committed verification, so it runs after the transaction
+    await Promise.all(agentIds.map(agentId => refreshAgentCalibration(prisma, agentId)));
+
+    return {
+        questionId: question.id,
+        method: truth.method,
+        verifiedAt,
+        verifiedBy: resolver,
+        correctCount: scores.filter(entry => entry.isCorrect).length,
+        answers: scores,
+        agents
+    };
+}
+
+module.exports = {
+    VERIFICATION_METHODS,
+    DEFAULT_MATCH_THRESHOLD,
+    VerificationError,
+    parseNumericAnswer,
+    scoreAnswers,
+    verifyQuestion
+};
@@ -0,0 +1,423 @@
+/**
+ * Agent webhooks for SwarmOracle
+ * Notifications are queued as WebhookDelivery rows in the same transaction as the change that caused
+ * them, so nothing is announced that did not happen. A background dispatcher POSTs them to the agent's
+ * webhookUrl, signed with HMAC-SHA256, and retries failures with exponential backoff; a delivery that
+ * fails every attempt is moved to the dead-letter table. Every attempt is logged.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_EVENTS = {
+    QUESTION_OPENED: 'question:opened',
+    QUESTION_INVITED: 'question:invited',
+    DEBATE_ROUND_STARTED: 'debate:round:started',
+    ANSWER_CRITIQUED: 'answer:critiqued',
+    STAKE_SETTLED: 'stake:settled'
+};
+
+const DELIVERY_STATUS = {
+    PENDING: 'PENDING',
+    DELIVERED: 'DELIVERED',
+    DEAD: 'DEAD'
+};
+
+// Retries wait 30s, 1m, 2m, ... up to 6h; the 8th failure is final (about 1h of retries in total)
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_SECONDS = 30;
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// A claimed delivery is not picked up again for this long, in case its dispatcher dies mid-send
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+const DISPATCH_BATCH_SIZE = 50;
+
+const MAX_ERROR_LENGTH = 500;
+
+// Webhooks only go to public addresses, so an agent cannot make the server probe its own network
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['224.0.0.0', 3, 'ipv4'],
+    ['::', 127, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+    blockedAddresses.addSubnet(address, prefix, type);
+}
+
+class WebhookTargetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookTargetError';
+        this.statusCode = 400;
+    }
+}
+
+function isBlockedAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isBlockedAddress(mapped[1]);
+    const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    return blockedAddresses.check(address, type);
+}
+
+/**
+ * Why a webhook URL is not allowed, or null if it is: it must be https and must not name a
+ * loopback, private or link-local host. Hostnames are checked again, resolved, at send time.
+ */
+function webhookUrlProblem(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch {
+        return 'Must be a valid URL';
+    }
+    if (url.protocol !== 'https:') return 'Webhook URLs must use https';
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal') || host.endsWith('.local')) {
+        return 'Webhook URLs must point to a public host';
+    }
+    if (net.isIP(host) && isBlockedAddress(host)) {
+        return 'Webhook URLs must point to a public address';
+    }
+    return null;
+}
+
+// dns.lookup that refuses to connect to blocked addresses; runs for every connection, so a
+// hostname re-pointed at an internal address after registration is still refused
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(entry => isBlockedAddress(entry.address))) {
+            return callback(new WebhookTargetError('Webhook host resolves to a non-public address'));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the agent's secret
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function retryDelaySeconds(attempt) {
+    return Math.min(MAX_RETRY_SECONDS, BASE_RETRY_SECONDS * 2 ** (attempt - 1));
+}
+
+/**
+ * Queue one event for a set of agents
+ * notifications: [{ agentId, data }]. Agents without a webhookUrl and secret are skipped.
+ * db may be a transaction client. Returns the number of deliveries queued.
+ */
+async function queueWebhooks(db, event, notifications) {
+    const agentIds = [...new Set(notifications.map(notification => notification.agentId))];
+    if (agentIds.length === 0) return 0;
+
+    const agents = await db.agent.findMany({
+        where: { id: { in: agentIds }, webhookUrl: { not: null }, webhookSecret: { not: null } },
+        select: { id: true, webhookUrl: true }
+    });
+    const urls = Object.fromEntries(agents.map(agent => [agent.id, agent.webhookUrl]));
+
+    const deliveries = notifications
+        .filter(notification => urls[notification.agentId])
+        .map(notification => ({
+            agentId: notification.agentId,
+            event,
+            url: urls[notification.agentId],
+            payload: notification.data
+        }));
+
+    if (deliveries.length > 0) {
+        await db.webhookDelivery.createMany({ data: deliveries });
+    }
+    return deliveries.length;
+}
+
+/**
+ * Tell agents with a matching capability or specialty that a question has opened
+ * excludeAgentIds are skipped, e.g. the panel, which gets question:invited instead.
+ */
+async function queueQuestionOpened(db, question, { excludeAgentIds = [] } = {}) {
+    const excluded = question.askerId ? [question.askerId, ...excludeAgentIds] : excludeAgentIds;
+    const agents = await db.agent.findMany({
+        where: {
+            id: { notIn: excluded },
+            webhookUrl: { not: null },
+            webhookSecret: { not: null },
+            OR: [
+                { capabilities: { has: question.category.toLowerCase() } },
+                { statistics: { is: { specialtyCategories: { array_contains: [question.category] } } } }
+            ]
+        },
+        select: { id: true }
+    });
+
+    const data = {
+        questionId: question.id,
+        text: question.text,
+        category: question.category,
+        answerType: question.answerType,
+        minAnswers: question.minAnswers,
+        maxAnswers: question.maxAnswers,
+        openUntil: question.openUntil,
+        bounty: Number(question.bounty || 0),
+        debateMode: question.debateMode
+    };
+    return queueWebhooks(db, WEBHOOK_EVENTS.QUESTION_OPENED, agents.map(agent => ({ agentId: agent.id, data })));
+}
+
+/**
+ * Tell the agents that answered a question that a debate round has started
+ */
+async function queueDebateRoundStarted(db, round, agentIds) {
+    const data = {
+        questionId: round.questionId,
+        debateRoundId: round.id,
+        roundNumber: round.roundNumber,
+        topic: round.topic,
+        startedAt: round.startedAt,
+        deadlineAt: round.deadlineAt
+    };
+    return queueWebhooks(db, WEBHOOK_EVENTS.DEBATE_ROUND_STARTED, agentIds.map(agentId => ({ agentId, data })));
+}
+
+/**
+ * Tell each staker how their stakes on a question settled
+ */
+async function queueStakeSettlements(db, questionId, basis, settledAt, entries) {
+    const byAgent = {};
+    for (const entry of entries) {
+        (byAgent[entry.agentId] || (byAgent[entry.agentId] = [])).push({
+            stakeId: entry.stakeId,
+            answerId: entry.answerId,
+            outcome: entry.outcome,
+            stakeAmount: entry.stakeAmount,
+            rewardAmount: entry.rewardAmount,
+            slashedAmount: entry.slashedAmount,
+            payoutAmount: entry.payoutAmount
+        });
+    }
+
+    return queueWebhooks(db, WEBHOOK_EVENTS.STAKE_SETTLED, Object.entries(byAgent).map(([agentId, stakes]) => ({
+        agentId,
+        data: { questionId, basis, settledAt, stakes }
+    })));
+}
+
+/**
+ * POST a signed delivery; resolves to { ok, statusCode, error, durationMs } and never throws
+ * Redirects are not followed. error is a generic description: the log is shown to the agent, and
+ * raw socket errors would tell it about hosts behind the server.
+ */
+function sendWebhook(url, body, headers) {
+    const startedAt = Date.now();
+    const finish = (statusCode, error) => ({
+        ok: error === null,
+        statusCode,
+        error,
+        durationMs: Date.now() - startedAt
+    });
+
+    const problem = webhookUrlProblem(url);
+    if (problem) return Promise.resolve(finish(null, 'Destination not allowed'));
+
+    return new Promise((resolve) => {
+        const request = https.request(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'SwarmOracle-Webhooks/1.0',
+                ...headers
+            },
+            lookup: publicLookup,
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+        }, (response) => {
+            response.resume();
+            const ok = response.statusCode >= 200 && response.statusCode < 300;
+            resolve(finish(response.statusCode, ok ? null : `HTTP ${response.statusCode}`));
+        });
+
+        request.on('error', (error) => {
+            if (error.name === 'AbortError') resolve(finish(null, `Timed out after ${DELIVERY_TIMEOUT_MS}ms`));
+            else if (error instanceof WebhookTargetError) resolve(finish(null, 'Destination not allowed'));
+            else resolve(finish(null, 'Connection failed'));
+        });
+        request.end(body);
+    });
+}
+
+/**
+ * Make one attempt at a delivery and record what happened
+ * Times come from the clock at each step, since earlier deliveries in a batch may have taken a while.
+ * Returns the delivery's status afterwards, or null if another dispatcher claimed it first.
+ */
+async function attemptDelivery(prisma, delivery, { send = sendWebhook } = {}) {
+    const attempt = delivery.attempts + 1;
+    const attemptedAt = new Date();
+
+    // Compare-and-set on attempts claims the delivery for this dispatcher
+    const claimed = await prisma.webhookDelivery.updateMany({
+        where: { id: delivery.id, status: DELIVERY_STATUS.PENDING, attempts: delivery.attempts },
+        data: { attempts: attempt, nextAttemptAt: new Date(attemptedAt.getTime() + CLAIM_LEASE_MS) }
+    });
+    if (claimed.count === 0) return null;
+
+    // Signed at send time, so receivers can reject stale or replayed requests by timestamp
+    const timestamp = Math.floor(attemptedAt.getTime() / 1000);
+    const body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        createdAt: delivery.createdAt,
+        attempt,
+        data: delivery.payload
+    });
+    const result = await send(delivery.url, body, {
+        'X-SwarmOracle-Event': delivery.event,
+        'X-SwarmOracle-Delivery': delivery.id,
+        'X-SwarmOracle-Timestamp': String(timestamp),
+        'X-SwarmOracle-Signature': signPayload(delivery.agent.webhookSecret, timestamp, body)
+    });
+    const error = result.error ? result.error.slice(0, MAX_ERROR_LENGTH) : null;
+    const finishedAt = new Date();
+
+    return prisma.$transaction(async (tx) => {
+        await tx.webhookDeliveryAttempt.create({
+            data: {
+                deliveryId: delivery.id,
+                attempt,
+                statusCode: result.statusCode,
+                error,
+                durationMs: result.durationMs,
+                attemptedAt
+            }
+        });
+
+        if (result.ok) {
+            await tx.webhookDelivery.update({
+                where: { id: delivery.id },
+                data: { status: DELIVERY_STATUS.DELIVERED, deliveredAt: finishedAt, lastStatusCode: result.statusCode, lastError: null }
+            });
+            return DELIVERY_STATUS.DELIVERED;
+        }
+
+        if (attempt >= MAX_ATTEMPTS) {
+            await tx.webhookDelivery.update({
+                where: { id: delivery.id },
+                data: { status: DELIVERY_STATUS.DEAD, lastStatusCode: result.statusCode, lastError: error }
+            });
+            await tx.webhookDeadLetter.create({
+                data: {
+                    deliveryId: delivery.id,
+                    agentId: delivery.agentId,
+                    event: delivery.event,
+                    url: delivery.url,
+                    payload: delivery.payload,
+                    attempts: attempt,
+                    lastStatusCode: result.statusCode,
+                    lastError: error
+                }
+            });
+            return DELIVERY_STATUS.DEAD;
+        }
+
+        await tx.webhookDelivery.update({
+            where: { id: delivery.id },
+            data: {
+                nextAttemptAt: new Date(finishedAt.getTime() + retryDelaySeconds(attempt) * 1000),
+                lastStatusCode: result.statusCode,
+                lastError: error
+            }
+        });
+        return DELIVERY_STATUS.PENDING;
+    });
+}
+
+/**
+ * Attempt every delivery that is due at now, oldest first
+ * Returns { ranAt, delivered, retrying, dead } with the ids in each state.
+ */
+async function dispatchWebhooks(prisma, { now = new Date(), limit = DISPATCH_BATCH_SIZE, send } = {}) {
+    const due = await prisma.webhookDelivery.findMany({
+        where: { status: DELIVERY_STATUS.PENDING, nextAttemptAt: { lte: now } },
+        include: { agent: { select: { webhookSecret: true } } },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: limit
+    });
+
+    const outcome = { ranAt: now, delivered: [], retrying: [], dead: [] };
+    for (const delivery of due) {
+        const status = await attemptDelivery(prisma, delivery, { send });
+        if (status === DELIVERY_STATUS.DELIVERED) outcome.delivered.push(delivery.id);
+        else if (status === DELIVERY_STATUS.PENDING) outcome.retrying.push(delivery.id);
+        else if (status === DELIVERY_STATUS.DEAD) outcome.dead.push(delivery.id);
+    }
+    return outcome;
+}
+
+/**
+ * Run dispatchWebhooks every intervalSeconds; returns a stop function
+ * Disabled when the interval is 0. Runs never overlap.
+ */
+function startWebhookDispatchJob(prisma, { intervalSeconds = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_SECONDS ?? 10), onResult } = {}) {
+    if (!(intervalSeconds > 0)) return () => {};
+
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            const result = await dispatchWebhooks(prisma);
+            if (onResult) await onResult(result);
+        } catch (error) {
+            console.error('Webhook dispatch failed:', error);
+        } finally {
+            running = false;
+        }
+    }, intervalSeconds * 1000);
+
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    webhookUrlProblem,
+    DELIVERY_STATUS,
+    MAX_ATTEMPTS,
+    generateWebhookSecret,
+    signPayload,
+    retryDelaySeconds,
+    queueWebhooks,
+    queueQuestionOpened,
+    queueDebateRoundStarted,
+    queueStakeSettlements,
+    attemptDelivery,
+    dispatchWebhooks,
+    startWebhookDispatchJob
+};
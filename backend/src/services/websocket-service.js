@@ -8,6 +8,13 @@ const { Server } = require('socket.io');
 const Redis = require('ioredis');
 const jwt = require('jsonwebtoken');
 
+// Socket event per consensus outcome (see services/consensus-outcome.js)
+const CONSENSUS_EVENTS = {
+    REACHED: 'consensus:reached',
+    NO_CONSENSUS: 'consensus:not_reached',
+    DEADLOCKED: 'consensus:deadlocked'
+};
+
 class SwarmOracleWebSocketService {
     constructor(httpServer) {
         this.io = new Server(httpServer, {
@@ -195,17 +202,30 @@ class SwarmOracleWebSocketService {
                 this.broadcastAnswerSubmitted(event.questionId, event.data);
                 break;
             case 'consensus:calculated':
-                this.broadcastConsensusReached(event.questionId, event.data);
+                this.broadcastConsensusOutcome(event.questionId, event.data);
                 break;
             case 'question:created':
                 this.broadcastNewQuestion(event.data);
                 break;
+            case 'question:verified':
+                this.broadcastQuestionVerified(event.questionId, event.data);
+                break;
             case 'leaderboard:updated':
                 this.broadcastLeaderboardUpdate(event.data);
                 break;
             case 'agent:reputation:updated':
                 this.broadcastReputationUpdate(event.agentId, event.data);
                 break;
+            case 'market:updated':
+                this.broadcastMarketUpdate(event.questionId, event.data);
+                break;
+            case 'debate:round:started':
+            case 'debate:round:ended':
+                this.broadcastDebateRound(event.type, event.questionId, event.data);
+                break;
+            case 'question:invited':
+                this.sendInvitation(event.agentId, event.data);
+                break;
         }
     }
     
@@ -294,14 +314,21 @@ class SwarmOracleWebSocketService {
     }
     
     /**
-     * Broadcast consensus reached
+     * Broadcast the outcome of a consensus calculation
+     * Emitted as consensus:reached, consensus:not_reached or consensus:deadlocked, with the margin to threshold
      */
-    broadcastConsensusReached(questionId, consensusData) {
+    broadcastConsensusOutcome(questionId, consensusData) {
+        const eventName = CONSENSUS_EVENTS[consensusData.outcome] || 'consensus:reached';
         const payload = {
-            type: 'consensus:reached',
+            type: eventName,
             questionId,
+            outcome: consensusData.outcome,
             winningAnswer: consensusData.winningAnswer,
             consensusStrength: consensusData.consensusStrength,
+            threshold: consensusData.threshold,
+            marginToThreshold: consensusData.marginToThreshold,
+            questionStatus: consensusData.questionStatus,
+            nextDebateRound: consensusData.nextDebateRound,
             confidenceLevel: consensusData.confidenceLevel,
             participantCount: consensusData.participantCount,
             algorithm: consensusData.algorithm,
@@ -309,10 +336,78 @@ class SwarmOracleWebSocketService {
         };
         
         // Immediate broadcast (don't batch consensus results)
-        this.io.to(`question:${questionId}`).emit('consensus:reached', payload);
-        this.io.to('global').emit('consensus:reached', payload);
+        this.io.to(`question:${questionId}`).emit(eventName, payload);
+        this.io.to('global').emit(eventName, payload);
+        
+        console.log(`Consensus outcome for question ${questionId}: ${consensusData.outcome}`);
+    }
+    
+    /**
+     * Broadcast a verified question, telling each answering agent how its answer was graded
+     */
+    broadcastQuestionVerified(questionId, verification) {
+        const payload = {
+            type: 'question:verified',
+            questionId,
+            method: verification.method,
+            verifiedAt: verification.verifiedAt,
+            correctCount: verification.correctCount,
+            answers: verification.answers,
+            timestamp: new Date()
+        };
+        
+        this.io.to(`question:${questionId}`).emit('question:verified', payload);
+        this.io.to('global').emit('question:verified', payload);
+        
+        for (const result of verification.answers) {
+            this.io.to(`agent:${result.agentId}`).emit('answer:verified', {
+                type: 'answer:verified',
+                questionId,
+                ...result,
+                timestamp: new Date()
+            });
+        }
+    }
+    
+    /**
+     * Broadcast prediction market prices after a trade
+     * Batched: only the latest prices per market reach the room.
+     */
+    broadcastMarketUpdate(questionId, market) {
+        this.scheduleUpdate(`question:${questionId}`, 'market', {
+            type: 'market:updated',
+            questionId,
+            ...market
+        });
+    }
+    
+    /**
+     * Announce a debate round opening or ending to the question room and to every agent that answered
+     */
+    broadcastDebateRound(eventName, questionId, round) {
+        const { agentIds = [], ...details } = round;
+        const payload = {
+            type: eventName,
+            questionId,
+            round: details,
+            timestamp: new Date()
+        };
         
-        console.log(`Consensus reached for question ${questionId}`);
+        this.io.to(`question:${questionId}`).emit(eventName, payload);
+        for (const agentId of agentIds) {
+            this.io.to(`agent:${agentId}`).emit(eventName, payload);
+        }
+    }
+    
+    /**
+     * Invite a panel member to answer a question
+     */
+    sendInvitation(agentId, invitation) {
+        this.io.to(`agent:${agentId}`).emit('question:invited', {
+            type: 'question:invited',
+            invitation,
+            timestamp: new Date()
+        });
     }
     
     /**
@@ -1,4 +1,8 @@
 import { z } from 'zod';
+import { consensusRegistry, DEFAULT_ALGORITHM } from '../services/consensus-registry.js';
+import { ARGUMENT_MAP_FORMATS } from '../services/argument-map.js';
+import { WEBHOOK_EVENTS, DELIVERY_STATUS, webhookUrlProblem } from '../services/webhooks.js';
+import { INVITATION_STATUS } from '../services/question-routing.js';
 
 // Base schemas
 export const uuidSchema = z.string().uuid('Invalid UUID format');
@@ -12,8 +16,12 @@ export const registerAgentSchema = z.object({
   name: z.string().min(1).max(100, 'Name must be 100 characters or less'),
   description: z.string().max(500, 'Description must be 500 characters or less').optional(),
   platform: z.string().min(1).max(50, 'Platform must be 50 characters or less'),
-  webhookUrl: z.string().url('Must be a valid URL').optional(),
-  capabilities: z.array(z.enum(['factual', 'predictive', 'analytical', 'creative'])).default([]),
+  // https on a public host only; checked again after DNS resolution when sending
+  webhookUrl: z.string().url('Must be a valid URL').superRefine((url, ctx) => {
+    const problem = webhookUrlProblem(url);
+    if (problem) ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+  }).optional(),
+  capabilities: z.array(z.enum(['factual', 'predictive', 'analytical', 'creative', 'technical'])).default([]),
 });
 
 export const agentQuerySchema = z.object({
@@ -23,7 +31,51 @@ export const agentQuerySchema = z.object({
   platform: z.string().optional(),
 });
 
+export const webhookDeliveryQuerySchema = z.object({
+  ...paginationSchema.shape,
+  status: z.enum(Object.values(DELIVERY_STATUS)).optional(),
+  event: z.enum(Object.values(WEBHOOK_EVENTS)).optional(),
+});
+
+export const invitationQuerySchema = z.object({
+  ...paginationSchema.shape,
+  status: z.enum(Object.values(INVITATION_STATUS)).optional(),
+});
+
+export const reputationDecayPreviewSchema = z.object({
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  asOf: z.string().datetime().optional(),
+});
+
+// Admin schemas
+export const collusionCaseQuerySchema = z.object({
+  ...paginationSchema.shape,
+  status: z.enum(['PENDING', 'CONFIRMED', 'DISMISSED']).default('PENDING'),
+});
+
+export const reviewCollusionCaseSchema = z.object({
+  status: z.enum(['CONFIRMED', 'DISMISSED']),
+  notes: z.string().max(2000).optional(),
+});
+
+export const collusionScanSchema = z.object({
+  lookbackDays: z.number().int().min(1).max(365).default(30),
+});
+
 // Question schemas
+const ANSWER_TYPES = ['TEXT', 'SINGLE_CHOICE', 'MULTIPLE_CHOICE', 'NUMERIC', 'PROBABILITY', 'DATE', 'DISTRIBUTION'];
+
+const labelListSchema = z.array(z.string().min(1).max(200)).min(2).max(50)
+  .refine(labels => new Set(labels).size === labels.length, 'Labels must be unique');
+
+// What answers to a typed question must look like: outcomes for distributions, unit and bounds for numbers
+export const answerSpecSchema = z.object({
+  outcomes: labelListSchema.optional(),
+  unit: z.string().min(1).max(50).optional(),
+  min: z.number().finite().optional(),
+  max: z.number().finite().optional(),
+}).strict();
+
 export const createQuestionSchema = z.object({
   text: z.string().min(1).max(1000, 'Question must be 1000 characters or less'),
   description: z.string().max(2000, 'Description must be 2000 characters or less').optional(),
@@ -31,12 +83,48 @@ export const createQuestionSchema = z.object({
   minAnswers: z.number().int().min(1).max(50).default(3),
   maxAnswers: z.number().int().min(1).max(1000).optional(),
   consensusThreshold: z.number().min(0.1).max(1.0).default(0.7),
+  maxDebateRounds: z.number().int().min(0).max(20).default(3),
+  // AUTO hands the debate to the orchestrator, with rounds lasting debateRoundMinutes
+  debateMode: z.enum(['MANUAL', 'AUTO']).default('MANUAL'),
+  debateRoundMinutes: z.number().int().min(1).max(7 * 24 * 60).default(60),
+  // Agents invited to answer, at most panelMaxPerPlatform from one platform; 0 invites nobody
+  panelSize: z.number().int().min(0).max(50).default(5),
+  panelMaxPerPlatform: z.number().int().min(1).max(50).default(2),
+  bounty: z.number().min(0).multipleOf(0.01, 'Bounty must be in whole cents').default(0),
   openUntil: z.string().datetime().optional(),
+  answerType: z.enum(ANSWER_TYPES).default('TEXT'),
+  answerSpec: answerSpecSchema.optional(),
+  options: z.array(z.object({
+    label: z.string().min(1).max(200, 'Option label must be 200 characters or less'),
+    description: z.string().max(1000).optional(),
+  })).min(2).max(50)
+    .refine(options => new Set(options.map(option => option.label)).size === options.length, 'Option labels must be unique')
+    .optional(),
+  // Opens an LMSR prediction market; the asker pays liquidity * ln(outcomes) as its subsidy
+  market: z.object({
+    liquidity: z.number().positive().max(100000).default(100),
+  }).optional(),
+}).superRefine((body, ctx) => {
+  const spec = body.answerSpec || {};
+  const isChoice = body.answerType === 'SINGLE_CHOICE' || body.answerType === 'MULTIPLE_CHOICE';
+
+  if (isChoice && !body.options) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['options'], message: `${body.answerType} questions require options` });
+  }
+  if (!isChoice && body.options) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['options'], message: 'Only choice questions take options' });
+  }
+  if (body.answerType === 'DISTRIBUTION' && !spec.outcomes) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['answerSpec', 'outcomes'], message: 'DISTRIBUTION questions require outcomes' });
+  }
+  if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['answerSpec', 'min'], message: 'min must not exceed max' });
+  }
 });
 
 export const questionQuerySchema = z.object({
   ...paginationSchema.shape,
-  status: z.enum(['OPEN', 'DEBATING', 'CONSENSUS', 'VERIFIED', 'CLOSED']).optional(),
+  status: z.enum(['OPEN', 'DEBATING', 'CONSENSUS', 'DEADLOCKED', 'VERIFIED', 'CLOSED']).optional(),
   category: z.enum(['FACTUAL', 'PREDICTIVE', 'ANALYTICAL', 'CREATIVE', 'TECHNICAL']).optional(),
   sortBy: z.enum(['createdAt', 'consensusReachedAt']).default('createdAt'),
   sortOrder: z.enum(['asc', 'desc']).default('desc'),
@@ -46,12 +134,93 @@ export const closeQuestionSchema = z.object({
   reason: z.string().max(500).optional(),
 });
 
+export const addBountySchema = z.object({
+  amount: z.number().positive('Bounty amount must be positive').multipleOf(0.01, 'Bounty amount must be in whole cents'),
+});
+
+export const invitationResponseSchema = z.object({
+  response: z.enum(['ACCEPT', 'DECLINE']),
+});
+
+export const marketTradeSchema = z.object({
+  outcome: z.string().min(1).max(100),
+  shares: z.number().finite().refine(shares => shares !== 0, 'Shares must be non-zero')
+    .refine(shares => Math.abs(shares) <= 1000000, 'At most 1,000,000 shares per trade'),
+  maxCost: z.number().finite().optional(),
+});
+
+const matchThresholdSchema = z.number().min(0).max(1).default(0.8);
+
+export const verifyQuestionSchema = z.discriminatedUnion('method', [
+  z.object({
+    method: z.literal('ANSWER'),
+    answerId: uuidSchema,
+    matchThreshold: matchThresholdSchema,
+  }),
+  z.object({
+    method: z.literal('TEXT'),
+    truth: z.string().min(1).max(2000, 'Truth must be 2000 characters or less'),
+    matchThreshold: matchThresholdSchema,
+  }),
+  z.object({
+    method: z.literal('NUMERIC'),
+    value: z.number().finite(),
+    tolerance: z.number().min(0).default(0),
+    relative: z.boolean().default(false),
+  }),
+]).and(z.object({
+  // Resolves the prediction market when it cannot be inferred from the truth ('VOID' refunds at last prices)
+  marketOutcome: z.string().min(1).max(100).optional(),
+}));
+
 // Answer schemas
+// Option id -> probability that the option is the right answer
+const optionProbabilitiesSchema = z.record(z.number().min(0).max(1));
+
+// Typed answer values, checked against the question's options and answerSpec when submitted
+export const answerValueSchema = z.discriminatedUnion('type', [
+  z.object({ type: z.literal('TEXT') }),
+  z.object({
+    type: z.literal('SINGLE_CHOICE'),
+    optionId: uuidSchema,
+    probabilities: optionProbabilitiesSchema.optional(),
+  }),
+  z.object({
+    type: z.literal('MULTIPLE_CHOICE'),
+    optionIds: z.array(uuidSchema).min(1)
+      .refine(optionIds => new Set(optionIds).size === optionIds.length, 'Options must be unique'),
+    probabilities: optionProbabilitiesSchema.optional(),
+  }),
+  z.object({ type: z.literal('NUMERIC'), value: z.number().finite(), unit: z.string().max(50).optional() }),
+  z.object({ type: z.literal('PROBABILITY'), probability: z.number().min(0).max(1) }),
+  z.object({ type: z.literal('DATE'), date: z.string().refine(date => !Number.isNaN(Date.parse(date)), 'Invalid date') }),
+  z.object({
+    type: z.literal('DISTRIBUTION'),
+    probabilities: z.record(z.number().min(0).max(1))
+      .refine(probabilities => Object.keys(probabilities).length > 0, 'At least one outcome is required'),
+  }),
+]);
+
 export const submitAnswerSchema = z.object({
   questionId: uuidSchema,
-  content: z.string().min(1).max(2000, 'Answer must be 2000 characters or less'),
+  content: z.string().min(1).max(2000, 'Answer must be 2000 characters or less').optional(),
+  value: answerValueSchema.optional(),
   reasoning: z.string().min(1).max(5000, 'Reasoning must be 5000 characters or less'),
   confidence: z.number().min(0).max(1, 'Confidence must be between 0 and 1'),
+}).refine(body => body.content !== undefined || (body.value && body.value.type !== 'TEXT'), {
+  message: 'Provide content, or a typed value to derive it from',
+  path: ['content'],
+});
+
+// A revision replaces the whole position; omitted fields keep their current values
+export const reviseAnswerSchema = z.object({
+  content: z.string().min(1).max(2000, 'Answer must be 2000 characters or less').optional(),
+  value: answerValueSchema.optional(),
+  reasoning: z.string().min(1).max(5000, 'Reasoning must be 5000 characters or less'),
+  confidence: z.number().min(0).max(1, 'Confidence must be between 0 and 1').optional(),
+}).refine(body => body.content !== undefined || body.value !== undefined || body.confidence !== undefined, {
+  message: 'Provide a new content, value or confidence',
+  path: ['content'],
 });
 
 export const stakeAnswerSchema = z.object({
@@ -63,6 +232,7 @@ export const startDebateSchema = z.object({
   topic: z.string().min(1).max(500, 'Topic must be 500 characters or less'),
 });
 
+// impact is the critic's own estimate, a prior that the other participants' votes move
 export const submitCritiqueSchema = z.object({
   debateRoundId: uuidSchema,
   targetAnswerId: uuidSchema,
@@ -71,10 +241,42 @@ export const submitCritiqueSchema = z.object({
   impact: z.number().min(0).max(1, 'Impact must be between 0 and 1').default(0.5),
 });
 
+// Rebuttals dispute the critique (or reply) they answer; endorsements back it
+export const submitReplySchema = z.object({
+  debateRoundId: uuidSchema,
+  kind: z.enum(['REBUTTAL', 'ENDORSEMENT']),
+  content: z.string().min(1).max(2000, 'Reply must be 2000 characters or less'),
+  impact: z.number().min(0).max(1, 'Impact must be between 0 and 1').default(0.5),
+});
+
+export const critiqueVoteSchema = z.object({
+  vote: z.enum(['UP', 'DOWN']),
+});
+
+export const argumentMapQuerySchema = z.object({
+  format: z.enum(ARGUMENT_MAP_FORMATS).default('aif'),
+});
+
 // Consensus schemas
 export const calculateConsensusSchema = z.object({
-  algorithm: z.enum(['BFT', 'DPoR', 'Hybrid']).default('Hybrid'),
+  algorithm: z.string()
+    .refine(name => consensusRegistry.has(name), name => ({
+      message: `Unknown algorithm '${name}'. Available: ${consensusRegistry.names().join(', ')}`,
+    }))
+    .default(DEFAULT_ALGORITHM),
+  parameters: z.record(z.unknown()).default({}),
   forceRecalculation: z.boolean().default(false),
+}).superRefine((body, ctx) => {
+  if (!consensusRegistry.has(body.algorithm)) return;
+
+  // Validate parameters against the selected algorithm's own schema
+  const result = consensusRegistry.get(body.algorithm).parameters.safeParse(body.parameters);
+  if (!result.success) {
+    result.error.errors.forEach(err => ctx.addIssue({
+      ...err,
+      path: ['parameters', ...err.path],
+    }));
+  }
 });
 
 // Auth schemas
@@ -91,6 +293,11 @@ export const questionIdParamSchema = z.object({
   questionId: uuidSchema,
 });
 
+export const replayConsensusParamSchema = z.object({
+  questionId: uuidSchema,
+  logId: uuidSchema,
+});
+
 // Validation middleware helper
 export const validateSchema = (schema, source = 'body') => {
   return (req, res, next) => {
@@ -73,6 +73,15 @@ export const questionAPI = {
   }
 }
 
+// Consensus APIs
+export const consensusAPI = {
+  // Latest consensus for a question, including the typed aggregate (vote tally for choice questions)
+  getConsensus: async (questionId) => {
+    const response = await api.get(`/api/consensus/${questionId}`)
+    return response.data
+  }
+}
+
 // Agent APIs
 export const agentAPI = {
   // Get all agents with pagination and sorting
@@ -12,20 +12,69 @@ import {
   Target,
   ExternalLink,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  BarChart3
 } from 'lucide-react'
-import { questionAPI } from '../lib/api'
+import { questionAPI, consensusAPI } from '../lib/api'
 import { useApi } from '../hooks/useApi'
 import { useLiveUpdates } from '../hooks/useWebSocket'
 import { useNotify } from '../context/NotificationContext'
 import { 
   formatConfidence, 
   formatRelativeTime, 
+  formatPercentage,
   getAvatarUrl,
   shareUrl,
   copyToClipboard
 } from '../lib/utils'
 
+// Weighted vote tally of a choice question, one bar per option
+const VoteTally = ({ aggregate }) => {
+  const winners = new Set([].concat(aggregate.value))
+  const maxShare = Math.max(...aggregate.tally.map(option => option.share), 0.01)
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-semibold text-white flex items-center space-x-2">
+          <BarChart3 className="w-5 h-5 text-purple-400" />
+          <span>Vote Tally</span>
+        </h4>
+        <span className="text-sm text-gray-400">
+          {aggregate.answerCount} weighted votes
+        </span>
+      </div>
+      <div className="space-y-3">
+        {aggregate.tally.map((option) => (
+          <div key={option.optionId}>
+            <div className="flex justify-between text-sm mb-1">
+              <span className={winners.has(option.optionId) ? 'text-white font-medium' : 'text-gray-300'}>
+                {option.label}
+              </span>
+              <span className="text-gray-400">
+                {formatPercentage(option.share)} · {option.votes} {option.votes === 1 ? 'vote' : 'votes'}
+              </span>
+            </div>
+            <div className="h-3 bg-gray-700 rounded-full overflow-hidden">
+              <div
+                className={`h-full rounded-full ${
+                  winners.has(option.optionId)
+                    ? 'bg-gradient-to-r from-purple-600 to-blue-600'
+                    : 'bg-gray-500'
+                }`}
+                style={{ width: `${(option.share / maxShare) * 100}%` }}
+              />
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              Pooled probability {formatPercentage(option.probability)}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
 const Results = () => {
   const { id } = useParams()
   const { success, error: notifyError } = useNotify()
@@ -41,6 +90,13 @@ const Results = () => {
     refresh 
   } = useApi(() => questionAPI.getResults(id), [id])
 
+  // Latest consensus calculation, for the option tally of choice questions
+  const { data: latestConsensus, refresh: refreshConsensus } = useApi(
+    () => consensusAPI.getConsensus(id),
+    [id],
+    { showErrorNotification: false }
+  )
+
   // Live updates for this question
   const { liveData, subscribeToQuestion, unsubscribeFromQuestion } = useLiveUpdates()
 
@@ -55,8 +111,9 @@ const Results = () => {
   useEffect(() => {
     if (liveData.questions[id]) {
       refresh()
+      refreshConsensus()
     }
-  }, [liveData.questions, id, refresh])
+  }, [liveData.questions, id, refresh, refreshConsensus])
 
   const handleShare = async () => {
     const url = window.location.href
@@ -130,6 +187,7 @@ const Results = () => {
   const { question, consensus, agents = [], debate = [], sources = [], status } = results
   const isProcessing = status === 'processing'
   const confidenceData = formatConfidence(consensus?.confidence || 0)
+  const aggregate = latestConsensus?.data?.aggregate
 
   const tabs = [
     { id: 'consensus', label: 'Consensus Answer', icon: Target },
@@ -235,6 +293,8 @@ const Results = () => {
                       </div>
                     </div>
 
+                    {aggregate?.tally && <VoteTally aggregate={aggregate} />}
+
                     {/* Key points */}
                     {consensus.keyPoints && consensus.keyPoints.length > 0 && (
                       <div className="card">